@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import searchIndexService from '../services/SearchIndexService';
+import './Backlinks.css';
+
+/**
+ * Render a context line with the link highlighted
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {Array<Array<number>>} props.ranges - Array of [start, end] offsets to highlight
+ */
+const HighlightedText = ({ text, ranges = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end], index) => {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(<mark key={index} className="backlink-highlight">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+/**
+ * Backlinks component - lists the documents linking to a document with [[...]]
+ */
+const Backlinks = ({
+  isOpen,
+  setIsOpen,
+  document,
+  onOpenBacklink
+}) => {
+  const [backlinks, setBacklinks] = useState([]);
+
+  // Recompute while open so links typed elsewhere show up once indexed
+  useEffect(() => {
+    if (!isOpen || !document) return;
+
+    let cancelled = false;
+    const loadBacklinks = () => {
+      searchIndexService.getBacklinks(document)
+        .then(found => {
+          if (!cancelled) setBacklinks(found);
+        })
+        .catch(error => console.error('Error loading backlinks:', error));
+    };
+    loadBacklinks();
+    const unsubscribe = searchIndexService.addListener(loadBacklinks);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [isOpen, document]);
+
+  const handleOpen = (id, context) => {
+    setIsOpen(false);
+    onOpenBacklink(id, context);
+  };
+
+  return (
+    <Dialog.Root open={isOpen} onOpenChange={setIsOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="command-overlay" />
+        <Dialog.Content className="backlinks">
+          <div className="backlinks-header">
+            <Dialog.Title className="backlinks-title">
+              Backlinks: {document?.title}
+            </Dialog.Title>
+            <Dialog.Close className="backlinks-close" aria-label="Close">✕</Dialog.Close>
+          </div>
+
+          <ul className="backlinks-list">
+            {backlinks.length === 0 && (
+              <li className="backlinks-empty">
+                No documents link here yet. Link to this document with [[{document?.title}]]
+              </li>
+            )}
+            {backlinks.map(backlink => (
+              <li key={backlink.id} className="backlink">
+                <button
+                  className="backlink-document"
+                  onClick={() => handleOpen(backlink.id, backlink.contexts[0] || { line: 1, column: 0 })}
+                >
+                  {backlink.title}
+                </button>
+                {backlink.contexts.map(context => (
+                  <button
+                    key={context.line}
+                    className="backlink-context"
+                    onClick={() => handleOpen(backlink.id, context)}
+                  >
+                    <span className="backlink-line">{context.line}</span>
+                    <HighlightedText text={context.text} ranges={context.ranges} />
+                  </button>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+};
+
+export default Backlinks;
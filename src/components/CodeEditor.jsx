@@ -5,19 +5,172 @@ import { yaml } from '@codemirror/lang-yaml';
 import { languages } from '@codemirror/language-data';
 import { keymap } from '@codemirror/view';
 import { defaultKeymap } from '@codemirror/commands';
+import { forceLinting } from '@codemirror/lint';
 import CommandPalette from './CommandPalette';
+import RevisionHistory from './RevisionHistory';
+import Backlinks from './Backlinks';
+import MarkdownPreview from './MarkdownPreview';
+import { refreshWikiLinks, wikiLinkCompletionSource, wikiLinks } from './wikiLinks';
+import { frontmatterLinter } from './frontmatterLint';
+import ConflictResolutionDialog from './ConflictResolutionDialog';
 import DocumentManager from '../services/DocumentManager';
+import searchIndexService from '../services/SearchIndexService';
+import workspaceService, { DEFAULT_WORKSPACE } from '../services/WorkspaceService';
+import { folderName, isInFolder, joinFolderPath, parentFolder } from '../utils/folders';
+import { resolveWikiLink } from '../utils/links';
+import { parseDateKey } from '../utils/dailyNotes';
+import { slugify } from '../utils/ids';
+import { editorLineAtTop, previewLineAtTop, scrollEditorToLine, scrollPreviewToLine } from '../utils/scrollSync';
 import './CodeEditor.css';
 
+/**
+ * Move the cursor to a line and column and scroll it into view
+ * @param {EditorView} view - CodeMirror view
+ * @param {number} line - 1-based line number
+ * @param {number} column - 0-based column
+ */
+const revealLine = (view, line, column = 0) => {
+  const doc = view.state.doc;
+  const lineInfo = doc.line(Math.min(Math.max(line, 1), doc.lines));
+  const position = Math.min(lineInfo.from + column, lineInfo.to);
+
+  view.dispatch({
+    selection: { anchor: position },
+    effects: EditorView.scrollIntoView(position, { y: 'center' })
+  });
+  view.focus();
+};
+
+/**
+ * Check whether a line lies inside the frontmatter block at the top of the document
+ * @param {EditorState} state - Editor state
+ * @param {number} lineNumber - 1-based line number
+ * @returns {boolean} True if the line is between the opening and closing "---"
+ */
+const isInFrontmatter = (state, lineNumber) => {
+  if (lineNumber < 2 || state.doc.line(1).text !== '---') return false;
+  for (let number = 2; number < lineNumber; number++) {
+    if (state.doc.line(number).text.trim() === '---') return false;
+  }
+  return true;
+};
+
+/**
+ * Autocomplete known tags after "#" in the body and in the "tags:" frontmatter line
+ * @param {CompletionContext} context - CodeMirror completion context
+ * @returns {Object|null} Completion result
+ */
+const tagCompletionSource = (context) => {
+  const line = context.state.doc.lineAt(context.pos);
+  const inTagsLine = /^tags:/.test(line.text) && isInFrontmatter(context.state, line.number);
+
+  const word = inTagsLine
+    ? context.matchBefore(/#?[\p{L}\p{N}_/-]*/u)
+    : context.matchBefore(/#[\p{L}\p{N}_/-]*/u);
+  if (!word || (inTagsLine && word.from < line.from + 'tags:'.length)) return null;
+
+  if (!inTagsLine) {
+    // "#" inside a word or URL, or a heading being typed, is not a tag
+    const before = context.state.sliceDoc(word.from - 1, word.from);
+    if (/[\p{L}\p{N}_&#/\\]/u.test(before)) return null;
+    if (word.text.length < 2 && !context.explicit) return null;
+  }
+
+  const prefix = inTagsLine && !word.text.startsWith('#') ? '' : '#';
+  return {
+    from: word.from,
+    options: searchIndexService.getTags().map(({ tag, count }) => ({
+      label: `${prefix}${tag}`,
+      detail: `${count}`,
+      type: 'keyword'
+    })),
+    validFor: /^#?[\p{L}\p{N}_/-]*$/u
+  };
+};
+
+// Prompt choice for documents and folders outside any folder
+const TOP_LEVEL_ITEM = { value: '', label: 'Top level', icon: '🏠', description: 'Not in any folder' };
+
+/**
+ * Build prompt choices from folders
+ * @param {Array<Object>} folders - Folders from DocumentManager.getFolders
+ * @returns {Array<Object>} Prompt items
+ */
+const folderItems = (folders) => folders.map(folder => ({
+  value: folder.path,
+  label: folder.path,
+  icon: '📁',
+  description: `${folder.documentCount} document${folder.documentCount === 1 ? '' : 's'}`
+}));
+
+/**
+ * Handle files pasted or dropped into the editor
+ * @param {Function} onFiles - Called with (files, view, from, to) where from/to is the range to replace
+ * @returns {Extension} CodeMirror extension
+ */
+const fileDropHandlers = (onFiles) => EditorView.domEventHandlers({
+  paste: (event, view) => {
+    const files = [...(event.clipboardData?.files || [])];
+    if (files.length === 0) return false;
+
+    event.preventDefault();
+    const { from, to } = view.state.selection.main;
+    onFiles(files, view, from, to);
+    return true;
+  },
+  drop: (event, view) => {
+    const files = [...(event.dataTransfer?.files || [])];
+    if (files.length === 0) return false;
+
+    event.preventDefault();
+    const pos = view.posAtCoords({ x: event.clientX, y: event.clientY }) ?? view.state.selection.main.head;
+    onFiles(files, view, pos, pos);
+    return true;
+  }
+});
+
+// Layouts of the editor and the markdown preview, in the order Ctrl+Shift+M cycles through them
+const VIEW_MODES = [
+  { id: 'source', title: 'Show source only', icon: '📝' },
+  { id: 'split', title: 'Show source and preview side by side', icon: '◫' },
+  { id: 'preview', title: 'Show preview only', icon: '👁️' }
+];
+
+// Storage key of the last used view mode
+const VIEW_MODE_STORAGE_KEY = 'commad-view-mode';
+
+const loadViewMode = () => {
+  const stored = localStorage.getItem(VIEW_MODE_STORAGE_KEY);
+  return VIEW_MODES.some(mode => mode.id === stored) ? stored : 'source';
+};
+
 const CodeEditor = () => {
   const editorRef = useRef(null);
   const [editorView, setEditorView] = useState(null);
   const editorWrapperRef = useRef(null);
   const [isCommandPaletteOpen, setIsCommandPaletteOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isConflictDialogOpen, setIsConflictDialogOpen] = useState(false);
+  const [isBacklinksOpen, setIsBacklinksOpen] = useState(false);
+  const [palettePrompt, setPalettePrompt] = useState(null); // Prompt to open the command palette in
+  const [backlinkCount, setBacklinkCount] = useState(0);
+  const [viewMode, setViewMode] = useState(loadViewMode);
+  const previewRef = useRef(null);
+  const syncingScrollRef = useRef(null); // Pane scrolled by scroll syncing, its next scroll event is ignored
+  const scrollLineRef = useRef(null); // Line to keep in view after changing the view mode
   const [documents, setDocuments] = useState([]);
   const [currentDocument, setCurrentDocument] = useState(null);
   const [content, setContent] = useState('');
   const [isSaved, setIsSaved] = useState(true); // Track save status
+  const pendingSelectionRef = useRef(null); // Search match to reveal once the editor is ready
+  // The editor is only re-created when switching documents, its link extensions read these refs
+  const documentsRef = useRef(documents);
+  const openWikiLinkRef = useRef(null);
+  const attachFilesRef = useRef(null);
+  const openDailyNoteRef = useRef(null); // Read by the global keyboard shortcut
+  const [attachmentStatus, setAttachmentStatus] = useState(null); // { type: 'info' | 'error', message }
+  const [workspace, setWorkspace] = useState(() => workspaceService.getActive());
+  documentsRef.current = documents;
   
   // Initialize documents from database
   useEffect(() => {
@@ -110,12 +263,18 @@ const CodeEditor = () => {
       // The user can then select the settings document
     };
 
+    const handleOpenConflictResolver = () => {
+      setIsConflictDialogOpen(true);
+    };
+
     window.addEventListener('documentsUpdated', handleDocumentsUpdate);
     window.addEventListener('openSettingsDocument', handleOpenSettingsDocument);
+    window.addEventListener('openConflictResolver', handleOpenConflictResolver);
     
     return () => {
       window.removeEventListener('documentsUpdated', handleDocumentsUpdate);
       window.removeEventListener('openSettingsDocument', handleOpenSettingsDocument);
+      window.removeEventListener('openConflictResolver', handleOpenConflictResolver);
     };
   }, [currentDocument, editorView, isCommandPaletteOpen]);
   
@@ -127,8 +286,92 @@ const CodeEditor = () => {
         setDocuments(allDocs);
       }
       refreshDocumentsList();
+    } else {
+      setPalettePrompt(null);
     }
   }, [isCommandPaletteOpen]);
+
+  // The settings document is YAML and always shown as source
+  const effectiveViewMode = currentDocument?.type === 'settings' ? 'source' : viewMode;
+
+  const changeViewMode = useCallback((mode) => {
+    // Keep the same part of the document in view when panes are shown or hidden
+    if (effectiveViewMode === 'preview' && previewRef.current) {
+      scrollLineRef.current = previewLineAtTop(previewRef.current);
+    } else if (editorView) {
+      scrollLineRef.current = editorLineAtTop(editorView);
+    }
+    setViewMode(mode);
+    localStorage.setItem(VIEW_MODE_STORAGE_KEY, mode);
+  }, [effectiveViewMode, editorView]);
+
+  useEffect(() => {
+    if (!editorView) return;
+    // The editor cannot measure itself while hidden in preview mode
+    editorView.requestMeasure();
+
+    const line = scrollLineRef.current;
+    scrollLineRef.current = null;
+    if (line === null) return;
+    if (effectiveViewMode !== 'preview') {
+      scrollEditorToLine(editorView, line);
+    }
+    if (effectiveViewMode !== 'source' && previewRef.current) {
+      scrollPreviewToLine(previewRef.current, line);
+    }
+  }, [effectiveViewMode, editorView]);
+
+  // Scroll one pane to match the other, ignoring the scroll event this causes in the synced pane
+  const syncScroll = (source, target, scroll) => {
+    if (syncingScrollRef.current === source) {
+      syncingScrollRef.current = null;
+      return;
+    }
+    const scrollTop = target.scrollTop;
+    scroll();
+    syncingScrollRef.current = target.scrollTop !== scrollTop ? (source === 'editor' ? 'preview' : 'editor') : null;
+  };
+
+  const handlePreviewScroll = () => {
+    if (effectiveViewMode !== 'split' || !editorView || !previewRef.current) return;
+    syncScroll('preview', editorView.scrollDOM, () => {
+      scrollEditorToLine(editorView, previewLineAtTop(previewRef.current));
+    });
+  };
+
+  useEffect(() => {
+    if (!editorView || effectiveViewMode !== 'split') return;
+
+    const handleEditorScroll = () => {
+      if (!previewRef.current) return;
+      syncScroll('editor', previewRef.current, () => {
+        scrollPreviewToLine(previewRef.current, editorLineAtTop(editorView));
+      });
+    };
+
+    editorView.scrollDOM.addEventListener('scroll', handleEditorScroll);
+    return () => editorView.scrollDOM.removeEventListener('scroll', handleEditorScroll);
+  }, [editorView, effectiveViewMode]);
+
+  // Re-check which links resolve and which schemas apply when documents were added, renamed or deleted
+  useEffect(() => {
+    if (editorView) {
+      editorView.dispatch({ effects: refreshWikiLinks.of(null) });
+      forceLinting(editorView);
+    }
+  }, [documents, editorView]);
+
+  // Keep the backlink count in the header up to date as the index changes
+  useEffect(() => {
+    if (!currentDocument || currentDocument.type === 'settings') {
+      setBacklinkCount(0);
+      return;
+    }
+
+    const countBacklinks = () => setBacklinkCount(searchIndexService.getBacklinkIds(currentDocument).length);
+    countBacklinks();
+    return searchIndexService.addListener(countBacklinks);
+  }, [currentDocument]);
   
   // Debounced save - wait for user to stop typing before saving (only for regular documents)
   useEffect(() => {
@@ -209,11 +452,69 @@ const CodeEditor = () => {
     }
   };
   
+  // Handle selecting a full-text search result from the command palette
+  const handleSearchResultSelect = async (documentId, match) => {
+    if (documentId === currentDocument?.id) {
+      if (editorView) {
+        revealLine(editorView, match.line, match.column);
+      }
+      return;
+    }
+
+    const document = documents.find(doc => doc.id === documentId)
+      || await DocumentManager.getDocument(documentId);
+    if (!document) {
+      console.warn(`Search result ${documentId} no longer exists`);
+      return;
+    }
+
+    // The editor is re-created for the new document, reveal the match afterwards
+    pendingSelectionRef.current = { documentId: document.id, ...match };
+    handleDocumentSelect(document);
+  };
+  
+  // Open a day's daily note, creating it if it does not exist yet
+  const handleOpenDailyNote = async (date = new Date()) => {
+    try {
+      const { document, cursor } = await DocumentManager.openDailyNote(date);
+      // The editor is re-created for the note, place the cursor afterwards
+      if (cursor) {
+        pendingSelectionRef.current = { documentId: document.id, ...cursor };
+      }
+      setDocuments(await DocumentManager.getAllDocuments());
+      handleDocumentSelect(document);
+    } catch (error) {
+      console.error('Error opening daily note:', error);
+    }
+  };
+  openDailyNoteRef.current = handleOpenDailyNote;
+
+  // Go to the closest daily note before (-1) or after (1) the open one, or today if none is open
+  const handleAdjacentDailyNote = async (direction) => {
+    const from = parseDateKey(currentDocument?.dailyNote) || new Date();
+    const note = await DocumentManager.getAdjacentDailyNote(from, direction);
+    if (!note) {
+      console.log(`📅 No daily note ${direction < 0 ? 'before' : 'after'} this one`);
+      return;
+    }
+    handleDocumentSelect(note);
+  };
+  
   // Handle creating a new document
-  const handleCreateDocument = async (title) => {
+  const handleCreateDocument = async (title, folder = '', templateId = null) => {
     try {
-      // Create a new document
-      const newDoc = await DocumentManager.createDocument(title);
+      // Create a new document, from a template if one was chosen
+      let newDoc;
+      if (templateId) {
+        const { document, cursor } = await DocumentManager.createFromTemplate(title, folder, templateId);
+        newDoc = document;
+        // The editor is re-created for the new document, place the cursor afterwards
+        if (cursor) {
+          pendingSelectionRef.current = { documentId: newDoc.id, ...cursor };
+        }
+      } else {
+        newDoc = await DocumentManager.createDocument(title, folder);
+      }
       
       // Update document list
       const allDocs = await DocumentManager.getAllDocuments();
@@ -242,8 +543,509 @@ const CodeEditor = () => {
     }
   };
   
+  // Open the document a [[link]] points to, or offer to create it if it does not exist
+  const handleWikiLinkOpen = async (target) => {
+    const linked = resolveWikiLink(target, documents);
+    if (linked) {
+      handleDocumentSelect(await DocumentManager.getDocument(linked.id) || linked);
+      return;
+    }
+
+    const folder = currentDocument?.folder || '';
+    setPalettePrompt(() => async () => ({
+      title: `"${target}" does not exist yet`,
+      items: [{
+        value: target,
+        label: `Create "${target}"`,
+        icon: '➕',
+        description: folder ? `New document in ${folder}` : 'New document'
+      }],
+      onSubmit: async () => {
+        // Save the linking document first, creating the new one replaces the editor content
+        if (currentDocument && currentDocument.type !== 'settings' && !isSaved) {
+          await DocumentManager.saveDocument({ ...currentDocument, content });
+        }
+        await handleCreateDocument(target, folder);
+      }
+    }));
+    setIsCommandPaletteOpen(true);
+  };
+  openWikiLinkRef.current = handleWikiLinkOpen;
+
+  // Store pasted or dropped files as attachments and reference them where they were dropped
+  const handleAttachFiles = async (files, view, from, to) => {
+    if (!currentDocument || currentDocument.type === 'settings') return;
+
+    const documentId = currentDocument.id;
+    const references = [];
+    setAttachmentStatus({ type: 'info', message: `📎 Attaching ${files.length === 1 ? files[0].name || 'file' : `${files.length} files`}...` });
+    for (const file of files) {
+      try {
+        const { markdown } = await DocumentManager.addAttachment(documentId, file);
+        references.push(markdown);
+      } catch (error) {
+        console.error('Error attaching file:', error);
+        setAttachmentStatus({ type: 'error', message: `❌ ${error.message}` });
+        setTimeout(() => setAttachmentStatus(null), 5000);
+      }
+    }
+    if (references.length === files.length) {
+      setAttachmentStatus(null);
+    }
+
+    // The editor is destroyed when the user switched documents while files were stored
+    if (references.length === 0 || !view.dom.isConnected) return;
+    const insert = references.join('\n');
+    const length = view.state.doc.length;
+    view.dispatch({
+      changes: { from: Math.min(from, length), to: Math.min(to, length), insert },
+      selection: { anchor: Math.min(from, length) + insert.length }
+    });
+    view.focus();
+  };
+  attachFilesRef.current = handleAttachFiles;
+
+  // Save pending edits and download the document as a standalone HTML page
+  const handleExportHtml = async () => {
+    if (!isSaved) {
+      setCurrentDocument(await DocumentManager.saveDocument({ ...currentDocument, content }));
+      setIsSaved(true);
+    }
+    const { fileName, html } = await DocumentManager.exportDocumentAsHtml(currentDocument.id);
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Handle restoring an old revision from the history panel
+  const handleRevisionRestore = async (savedDoc) => {
+    setCurrentDocument(savedDoc);
+    setContent(savedDoc.content);
+    setIsSaved(true);
+
+    if (editorView) {
+      editorView.dispatch({
+        changes: {
+          from: 0,
+          to: editorView.state.doc.length,
+          insert: savedDoc.content
+        }
+      });
+    }
+
+    const allDocs = await DocumentManager.getAllDocuments();
+    setDocuments(allDocs);
+  };
+
+  // Reload the document list after a folder change and pick up the new folder of the open document
+  const applyFolderChanges = async (changedDocs) => {
+    const changedCurrent = changedDocs.find(doc => doc._id === currentDocument?.id);
+    if (changedCurrent) {
+      setCurrentDocument(doc => ({ ...doc, folder: changedCurrent.folder }));
+    }
+
+    const allDocs = await DocumentManager.getAllDocuments();
+    setDocuments(allDocs);
+  };
+
+  // Save pending edits, then rename the open document and show it under its new title and id
+  const handleRenameDocument = async (title, changeId) => {
+    if (!isSaved) {
+      await DocumentManager.saveDocument({ ...currentDocument, content });
+      setIsSaved(true);
+    }
+    const renamed = await DocumentManager.renameDocument(currentDocument.id, title, { changeId });
+    setCurrentDocument(renamed);
+    setContent(renamed.content);
+
+    const allDocs = await DocumentManager.getAllDocuments();
+    setDocuments(allDocs);
+  };
+
+  // Save pending edits, then switch to another workspace and open its most recent document
+  const handleSwitchWorkspace = async (name) => {
+    if (currentDocument && currentDocument.type !== 'settings' && !isSaved) {
+      await DocumentManager.saveDocument({ ...currentDocument, content });
+    }
+    setWorkspace(workspaceService.switchWorkspace(name));
+
+    // Settings come first and are shown when the workspace has no documents yet
+    const allDocs = await DocumentManager.getAllDocuments();
+    const next = allDocs.find(doc => doc.type !== 'settings') || allDocs[0];
+    setDocuments(allDocs);
+    setCurrentDocument(next);
+    setContent(next.content);
+    setIsSaved(true);
+
+    // Documents in different workspaces can share an id, then the editor is not re-created
+    if (editorView) {
+      editorView.dispatch({
+        changes: { from: 0, to: editorView.state.doc.length, insert: next.content }
+      });
+    }
+  };
+
+  // Move the open document to the trash and switch to the most recent remaining one
+  const handleDeleteDocument = async () => {
+    const deleted = currentDocument;
+
+    // Save pending edits first so restoring brings them back
+    if (!isSaved) {
+      await DocumentManager.saveDocument({ ...deleted, content })
+        .catch(error => console.warn('Error saving document before deleting it:', error));
+    }
+    if (!await DocumentManager.deleteDocument(deleted.id)) {
+      throw new Error(`Could not move "${deleted.title}" to the trash`);
+    }
+
+    // Settings come first and remain when every document is in the trash
+    const allDocs = await DocumentManager.getAllDocuments();
+    const next = allDocs.find(doc => doc.type !== 'settings') || allDocs[0];
+    setDocuments(allDocs);
+    setCurrentDocument(next);
+    setContent(next.content);
+    setIsSaved(true);
+  };
+
+  // Prompt for a folder, then continue with the chosen path
+  const chooseFolder = (title, next) => async () => ({
+    title,
+    placeholder: 'Choose a folder',
+    items: folderItems(await DocumentManager.getFolders()),
+    onSubmit: next
+  });
+
+  // Commands offered in the command palette for the current document
+  const commands = [];
+  if (currentDocument && currentDocument.type !== 'settings') {
+    commands.push({
+      id: 'move-document',
+      title: 'Move document to folder',
+      description: currentDocument.folder ? `Currently in ${currentDocument.folder}` : 'Currently at the top level',
+      icon: '📂',
+      prompt: async () => ({
+        title: `Move "${currentDocument.title}"`,
+        placeholder: 'Choose a folder or type a new path',
+        items: [TOP_LEVEL_ITEM, ...folderItems(await DocumentManager.getFolders())],
+        allowCustom: true,
+        onSubmit: async (folder) => {
+          const saved = await DocumentManager.moveDocument(currentDocument.id, folder);
+          await applyFolderChanges([saved]);
+        }
+      })
+    });
+    commands.push({
+      id: 'rename-document',
+      title: 'Rename document',
+      description: `Id ${currentDocument.id}`,
+      icon: '✏️',
+      prompt: async () => ({
+        title: `Rename "${currentDocument.title}"`,
+        placeholder: 'New title',
+        initialValue: currentDocument.title,
+        allowCustom: true,
+        onSubmit: (title) => ({
+          title: `Rename to "${title.trim()}"`,
+          items: [
+            {
+              value: 'keep',
+              label: 'Keep the id',
+              icon: '✏️',
+              description: currentDocument.id
+            },
+            {
+              value: 'change',
+              label: 'Change the id to match the title',
+              icon: '🔀',
+              description: `${slugify(title)}-…, links to ${currentDocument.id} keep working`
+            }
+          ],
+          onSubmit: (choice) => handleRenameDocument(title, choice === 'change')
+        })
+      })
+    });
+    commands.push({
+      id: 'revision-history',
+      title: 'Show revision history',
+      description: 'Compare and restore earlier versions of this document',
+      icon: '🕘',
+      shortcut: 'Ctrl+Shift+H',
+      onSelect: () => setIsHistoryOpen(true)
+    });
+    commands.push({
+      id: 'export-html',
+      title: 'Export as HTML',
+      description: 'Download the rendered document with its attachments embedded',
+      icon: '⬇️',
+      onSelect: () => handleExportHtml().catch(error => console.error('Error exporting document:', error))
+    });
+    commands.push({
+      id: 'delete-document',
+      title: 'Move document to trash',
+      description: 'Restore it later with "Show trash"',
+      icon: '🗑️',
+      onSelect: () => handleDeleteDocument().catch(error => console.error('Error deleting document:', error))
+    });
+    commands.push({
+      id: 'show-backlinks',
+      title: 'Show backlinks',
+      description: 'Documents linking here with [[...]]',
+      icon: '🔗',
+      shortcut: 'Ctrl+Shift+B',
+      onSelect: () => setIsBacklinksOpen(true)
+    });
+  }
+  if (currentDocument && currentDocument.type !== 'settings') {
+    VIEW_MODES
+      .filter(mode => mode.id !== viewMode)
+      .forEach(mode => commands.push({
+        id: `view-${mode.id}`,
+        title: mode.title,
+        icon: mode.icon,
+        shortcut: 'Ctrl+Shift+M',
+        onSelect: () => changeViewMode(mode.id)
+      }));
+  }
+  commands.push({
+    id: 'daily-note',
+    title: "Open today's daily note",
+    description: 'Created from the daily note template if it does not exist yet',
+    icon: '📅',
+    shortcut: 'Ctrl+Shift+D',
+    onSelect: () => handleOpenDailyNote()
+  });
+  commands.push({
+    id: 'previous-daily-note',
+    title: 'Go to previous daily note',
+    icon: '⬅️',
+    onSelect: () => handleAdjacentDailyNote(-1).catch(error => console.error('Error opening daily note:', error))
+  });
+  commands.push({
+    id: 'next-daily-note',
+    title: 'Go to next daily note',
+    icon: '➡️',
+    onSelect: () => handleAdjacentDailyNote(1).catch(error => console.error('Error opening daily note:', error))
+  });
+  commands.push({
+    id: 'switch-workspace',
+    title: 'Switch workspace',
+    description: `Currently in ${workspace}`,
+    icon: '🗂️',
+    prompt: async () => ({
+      title: 'Switch workspace',
+      placeholder: 'Choose a workspace or type a new name',
+      items: workspaceService.getWorkspaces().map(name => ({
+        value: name,
+        label: name,
+        icon: '🗂️',
+        description: name === workspace ? 'Current workspace' : workspaceService.databaseName(name)
+      })),
+      allowCustom: true,
+      onSubmit: (name) => handleSwitchWorkspace(name)
+    })
+  });
+  commands.push({
+    id: 'resolve-conflicts',
+    title: 'Resolve sync conflicts',
+    description: 'Compare conflicting versions side by side and merge them by hand',
+    icon: '⚠️',
+    onSelect: () => setIsConflictDialogOpen(true)
+  });
+  commands.push({
+    id: 'show-trash',
+    title: 'Show trash',
+    description: 'Restore or permanently delete deleted documents',
+    icon: '🗑️',
+    prompt: async () => {
+      const trash = await DocumentManager.getTrash();
+      return {
+        title: 'Trash',
+        placeholder: trash.length > 0 ? 'Choose a document to restore or delete' : 'The trash is empty',
+        items: trash.map(doc => ({
+          value: doc.id,
+          label: doc.title,
+          icon: doc.icon || '📝',
+          description: `Deleted ${new Date(doc.trashedAt).toLocaleString()}${doc.folder ? ` from ${doc.folder}` : ''}`
+        })),
+        onSubmit: (id) => {
+          const doc = trash.find(item => item.id === id);
+          return {
+            title: `"${doc.title}"`,
+            items: [
+              { value: 'restore', label: 'Restore', icon: '♻️', description: doc.folder ? `Back to ${doc.folder}` : 'Back to the top level' },
+              { value: 'delete', label: 'Delete permanently', icon: '❌', description: 'This cannot be undone' }
+            ],
+            onSubmit: async (action) => {
+              if (action === 'restore') {
+                const restored = await DocumentManager.restoreDocument(id);
+                setDocuments(await DocumentManager.getAllDocuments());
+                handleDocumentSelect(restored);
+              } else {
+                await DocumentManager.emptyTrash([id]);
+                setDocuments(await DocumentManager.getAllDocuments());
+              }
+            }
+          };
+        }
+      };
+    }
+  });
+  commands.push({
+    id: 'empty-trash',
+    title: 'Empty trash',
+    description: 'Permanently delete every document in the trash',
+    icon: '❌',
+    prompt: async () => {
+      const trash = await DocumentManager.getTrash();
+      return {
+        title: 'Empty trash?',
+        placeholder: trash.length > 0 ? 'Confirm to delete for good' : 'The trash is empty',
+        items: trash.length > 0 ? [{
+          value: 'empty',
+          label: `Permanently delete ${trash.length} document${trash.length === 1 ? '' : 's'}`,
+          icon: '❌',
+          description: 'This cannot be undone'
+        }] : [],
+        onSubmit: async () => {
+          // Only delete what was confirmed, not documents trashed in the meantime
+          await DocumentManager.emptyTrash(trash.map(doc => doc.id));
+          setDocuments(await DocumentManager.getAllDocuments());
+        }
+      };
+    }
+  });
+  commands.push({
+    id: 'rename-tag',
+    title: 'Rename tag',
+    description: 'Rewrite a tag in every document that uses it',
+    icon: '#',
+    prompt: async () => ({
+      title: 'Rename tag',
+      placeholder: 'Choose a tag',
+      items: searchIndexService.getTags().map(({ tag, count }) => ({
+        value: tag,
+        label: `#${tag}`,
+        icon: '#',
+        description: `${count} document${count === 1 ? '' : 's'}`
+      })),
+      onSubmit: (tag) => ({
+        title: `Rename #${tag}`,
+        placeholder: 'New tag name',
+        initialValue: tag,
+        allowCustom: true,
+        onSubmit: async (newTag) => {
+          // Save pending edits first so the rename does not overwrite them
+          if (currentDocument && currentDocument.type !== 'settings' && !isSaved) {
+            setCurrentDocument(await DocumentManager.saveDocument({ ...currentDocument, content }));
+          }
+          const changed = await DocumentManager.renameTag(tag, newTag);
+          window.dispatchEvent(new CustomEvent('documentsUpdated', {
+            detail: { documentIds: changed.map(doc => doc._id) }
+          }));
+        }
+      })
+    })
+  });
+  commands.push({
+    id: 'create-folder',
+    title: 'Create folder',
+    description: 'Use "/" to create subfolders',
+    icon: '📁',
+    prompt: async () => ({
+      title: 'New folder',
+      placeholder: 'Folder path, e.g. Work/Projects',
+      allowCustom: true,
+      onSubmit: async (path) => {
+        const folderPath = await DocumentManager.createFolder(path);
+        console.log(`Created folder "${folderPath}"`);
+        await applyFolderChanges([]);
+      }
+    })
+  });
+  commands.push({
+    id: 'rename-folder',
+    title: 'Rename folder',
+    icon: '✏️',
+    prompt: chooseFolder('Rename folder', (path) => ({
+      title: `Rename "${path}"`,
+      placeholder: 'New folder name',
+      initialValue: folderName(path),
+      allowCustom: true,
+      onSubmit: async (name) => applyFolderChanges(await DocumentManager.renameFolder(path, name))
+    }))
+  });
+  commands.push({
+    id: 'move-folder',
+    title: 'Move folder',
+    description: 'Move a folder with everything inside it',
+    icon: '📂',
+    prompt: chooseFolder('Move folder', async (path) => ({
+      title: `Move "${path}" into`,
+      placeholder: 'Choose the new parent folder',
+      items: [TOP_LEVEL_ITEM, ...folderItems(await DocumentManager.getFolders())]
+        .filter(item => !isInFolder(item.value, path)),
+      onSubmit: async (parent) => applyFolderChanges(
+        await DocumentManager.moveFolder(path, joinFolderPath(parent, folderName(path)))
+      )
+    }))
+  });
+  commands.push({
+    id: 'delete-folder',
+    title: 'Delete folder',
+    description: 'Documents inside move to the parent folder',
+    icon: '🗑️',
+    prompt: chooseFolder('Delete folder', (path) => ({
+      title: `Delete "${path}"?`,
+      items: [{
+        value: path,
+        label: `Delete "${path}" and its subfolders`,
+        icon: '🗑️',
+        description: `Documents move to ${parentFolder(path) || 'the top level'}`
+      }],
+      onSubmit: async () => applyFolderChanges(await DocumentManager.deleteFolder(path))
+    }))
+  });
+  
   // Handle keyboard shortcuts (Command palette with Ctrl+P and save with Ctrl+S)
   const handleKeyDown = useCallback((e) => {
+    // Open revision history with Ctrl+Shift+H
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'h') {
+      e.preventDefault();
+      if (currentDocument && currentDocument.type !== 'settings') {
+        setIsHistoryOpen(true);
+      }
+      return;
+    }
+
+    // Show backlinks with Ctrl+Shift+B
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'b') {
+      e.preventDefault();
+      if (currentDocument && currentDocument.type !== 'settings') {
+        setIsBacklinksOpen(true);
+      }
+      return;
+    }
+    
+    // Cycle through source, split and preview with Ctrl+Shift+M
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'm') {
+      e.preventDefault();
+      if (currentDocument && currentDocument.type !== 'settings') {
+        const index = VIEW_MODES.findIndex(mode => mode.id === viewMode);
+        changeViewMode(VIEW_MODES[(index + 1) % VIEW_MODES.length].id);
+      }
+      return;
+    }
+
+    // Open today's daily note with Ctrl+Shift+D
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      openDailyNoteRef.current();
+      return;
+    }
+
     // Open document palette with Ctrl+P or Ctrl+K
     if ((e.ctrlKey || e.metaKey) && (e.key === 'p' || e.key === 'k')) {
       e.preventDefault();
@@ -311,7 +1113,7 @@ const CodeEditor = () => {
         })();
       }
     }
-  }, [currentDocument, content]);
+  }, [currentDocument, content, viewMode, changeViewMode]);
 
   useEffect(() => {
     // Add global keyboard listener
@@ -325,10 +1127,25 @@ const CodeEditor = () => {
   useEffect(() => {
     if (!editorRef.current || !currentDocument) return;
 
-    // Choose language mode based on document type
+    // Choose language mode based on document type, markdown documents complete #tags and [[links]]
+    // and check their frontmatter against schemas
+    const markdownSupport = markdown({ codeLanguages: languages });
     const languageExtension = currentDocument.type === 'settings' 
       ? yaml()
-      : markdown({ codeLanguages: languages });
+      : [
+        markdownSupport,
+        markdownSupport.language.data.of({ autocomplete: tagCompletionSource }),
+        markdownSupport.language.data.of({ autocomplete: wikiLinkCompletionSource(() => documentsRef.current) }),
+        wikiLinks({
+          resolve: (target) => resolveWikiLink(target, documentsRef.current),
+          onOpen: (target) => openWikiLinkRef.current(target)
+        }),
+        frontmatterLinter({
+          getDocument: () => documentsRef.current.find(doc => doc.id === currentDocument.id) || currentDocument,
+          getDocuments: () => documentsRef.current
+        }),
+        fileDropHandlers((...args) => attachFilesRef.current(...args))
+      ];
 
     // Create the editor view - ensure we're creating it with the right layout
     const view = new EditorView({
@@ -400,9 +1217,16 @@ const CodeEditor = () => {
     setEditorView(view);
     setContent(currentDocument.content);
 
-    // Focus the editor when it's first created or when switching documents
+    // Focus the editor when it's first created or when switching documents,
+    // jumping to a pending search match if there is one for this document
+    const pendingSelection = pendingSelectionRef.current;
+    pendingSelectionRef.current = null;
     setTimeout(() => {
-      view.focus();
+      if (pendingSelection && pendingSelection.documentId === currentDocument.id) {
+        revealLine(view, pendingSelection.line, pendingSelection.column);
+      } else {
+        view.focus();
+      }
     }, 0);
 
     // Cleanup
@@ -442,21 +1266,75 @@ const CodeEditor = () => {
             {currentDocument.noAutosave ? (
               <span>Settings document - Manual save only (Ctrl+S)</span>
             ) : (
-              <span>Last updated: {new Date(currentDocument.updatedAt).toLocaleString()}</span>
+              <span>
+                {workspace !== DEFAULT_WORKSPACE && <span className="document-workspace">🗂️ {workspace}</span>}
+                {currentDocument.folder && <span className="document-folder">📁 {currentDocument.folder}</span>}
+                Last updated: {new Date(currentDocument.updatedAt).toLocaleString()}
+                {attachmentStatus && (
+                  <span className={`attachment-status ${attachmentStatus.type}`}>{attachmentStatus.message}</span>
+                )}
+                {backlinkCount > 0 && (
+                  <span
+                    className="document-backlinks"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setIsBacklinksOpen(true);
+                    }}
+                    title="Show backlinks (Ctrl+Shift+B)"
+                  >
+                    🔗 {backlinkCount} backlink{backlinkCount === 1 ? '' : 's'}
+                  </span>
+                )}
+              </span>
             )}
           </div>
         </div>
       )}
       
-      {/* Editor container will expand to fill remaining space */}
-      <div ref={editorRef} className="editor" />
+      {/* Panes expand to fill remaining space, the editor stays mounted while hidden */}
+      <div className={`editor-panes view-${effectiveViewMode}`}>
+        <div ref={editorRef} className="editor" />
+        {effectiveViewMode !== 'source' && (
+          <MarkdownPreview
+            content={content}
+            documentId={currentDocument?.id}
+            documents={documents}
+            containerRef={previewRef}
+            onScroll={handlePreviewScroll}
+            onOpenWikiLink={handleWikiLinkOpen}
+          />
+        )}
+      </div>
       
       <CommandPalette 
         isOpen={isCommandPaletteOpen}
         setIsOpen={setIsCommandPaletteOpen}
         documents={documents}
+        commands={commands}
         onDocumentSelect={handleDocumentSelect}
         onDocumentCreate={handleCreateDocument}
+        onSearchResultSelect={handleSearchResultSelect}
+        initialPrompt={palettePrompt}
+      />
+
+      <RevisionHistory
+        isOpen={isHistoryOpen}
+        setIsOpen={setIsHistoryOpen}
+        document={currentDocument}
+        currentContent={content}
+        onRestore={handleRevisionRestore}
+      />
+
+      <Backlinks
+        isOpen={isBacklinksOpen}
+        setIsOpen={setIsBacklinksOpen}
+        document={currentDocument}
+        onOpenBacklink={handleSearchResultSelect}
+      />
+
+      <ConflictResolutionDialog
+        isOpen={isConflictDialogOpen}
+        setIsOpen={setIsConflictDialogOpen}
       />
     </div>
   );
@@ -1,133 +1,606 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { Command } from 'cmdk';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Command, defaultFilter } from 'cmdk';
 import * as Dialog from '@radix-ui/react-dialog';
 import './CommandPalette.css';
 import DocumentManager from '../services/DocumentManager';
+import searchIndexService from '../services/SearchIndexService';
+import { isInFolder, parentFolder } from '../utils/folders';
+import { normalizeTag } from '../utils/tags';
+import { TEMPLATE_TAG, TEMPLATES_FOLDER } from '../utils/templates';
+
+// Tag suggestions shown while typing "#"
+const MAX_TAG_SUGGESTIONS = 30;
+
+/**
+ * Split a palette query into #tag filters and the remaining search text
+ * @param {string} query - Text typed in the palette
+ * @returns {Object} Object with { tags, text, partialTag } where partialTag is the
+ *   tag being typed at the end of the query (null if the query does not end in one)
+ */
+const parseQuery = (query) => {
+  const tags = [];
+  const words = [];
+  query.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('#')) {
+      tags.push(word.slice(1).toLowerCase());
+    } else {
+      words.push(word);
+    }
+  });
+
+  const partial = query.match(/(?:^|\s)#([^\s#]*)$/);
+  return { tags, text: words.join(' '), partialTag: partial ? partial[1].toLowerCase() : null };
+};
+
+/**
+ * Render text with highlighted ranges
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {Array<Array<number>>} props.ranges - Array of [start, end] offsets to highlight
+ */
+const HighlightedText = ({ text, ranges = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end], index) => {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(<mark key={index} className="command-highlight">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
 
 /**
  * CommandPalette component for document management
  * Uses cmdk for command palette functionality
+ *
+ * Commands either run immediately (onSelect) or ask for input first (prompt).
+ * A prompt is an async function resolving to { title, placeholder, initialValue,
+ * items: [{ value, label, description, icon }], allowCustom, onSubmit }; onSubmit
+ * receives the chosen item value (or the typed text when allowCustom is set) and
+ * may resolve to another prompt for multi-step commands. Passing initialPrompt
+ * opens the palette directly in that prompt.
  */
 const CommandPalette = ({ 
   isOpen, 
   setIsOpen, 
   documents = [],
+  commands = [],
   onDocumentSelect,
-  onDocumentCreate
+  onDocumentCreate,
+  onSearchResultSelect,
+  initialPrompt
 }) => {
   const [search, setSearch] = useState('');
+  const [allTags, setAllTags] = useState([]);
+  const [contentResults, setContentResults] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [folderScope, setFolderScope] = useState('');
+  const [prompt, setPrompt] = useState(null);
+  const [promptError, setPromptError] = useState(null);
   const inputRef = useRef(null);
 
+  // Load folders and templates when the palette opens and whenever the document list changes
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    DocumentManager.getFolders().then(folderList => {
+      if (!cancelled) setFolders(folderList);
+    });
+    DocumentManager.getTemplates().then(templateList => {
+      if (!cancelled) setTemplates(templateList);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, documents]);
+
+  // Refresh the tags while the palette is open and the index changes
+  useEffect(() => {
+    if (!isOpen) return;
+    setAllTags(searchIndexService.getTags());
+    return searchIndexService.addListener(() => setAllTags(searchIndexService.getTags()));
+  }, [isOpen]);
+
+  const query = useMemo(() => parseQuery(search), [search]);
+
+  // Tags matching the tag being typed, and the #tag filters that are complete
+  const { tagSuggestions, tagFilter } = useMemo(() => {
+    if (!isOpen || prompt || query.tags.length === 0) {
+      return { tagSuggestions: [], tagFilter: null };
+    }
+
+    const isKnown = (tag) => allTags.some(item => item.tag === tag);
+    const filterTags = query.tags
+      .map(normalizeTag)
+      .filter(tag => tag && (tag !== query.partialTag || isKnown(tag)));
+
+    return {
+      tagSuggestions: query.partialTag === null
+        ? []
+        : allTags.filter(item => item.tag.startsWith(query.partialTag)).slice(0, MAX_TAG_SUGGESTIONS),
+      tagFilter: filterTags.length > 0 ? searchIndexService.findByTags(filterTags) : null
+    };
+  }, [isOpen, prompt, query, allTags]);
+  const hasTagQuery = query.tags.length > 0;
+
+  // Full-text matches in document bodies and frontmatter, searched again whenever the index changes
+  useEffect(() => {
+    if (!isOpen || prompt || !query.text.trim()) {
+      setContentResults([]);
+      return;
+    }
+    const folderById = new Map(documents.map(doc => [doc.id, doc.folder]));
+
+    // Snippets are read from the database, so only the latest search may show its results
+    let cancelled = false;
+    let latestRun = 0;
+    const runSearch = () => {
+      const run = ++latestRun;
+      searchIndexService.search(query.text)
+        .then(results => {
+          if (cancelled || run !== latestRun) return;
+          setContentResults(results.filter(result => (
+            (!tagFilter || tagFilter.has(result.id)) &&
+            (!folderScope || (folderById.has(result.id) && isInFolder(folderById.get(result.id), folderScope)))
+          )));
+        })
+        .catch(error => console.error('Error searching documents:', error));
+    };
+    runSearch();
+    const unsubscribe = searchIndexService.addListener(runSearch);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [isOpen, prompt, query, folderScope, documents, tagFilter]);
+
+  // Documents and subfolders inside the current folder scope, narrowed by #tag filters
+  const visibleDocuments = documents.filter(doc => (
+    (!folderScope || (doc.type !== 'settings' && isInFolder(doc.folder, folderScope))) &&
+    (!tagFilter || tagFilter.has(doc.id))
+  ));
+  const visibleFolders = hasTagQuery
+    ? []
+    : folders.filter(folder => folder.path !== folderScope && isInFolder(folder.path, folderScope));
+
+  // Match items against the query without its #tag filters, which are applied above
+  const filterItems = useCallback((value, itemSearch, keywords) => {
+    const text = prompt ? itemSearch : parseQuery(itemSearch).text;
+    return text ? defaultFilter(value, text, keywords) : 1;
+  }, [prompt]);
+
+  // Replace the tag being typed with a complete one
+  const completeTag = (tag) => {
+    setSearch(search.replace(/#[^\s#]*$/, `#${tag} `));
+    if (inputRef.current) inputRef.current.focus();
+  };
+
   // Focus the input when the command palette is opened
   useEffect(() => {
     if (isOpen && inputRef.current) {
       inputRef.current.focus();
     }
     
-    // Reset search when opened
+    // Reset search, folder scope and any open prompt when opened
     if (isOpen) {
       setSearch('');
+      setFolderScope('');
+      setPrompt(null);
+      setPromptError(null);
     }
   }, [isOpen]);
+
+  // Run a prompt step and show the prompt it resolves to, or close the palette when done
+  const runPromptStep = useCallback(async (step) => {
+    try {
+      setPromptError(null);
+      const nextPrompt = await step();
+      if (nextPrompt) {
+        setPrompt(nextPrompt);
+        setSearch(nextPrompt.initialValue || '');
+        if (inputRef.current) inputRef.current.focus();
+      } else {
+        setPrompt(null);
+        setIsOpen(false);
+      }
+    } catch (error) {
+      console.error('Command failed:', error);
+      setPromptError(error.message);
+    }
+  }, [setIsOpen]);
+
+  // Start in the requested prompt, e.g. to create the target of a missing link
+  useEffect(() => {
+    if (isOpen && initialPrompt) {
+      runPromptStep(initialPrompt);
+    }
+  }, [isOpen, initialPrompt, runPromptStep]);
+
+  const handleCommandSelect = (command) => {
+    if (command.prompt) {
+      runPromptStep(command.prompt);
+      return;
+    }
+    setIsOpen(false);
+    command.onSelect();
+  };
+
+  // Ask for a template, then create the document from it
+  const createFromTemplate = (title) => {
+    const folder = folderScope;
+    runPromptStep(() => ({
+      title: `Create "${title}" from template`,
+      placeholder: 'Choose a template',
+      items: templates.map(template => ({
+        value: template.id,
+        label: template.title,
+        icon: '📋',
+        description: template.folder ? `📁 ${template.folder}` : undefined
+      })),
+      onSubmit: (templateId) => {
+        onDocumentCreate(title, folder, templateId);
+      }
+    }));
+  };
+
+  const submitPrompt = useCallback((value) => {
+    const currentPrompt = prompt;
+    runPromptStep(() => currentPrompt.onSubmit(value));
+  }, [prompt, runPromptStep]);
   
   // Handle key down events for creating new documents with Ctrl+Enter
   const handleKeyDown = useCallback((e) => {
+    // Backspace in an empty input leaves the prompt or the current folder
+    if (e.key === 'Backspace' && !search) {
+      if (prompt) {
+        setPrompt(null);
+        setPromptError(null);
+        e.preventDefault();
+      } else if (folderScope) {
+        setFolderScope(parentFolder(folderScope));
+        e.preventDefault();
+      }
+      return;
+    }
+
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter' && search.trim()) {
+      e.preventDefault();
+      if (prompt) {
+        if (prompt.allowCustom) submitPrompt(search.trim());
+        return;
+      }
+      if (hasTagQuery) return;
       // Create new document with the current search text as title
-      onDocumentCreate(search.trim());
+      onDocumentCreate(search.trim(), folderScope);
       setIsOpen(false);
       setSearch('');
-      e.preventDefault();
     }
-  }, [search, onDocumentCreate, setIsOpen]);
+  }, [search, prompt, folderScope, hasTagQuery, submitPrompt, onDocumentCreate, setIsOpen]);
+
+  const promptItems = prompt ? (prompt.items || []) : [];
+  const showCustomValue = prompt && prompt.allowCustom && search.trim() &&
+    !promptItems.some(item => item.value === search.trim());
+
+  const placeholder = prompt
+    ? (prompt.placeholder || 'Type to filter')
+    : (folderScope
+      ? `Search in ${folderScope} or type a new title + Ctrl+Enter`
+      : 'Search documents or type a new title + Ctrl+Enter');
 
   return (
     <Dialog.Root open={isOpen} onOpenChange={setIsOpen}>
       <Dialog.Portal>
         <Dialog.Overlay className="command-overlay" />
         <Dialog.Content className="command-content">
-          <Command className="command-palette" label="Command Palette" loop={true} shouldFilter={true}>
+          <Command className="command-palette" label="Command Palette" loop={true} shouldFilter={true} filter={filterItems}>
             <div className="command-header">
+              {(prompt || folderScope) && (
+                <div className="command-context">
+                  {prompt ? (
+                    <span className="command-context-title">{prompt.title}</span>
+                  ) : (
+                    <span className="command-context-title">📁 {folderScope}</span>
+                  )}
+                  <button
+                    className="command-context-clear"
+                    onClick={() => {
+                      setPrompt(null);
+                      setPromptError(null);
+                      if (!prompt) setFolderScope('');
+                      setSearch('');
+                    }}
+                    aria-label={prompt ? 'Cancel' : 'Show all documents'}
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
               <Command.Input
                 ref={inputRef}
                 value={search}
                 onValueChange={setSearch}
                 onKeyDown={handleKeyDown}
-                placeholder="Search documents or type a new title + Ctrl+Enter"
+                placeholder={placeholder}
                 className="command-input"
                 autoFocus
               />
+              {promptError && <div className="command-error">{promptError}</div>}
               <div className="command-tip">
-                <span className="command-tip-text">Press <kbd>Enter</kbd> to open, <kbd>Ctrl+Enter</kbd> to create new</span>
+                {prompt ? (
+                  <span className="command-tip-text">
+                    Press <kbd>Enter</kbd> to choose{prompt.allowCustom && <>, <kbd>Ctrl+Enter</kbd> to use the typed text</>}, <kbd>Backspace</kbd> to go back
+                  </span>
+                ) : (
+                  <span className="command-tip-text">Press <kbd>Enter</kbd> to open, <kbd>Ctrl+Enter</kbd> to create new, <kbd>#</kbd> to filter by tag</span>
+                )}
               </div>
             </div>
             
-            <Command.List className="command-list">
-              {/* Show empty state */}
-              <Command.Empty className="command-empty">
-                <div className="command-empty-state">
-                  <p>No documents found</p>
-                  {search.trim() && (
-                    <p className="command-empty-tip">
-                      Press <kbd>Ctrl+Enter</kbd> to create "<strong>{search.trim()}</strong>" as a new document
-                    </p>
-                  )}
-                </div>
-              </Command.Empty>
-              
-              {/* List all documents */}
-              <Command.Group heading="Documents">
-                {documents.map((document) => (
+            {prompt ? (
+              <Command.List className="command-list">
+                <Command.Empty className="command-empty">
+                  <div className="command-empty-state">
+                    <p>No matches</p>
+                  </div>
+                </Command.Empty>
+
+                {promptItems.map((item) => (
                   <Command.Item
-                    key={document.id}
+                    key={item.value}
                     className="command-item"
+                    value={`prompt-${item.value}`}
+                    keywords={[item.label]}
+                    onSelect={() => submitPrompt(item.value)}
+                  >
+                    <div className="command-icon">{item.icon || '▸'}</div>
+                    <div className="command-details">
+                      <div className="command-name">{item.label}</div>
+                      {item.description && (
+                        <div className="command-description">{item.description}</div>
+                      )}
+                    </div>
+                  </Command.Item>
+                ))}
+
+                {showCustomValue && (
+                  <Command.Item
+                    className="command-item command-create-new"
+                    value="prompt-custom-value"
+                    forceMount
+                    onSelect={() => submitPrompt(search.trim())}
+                  >
+                    <div className="command-icon">➕</div>
+                    <div className="command-details">
+                      <div className="command-name">Use "{search.trim()}"</div>
+                    </div>
+                    <div className="command-shortcut">
+                      <span className="command-key">Ctrl</span>
+                      <span className="command-key">Enter</span>
+                    </div>
+                  </Command.Item>
+                )}
+              </Command.List>
+            ) : (
+              <Command.List className="command-list">
+                {/* Show empty state */}
+                <Command.Empty className="command-empty">
+                  <div className="command-empty-state">
+                    <p>{contentResults.length > 0 ? 'No matching titles' : 'No documents found'}</p>
+                    {search.trim() && !hasTagQuery && (
+                      <p className="command-empty-tip">
+                        Press <kbd>Ctrl+Enter</kbd> to create "<strong>{search.trim()}</strong>" as a new document
+                      </p>
+                    )}
+                  </div>
+                </Command.Empty>
+              
+                {/* Tags matching the "#tag" being typed, with the number of documents using them */}
+                {query.partialTag !== null && (
+                  <Command.Group heading="Tags" forceMount>
+                    {tagSuggestions.length === 0 && (
+                      <div className="command-description command-tag-empty">No tags starting with "#{query.partialTag}"</div>
+                    )}
+                    {tagSuggestions.map(({ tag, count }) => (
+                      <Command.Item
+                        key={`tag-${tag}`}
+                        className="command-item"
+                        value={`tag-${tag}`}
+                        forceMount
+                        onSelect={() => completeTag(tag)}
+                      >
+                        <div className="command-icon">#</div>
+                        <div className="command-details">
+                          <div className="command-name">{tag}</div>
+                        </div>
+                        <span className="command-tag-count">{count}</span>
+                      </Command.Item>
+                    ))}
+                  </Command.Group>
+                )}
+
+                {/* Folders inside the current scope, selecting one narrows the list to it */}
+                {visibleFolders.length > 0 && (
+                  <Command.Group heading="Folders">
+                    {visibleFolders.map((folder) => (
+                      <Command.Item
+                        key={`folder-${folder.path}`}
+                        className="command-item"
+                        value={`folder-${folder.path}`}
+                        keywords={[folder.path]}
+                        onSelect={() => {
+                          setFolderScope(folder.path);
+                          setSearch('');
+                        }}
+                      >
+                        <div className="command-icon">📁</div>
+                        <div className="command-details">
+                          <div className="command-name">
+                            {folder.parent && <span className="command-folder-parent">{folder.parent}/</span>}
+                            {folder.name}
+                          </div>
+                          <div className="command-description">
+                            {folder.documentCount} document{folder.documentCount === 1 ? '' : 's'}
+                          </div>
+                        </div>
+                        <div className="command-action">
+                          <span className="command-action-tip">Open folder</span>
+                        </div>
+                      </Command.Item>
+                    ))}
+                  </Command.Group>
+                )}
+
+                {/* List all documents */}
+                <Command.Group heading="Documents">
+                  {visibleDocuments.map((document) => (
+                    <Command.Item
+                      key={document.id}
+                      className="command-item"
+                      onSelect={() => {
+                        onDocumentSelect(document);
+                        setIsOpen(false);
+                      }}
+                      value={document.title} // This helps with filtering
+                      keywords={document.folder ? [document.folder] : undefined}
+                    >
+                      <div className="command-icon">{document.icon || '📝'}</div>
+                      <div className="command-details">
+                        <div className="command-name">{document.title}</div>
+                        <div className="command-description">
+                          {document.type === 'settings' ? (
+                            'Application settings (Ctrl+S to save)'
+                          ) : (
+                            <>
+                              {document.folder && <span className="command-folder">📁 {document.folder}</span>}
+                              Last updated: {new Date(document.updatedAt).toLocaleString()}
+                              {searchIndexService.getDocumentTags(document.id).map(tag => (
+                                <span key={tag} className="command-tag">#{tag}</span>
+                              ))}
+                            </>
+                          )}
+                        </div>
+                      </div>
+                      <div className="command-action">
+                        <span className="command-action-tip">Press Enter</span>
+                      </div>
+                    </Command.Item>
+                  ))}
+                </Command.Group>
+
+                {/* Editor commands */}
+                {commands.length > 0 && !hasTagQuery && (
+                  <Command.Group heading="Commands">
+                    {commands.map((command) => (
+                      <Command.Item
+                        key={command.id}
+                        className="command-item"
+                        value={`command-${command.id}`}
+                        keywords={[command.title]}
+                        onSelect={() => handleCommandSelect(command)}
+                      >
+                        <div className="command-icon">{command.icon || '⚡'}</div>
+                        <div className="command-details">
+                          <div className="command-name">{command.title}</div>
+                          {command.description && (
+                            <div className="command-description">{command.description}</div>
+                          )}
+                        </div>
+                        {command.shortcut && (
+                          <div className="command-shortcut">
+                            {command.shortcut.split('+').map(key => (
+                              <span key={key} className="command-key">{key}</span>
+                            ))}
+                          </div>
+                        )}
+                      </Command.Item>
+                    ))}
+                  </Command.Group>
+                )}
+
+                {/* Full-text matches, ranked by the search index */}
+                {contentResults.length > 0 && (
+                  <Command.Group heading="Content matches" forceMount>
+                    {contentResults.map((result) => {
+                      const snippet = result.snippets[0];
+                      return (
+                        <Command.Item
+                          key={`content-${result.id}`}
+                          className="command-item command-search-result"
+                          value={`content-${result.id}`}
+                          onSelect={() => {
+                            onSearchResultSelect(result.id, snippet || { line: 1, column: 0 });
+                            setIsOpen(false);
+                          }}
+                        >
+                          <div className="command-icon">🔍</div>
+                          <div className="command-details">
+                            <div className="command-name">
+                              <HighlightedText text={result.title} ranges={result.titleRanges} />
+                            </div>
+                            {result.snippets.map((match) => (
+                              <div key={match.line} className="command-description command-snippet">
+                                <span className="command-snippet-line">{match.line}</span>
+                                <HighlightedText text={match.text} ranges={match.ranges} />
+                              </div>
+                            ))}
+                          </div>
+                          <div className="command-action">
+                            <span className="command-action-tip">Jump to match</span>
+                          </div>
+                        </Command.Item>
+                      );
+                    })}
+                  </Command.Group>
+                )}
+              
+                {/* Create new document option */}
+                {search.trim() && !hasTagQuery && (
+                  <Command.Item 
+                    className="command-item command-create-new"
                     onSelect={() => {
-                      onDocumentSelect(document);
+                      onDocumentCreate(search.trim(), folderScope);
                       setIsOpen(false);
                     }}
-                    value={document.title} // This helps with filtering
                   >
-                    <div className="command-icon">{document.icon || '📝'}</div>
+                    <div className="command-icon">➕</div>
                     <div className="command-details">
-                      <div className="command-name">{document.title}</div>
+                      <div className="command-name">Create "{search.trim()}"</div>
                       <div className="command-description">
-                        {document.type === 'settings' ? (
-                          'Application settings (Ctrl+S to save)'
-                        ) : (
-                          `Last updated: ${new Date(document.updatedAt).toLocaleString()}`
-                        )}
+                        {folderScope ? `Create a new document in ${folderScope}` : 'Create a new document with this title'}
                       </div>
                     </div>
-                    <div className="command-action">
-                      <span className="command-action-tip">Press Enter</span>
+                    <div className="command-shortcut">
+                      <span className="command-key">Ctrl</span>
+                      <span className="command-key">Enter</span>
                     </div>
                   </Command.Item>
-                ))}
-              </Command.Group>
-              
-              {/* Create new document option */}
-              {search.trim() && (
-                <Command.Item 
-                  className="command-item command-create-new"
-                  onSelect={() => {
-                    onDocumentCreate(search.trim());
-                    setIsOpen(false);
-                  }}
-                >
-                  <div className="command-icon">➕</div>
-                  <div className="command-details">
-                    <div className="command-name">Create "{search.trim()}"</div>
-                    <div className="command-description">
-                      Create a new document with this title
+                )}
+
+                {/* Create from one of the template documents */}
+                {search.trim() && !hasTagQuery && templates.length > 0 && (
+                  <Command.Item
+                    className="command-item command-create-new"
+                    value={`create-from-template-${search.trim()}`}
+                    onSelect={() => createFromTemplate(search.trim())}
+                  >
+                    <div className="command-icon">📋</div>
+                    <div className="command-details">
+                      <div className="command-name">Create "{search.trim()}" from template...</div>
+                      <div className="command-description">
+                        {templates.length} template{templates.length === 1 ? '' : 's'} in the {TEMPLATES_FOLDER} folder or tagged #{TEMPLATE_TAG}
+                      </div>
                     </div>
-                  </div>
-                  <div className="command-shortcut">
-                    <span className="command-key">Ctrl</span>
-                    <span className="command-key">Enter</span>
-                  </div>
-                </Command.Item>
-              )}
-            </Command.List>
+                  </Command.Item>
+                )}
+              </Command.List>
+            )}
           </Command>
         </Dialog.Content>
       </Dialog.Portal>
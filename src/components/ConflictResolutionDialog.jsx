@@ -0,0 +1,330 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { DatabaseService } from '../services/DatabaseService';
+import './ConflictResolutionDialog.css';
+
+// Choice for a changed chunk that keeps the common ancestor text
+const BASE = 'base';
+
+/**
+ * Default choice for every chunk: clean merges are taken automatically,
+ * overlapping edits stay undecided until the user picks a side
+ * @param {Array<Object>} chunks - Chunks from getConflictDetails
+ * @returns {Array} One choice per chunk (null for stable or undecided chunks)
+ */
+const defaultChoices = (chunks) => chunks.map(chunk => {
+  if (chunk.type === 'stable' || !chunk.resolved) return null;
+  return chunk.variants.length === 0 ? BASE : [chunk.variants[0][0]];
+});
+
+/**
+ * Build the merged text from chunk choices
+ * @param {Array<Object>} chunks - Chunks from getConflictDetails
+ * @param {Array} choices - Choice per chunk: BASE, an array of version indexes, or null
+ * @returns {string} Merged text, undecided chunks are left out
+ */
+const composeContent = (chunks, choices) => {
+  const lines = [];
+  chunks.forEach((chunk, index) => {
+    if (chunk.type === 'stable') {
+      lines.push(...chunk.lines);
+    } else if (choices[index] === BASE) {
+      lines.push(...chunk.base);
+    } else if (Array.isArray(choices[index])) {
+      choices[index].forEach(version => lines.push(...chunk.versions[version]));
+    }
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Apply the chosen value of every conflicting field to the merged document
+ * @param {Object} merged - Automatically merged document
+ * @param {Array<Object>} fieldConflicts - Conflicts as { key, values }, frontmatter keys prefixed
+ * @param {Object} fieldChoices - Chosen version index per conflicting key
+ * @returns {Object} Document with the chosen field values
+ */
+const applyFieldChoices = (merged, fieldConflicts, fieldChoices) => {
+  const doc = { ...merged, frontmatter: { ...(merged.frontmatter || {}) } };
+
+  fieldConflicts.forEach(({ key, values }) => {
+    const value = values[fieldChoices[key] || 0];
+    const [target, field] = key.startsWith('frontmatter.')
+      ? [doc.frontmatter, key.slice('frontmatter.'.length)]
+      : [doc, key];
+    if (value === undefined) {
+      delete target[field];
+    } else {
+      target[field] = value;
+    }
+  });
+
+  return doc;
+};
+
+/**
+ * Format a field value for display
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+const formatValue = (value) => (value === undefined ? '(removed)' : JSON.stringify(value));
+
+/**
+ * ConflictResolutionDialog - side-by-side, hunk-level resolution of sync conflicts
+ */
+const ConflictResolutionDialog = ({ isOpen, setIsOpen, onResolved }) => {
+  const [conflicts, setConflicts] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [choices, setChoices] = useState([]);
+  const [fieldChoices, setFieldChoices] = useState({});
+  const [mergedContent, setMergedContent] = useState('');
+  const [isEdited, setIsEdited] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadConflicts = useCallback(async () => {
+    const conflictList = await DatabaseService.getConflicts();
+    setConflicts(conflictList);
+    setSelectedId(current => (
+      conflictList.some(conflict => conflict.id === current)
+        ? current
+        : (conflictList[0] ? conflictList[0].id : null)
+    ));
+  }, []);
+
+  // Load the conflict list whenever the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setError(null);
+      loadConflicts();
+    }
+  }, [isOpen, loadConflicts]);
+
+  // Load leaf revisions and chunks of the selected document
+  useEffect(() => {
+    if (!isOpen || !selectedId) {
+      setDetails(null);
+      return;
+    }
+
+    let cancelled = false;
+    async function loadDetails() {
+      try {
+        const conflictDetails = await DatabaseService.getConflictDetails(selectedId);
+        if (cancelled) return;
+        const initialChoices = conflictDetails ? defaultChoices(conflictDetails.chunks) : [];
+        setDetails(conflictDetails);
+        setChoices(initialChoices);
+        setFieldChoices({});
+        setMergedContent(conflictDetails ? composeContent(conflictDetails.chunks, initialChoices) : '');
+        setIsEdited(false);
+      } catch (loadError) {
+        console.error('Error loading conflict details:', loadError);
+        if (!cancelled) setError(loadError.message);
+      }
+    }
+
+    loadDetails();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, selectedId]);
+
+  const updateChoice = (chunkIndex, choice) => {
+    const nextChoices = choices.map((current, index) => (index === chunkIndex ? choice : current));
+    setChoices(nextChoices);
+    // Picking a hunk rebuilds the merged text, replacing manual edits
+    setMergedContent(composeContent(details.chunks, nextChoices));
+    setIsEdited(false);
+  };
+
+  const toggleVersion = (chunkIndex, version) => {
+    const current = Array.isArray(choices[chunkIndex]) ? choices[chunkIndex] : [];
+    const next = current.includes(version)
+      ? current.filter(item => item !== version)
+      : [...current, version];
+    updateChoice(chunkIndex, next.length > 0 ? next : null);
+  };
+
+  const undecided = details
+    ? details.chunks.filter((chunk, index) => chunk.type === 'change' && choices[index] === null).length
+    : 0;
+
+  const handleSave = async () => {
+    if (!details) return;
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      const [winningLeaf, ...losingLeaves] = details.leaves;
+      const resolvedDoc = applyFieldChoices(details.merged, details.fieldConflicts, fieldChoices);
+      await DatabaseService.saveConflictResolution(
+        { ...resolvedDoc, _rev: winningLeaf._rev, content: mergedContent },
+        losingLeaves.map(leaf => leaf._rev)
+      );
+      console.log(`Resolved conflict for document ${details.id} by hand`);
+
+      window.dispatchEvent(new CustomEvent('documentsUpdated', {
+        detail: { documentIds: [details.id] }
+      }));
+      if (onResolved) {
+        onResolved(details.id);
+      }
+      await loadConflicts();
+    } catch (saveError) {
+      console.error('Error saving conflict resolution:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const formatTime = (timeString) => {
+    if (!timeString) return 'Unknown time';
+    return new Date(timeString).toLocaleString();
+  };
+
+  const columns = details ? details.leaves.length : 0;
+
+  return (
+    <Dialog.Root open={isOpen} onOpenChange={setIsOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="command-overlay" />
+        <Dialog.Content className="conflict-dialog">
+          <div className="conflict-dialog-header">
+            <Dialog.Title className="conflict-dialog-title">Resolve sync conflicts</Dialog.Title>
+            <Dialog.Close className="conflict-dialog-close" aria-label="Close">✕</Dialog.Close>
+          </div>
+
+          {error && <div className="conflict-dialog-error">{error}</div>}
+
+          <div className="conflict-dialog-body">
+            <ul className="conflict-list">
+              {conflicts.length === 0 && <li className="conflict-empty">✅ No conflicts</li>}
+              {conflicts.map(conflict => (
+                <li
+                  key={conflict.id}
+                  className={`conflict-list-item ${conflict.id === selectedId ? 'selected' : ''}`}
+                  onClick={() => setSelectedId(conflict.id)}
+                >
+                  <div className="conflict-list-title">{conflict.doc.title || conflict.id}</div>
+                  <div className="conflict-list-meta">{conflict.conflicts.length + 1} versions</div>
+                </li>
+              ))}
+            </ul>
+
+            {details && (
+              <div className="conflict-workspace">
+                <div className="conflict-columns" style={{ gridTemplateColumns: `repeat(${columns}, 1fr)` }}>
+                  {details.leaves.map((leaf, index) => (
+                    <div key={leaf._rev} className="conflict-column-header" title={leaf._rev}>
+                      <strong>Version {leaf._rev.split('-')[0]}</strong>
+                      {index === 0 && <span className="conflict-winner">current</span>}
+                      <div className="conflict-column-time">{formatTime(leaf.updatedAt)}</div>
+                    </div>
+                  ))}
+                </div>
+
+                {details.fieldConflicts.length > 0 && (
+                  <div className="conflict-fields">
+                    <div className="conflict-result-header">Fields changed on several devices</div>
+                    {details.fieldConflicts.map(({ key, values }) => (
+                      <div key={key} className="conflict-field">
+                        <span className="conflict-field-name">{key}</span>
+                        <div className="conflict-columns" style={{ gridTemplateColumns: `repeat(${columns}, 1fr)` }}>
+                          {values.map((value, version) => {
+                            const chosen = (fieldChoices[key] || 0) === version;
+                            return (
+                              <button
+                                key={version}
+                                className={`conflict-hunk-button ${chosen ? 'chosen' : ''}`}
+                                onClick={() => setFieldChoices({ ...fieldChoices, [key]: version })}
+                              >
+                                {chosen ? '✓ ' : ''}{formatValue(value)}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div className="conflict-chunks">
+                  {details.chunks.map((chunk, chunkIndex) => (
+                    chunk.type === 'stable' ? (
+                      <div key={chunkIndex} className="conflict-chunk stable">
+                        <pre>{chunk.lines.length > 6
+                          ? [...chunk.lines.slice(0, 2), `⋯ ${chunk.lines.length - 4} unchanged lines`, ...chunk.lines.slice(-2)].join('\n')
+                          : chunk.lines.join('\n')}</pre>
+                      </div>
+                    ) : (
+                      <div
+                        key={chunkIndex}
+                        className={`conflict-chunk change ${chunk.resolved ? 'clean' : 'conflicting'} ${choices[chunkIndex] === null ? 'undecided' : ''}`}
+                      >
+                        <div className="conflict-columns" style={{ gridTemplateColumns: `repeat(${columns}, 1fr)` }}>
+                          {chunk.versions.map((lines, version) => {
+                            const chosen = Array.isArray(choices[chunkIndex]) && choices[chunkIndex].includes(version);
+                            return (
+                              <div key={version} className={`conflict-hunk ${chosen ? 'chosen' : ''}`}>
+                                <pre>{lines.length > 0 ? lines.join('\n') : '(removed)'}</pre>
+                                <button className="conflict-hunk-button" onClick={() => toggleVersion(chunkIndex, version)}>
+                                  {chosen ? '✓ Accepted' : 'Accept'}
+                                </button>
+                              </div>
+                            );
+                          })}
+                        </div>
+                        <div className="conflict-chunk-footer">
+                          <span>{chunk.resolved ? 'Merges cleanly' : 'Edited on several devices'}</span>
+                          <button
+                            className={`conflict-hunk-button ${choices[chunkIndex] === BASE ? 'chosen' : ''}`}
+                            onClick={() => updateChoice(chunkIndex, BASE)}
+                            title={chunk.base.join('\n')}
+                          >
+                            Keep original
+                          </button>
+                        </div>
+                      </div>
+                    )
+                  ))}
+                </div>
+
+                <div className="conflict-result">
+                  <div className="conflict-result-header">
+                    Merged result {isEdited && <span className="conflict-edited">(edited)</span>}
+                  </div>
+                  <textarea
+                    className="conflict-result-text"
+                    value={mergedContent}
+                    onChange={(e) => {
+                      setMergedContent(e.target.value);
+                      setIsEdited(true);
+                    }}
+                  />
+                </div>
+
+                <div className="conflict-actions">
+                  {undecided > 0 && !isEdited && (
+                    <span className="conflict-pending">{undecided} conflicting hunk{undecided > 1 ? 's' : ''} left to decide</span>
+                  )}
+                  <button
+                    className="conflict-save-button"
+                    onClick={handleSave}
+                    disabled={isSaving || (undecided > 0 && !isEdited)}
+                  >
+                    {isSaving ? 'Saving...' : `Save and remove ${details.leaves.length - 1} other version${details.leaves.length > 2 ? 's' : ''}`}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+};
+
+export default ConflictResolutionDialog;
@@ -1,14 +1,34 @@
 import React, { useState } from 'react';
 import { DatabaseService } from '../services/DatabaseService';
+import configManager from '../services/ConfigService';
 import './ConflictResolver.css';
 
 const ConflictResolver = ({ conflictCount, onRefresh }) => {
   const [isResolving, setIsResolving] = useState(false);
+  const [previews, setPreviews] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  const handlePreview = async () => {
+    if (previews) {
+      setPreviews(null);
+      return;
+    }
+
+    try {
+      setIsPreviewing(true);
+      setPreviews(await DatabaseService.previewConflictResolutions());
+    } catch (error) {
+      console.error('Error previewing conflict resolution:', error);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
 
   const handleAutoResolve = async () => {
     try {
       setIsResolving(true);
       const resolved = await DatabaseService.autoResolveConflicts();
+      setPreviews(null);
       
       if (resolved > 0) {
         console.log(`Auto-resolved ${resolved} conflict(s)`);
@@ -35,6 +55,19 @@ const ConflictResolver = ({ conflictCount, onRefresh }) => {
         <span className="conflict-message">
           {conflictCount} document conflict{conflictCount > 1 ? 's' : ''} detected
         </span>
+        <button
+          onClick={() => window.dispatchEvent(new CustomEvent('openConflictResolver'))}
+          className="review-conflicts-button"
+        >
+          Review...
+        </button>
+        <button
+          onClick={handlePreview}
+          disabled={isPreviewing}
+          className="review-conflicts-button"
+        >
+          {previews ? 'Hide preview' : (isPreviewing ? 'Loading...' : 'Preview')}
+        </button>
         <button 
           onClick={handleAutoResolve}
           disabled={isResolving}
@@ -43,8 +76,34 @@ const ConflictResolver = ({ conflictCount, onRefresh }) => {
           {isResolving ? 'Resolving...' : 'Auto-Resolve'}
         </button>
       </div>
+      {previews && (
+        <ul className="conflict-preview">
+          {previews.length === 0 && <li>Nothing to resolve automatically</li>}
+          {previews.map(plan => (
+            <li key={plan.id}>
+              <strong>{plan.title}</strong>
+              <span className="conflict-preview-policy">{plan.policy}</span>
+              <span className="conflict-preview-stats">
+                <span className="added">+{plan.summary.added}</span>
+                <span className="removed">−{plan.summary.removed}</span>
+              </span>
+              {plan.summary.changedFields.length > 0 && (
+                <span> fields: {plan.summary.changedFields.join(', ')}</span>
+              )}
+              {plan.summary.contentConflicts > 0 && (
+                <span className="conflict-preview-warning"> {plan.summary.contentConflicts} region(s) with conflict markers</span>
+              )}
+              {plan.summary.copies.length > 0 && (
+                <span> {plan.summary.copies.length} conflicted cop{plan.summary.copies.length > 1 ? 'ies' : 'y'}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
       <div className="conflict-help">
-        Conflicts are usually resolved automatically. Click "Auto-Resolve" to merge changes or create conflict markers.
+        {configManager.get('autoResolveOnSync')
+          ? 'Conflicts are usually resolved automatically.'
+          : 'Automatic resolution after sync is off (autoResolveOnSync).'} Click "Review..." to compare the versions side by side and pick changes yourself, "Preview" to see what automatic resolution would change, or "Auto-Resolve" to apply it.
       </div>
     </div>
   );
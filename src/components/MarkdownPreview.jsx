@@ -0,0 +1,102 @@
+import { useDeferredValue, useEffect, useMemo, useRef, useState } from 'react';
+import { LanguageDescription } from '@codemirror/language';
+import { languages } from '@codemirror/language-data';
+import { renderMarkdown } from '../utils/markdownRenderer';
+import { resolveWikiLink } from '../utils/links';
+import { parseAttachmentUrl } from '../utils/attachments';
+import DocumentManager from '../services/DocumentManager';
+import './MarkdownPreview.css';
+
+/**
+ * MarkdownPreview component - rendered, sanitized view of the document being edited
+ * Fenced code is highlighted with the same language modes as the editor,
+ * which are loaded on demand. attachment: links and images are shown through
+ * object URLs of the document's attachments.
+ */
+const MarkdownPreview = ({
+  content,
+  documentId,
+  documents = [],
+  containerRef,
+  onScroll,
+  onOpenWikiLink
+}) => {
+  // Render at lower priority so typing in the editor stays responsive
+  const deferredContent = useDeferredValue(content);
+  const [loadedLanguages, setLoadedLanguages] = useState(new Map());
+  const [attachmentUrls, setAttachmentUrls] = useState(new Map());
+  const requestedAttachmentsRef = useRef(new Set());
+  const objectUrlsRef = useRef([]);
+
+  // Forget the previous document's attachments and release their object URLs
+  useEffect(() => {
+    requestedAttachmentsRef.current = new Set();
+    setAttachmentUrls(new Map());
+    return () => {
+      objectUrlsRef.current.forEach(url => URL.revokeObjectURL(url));
+      objectUrlsRef.current = [];
+    };
+  }, [documentId]);
+
+  const html = useMemo(() => renderMarkdown(deferredContent, {
+    codeLanguage: (name) => {
+      const description = LanguageDescription.matchLanguageName(languages, name, true);
+      if (!description) return null;
+      if (loadedLanguages.has(description.name)) return loadedLanguages.get(description.name);
+      if (description.support) return description.support.language;
+
+      description.load()
+        .then(support => setLoadedLanguages(loaded => new Map(loaded).set(description.name, support.language)))
+        .catch(error => console.warn(`Error loading ${name} highlighting:`, error));
+      return null;
+    },
+    resolveWikiLink: (target) => resolveWikiLink(target, documents),
+    resolveUrl: (url) => {
+      const name = parseAttachmentUrl(url);
+      if (name === null) return url;
+      if (attachmentUrls.get(name)) return attachmentUrls.get(name);
+
+      const requested = requestedAttachmentsRef.current;
+      if (!requested.has(name)) {
+        requested.add(name);
+        DocumentManager.getAttachment(documentId, name).then(blob => {
+          // Ignore attachments that arrive after switching documents
+          if (requested !== requestedAttachmentsRef.current) return;
+          if (!blob) {
+            console.warn(`Attachment "${name}" of ${documentId} not found`);
+            return;
+          }
+          const objectUrl = URL.createObjectURL(blob);
+          objectUrlsRef.current.push(objectUrl);
+          setAttachmentUrls(urls => new Map(urls).set(name, objectUrl));
+        });
+      }
+      return url;
+    }
+  }), [deferredContent, documents, loadedLanguages, attachmentUrls, documentId]);
+
+  // Wiki links open documents, other links open in a new tab instead of replacing the app
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    if (!link) return;
+
+    e.preventDefault();
+    if (link.dataset.wikilink) {
+      onOpenWikiLink(link.dataset.wikilink);
+    } else if (link.getAttribute('href') && !link.getAttribute('href').startsWith('#')) {
+      window.open(link.href, '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="markdown-preview"
+      onScroll={onScroll}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownPreview;
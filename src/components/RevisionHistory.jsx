@@ -0,0 +1,256 @@
+import { useState, useEffect, useMemo } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import DocumentManager from '../services/DocumentManager';
+import { diffLines, diffStats } from '../utils/diff';
+import './RevisionHistory.css';
+
+// Unchanged lines shown around each change in the diff view
+const DIFF_CONTEXT = 3;
+
+const CURRENT = 'current';
+
+/**
+ * Collapse long runs of unchanged lines in a diff
+ * @param {Array<Object>} ops - Result of diffLines
+ * @returns {Array<Object>} Rows with { type, text, oldLine, newLine } or { type: 'skip', count }
+ */
+const buildDiffRows = (ops) => {
+  const rows = [];
+
+  ops.forEach((op, index) => {
+    op.lines.forEach((text, offset) => {
+      rows.push({
+        type: op.type,
+        text,
+        oldLine: op.type === 'insert' ? null : op.oldStart + offset + 1,
+        newLine: op.type === 'delete' ? null : op.newStart + offset + 1,
+        opIndex: index,
+        offset
+      });
+    });
+  });
+
+  const visible = [];
+  let skipped = 0;
+  rows.forEach(row => {
+    if (row.type !== 'equal') {
+      visible.push(row);
+      return;
+    }
+
+    const op = ops[row.opIndex];
+    const nearPrevious = row.opIndex > 0 && row.offset < DIFF_CONTEXT;
+    const nearNext = row.opIndex < ops.length - 1 && op.lines.length - row.offset <= DIFF_CONTEXT;
+    if (nearPrevious || nearNext) {
+      if (skipped > 0) {
+        visible.push({ type: 'skip', count: skipped });
+        skipped = 0;
+      }
+      visible.push(row);
+    } else {
+      skipped++;
+    }
+  });
+
+  if (skipped > 0) {
+    visible.push({ type: 'skip', count: skipped });
+  }
+
+  return visible;
+};
+
+/**
+ * RevisionHistory component - browse, compare and restore document revisions
+ */
+const RevisionHistory = ({
+  isOpen,
+  setIsOpen,
+  document,
+  currentContent,
+  onRestore
+}) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selectedRev, setSelectedRev] = useState(null);
+  const [compareRev, setCompareRev] = useState(CURRENT);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+  const documentId = document?.id;
+
+  // Load revisions whenever the panel is opened
+  useEffect(() => {
+    if (!isOpen || !documentId) return;
+
+    let cancelled = false;
+    async function loadRevisions() {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const history = await DocumentManager.getRevisionHistory(documentId);
+        if (cancelled) return;
+        setRevisions(history);
+        // Compare the previous available revision with the current text by default
+        const previous = history.find((revision, index) => index > 0 && revision.available);
+        setSelectedRev(previous ? previous.rev : null);
+        setCompareRev(CURRENT);
+      } catch (loadError) {
+        console.error('Error loading revision history:', loadError);
+        if (!cancelled) setError(loadError.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }
+
+    loadRevisions();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, documentId]);
+
+  const getContent = (rev) => {
+    if (rev === CURRENT) return currentContent;
+    const revision = revisions.find(item => item.rev === rev);
+    return revision && revision.available ? revision.content : null;
+  };
+
+  const selectedContent = getContent(selectedRev);
+  const compareContent = getContent(compareRev);
+
+  const { diffRows, stats } = useMemo(() => {
+    if (selectedContent === null || compareContent === null) {
+      return { diffRows: null, stats: null };
+    }
+    const ops = diffLines(selectedContent, compareContent);
+    return { diffRows: buildDiffRows(ops), stats: diffStats(ops) };
+  }, [selectedContent, compareContent]);
+
+  const handleRestore = async () => {
+    if (!selectedRev) return;
+
+    try {
+      setIsRestoring(true);
+      const savedDoc = await DocumentManager.restoreRevision(document.id, selectedRev);
+      console.log(`Restored revision ${selectedRev} of ${document.id}`);
+      onRestore(savedDoc);
+      setIsOpen(false);
+    } catch (restoreError) {
+      console.error('Error restoring revision:', restoreError);
+      setError(restoreError.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const formatTime = (timeString) => {
+    if (!timeString) return 'Unknown time';
+    return new Date(timeString).toLocaleString();
+  };
+
+  const statusLabel = (revision) => {
+    if (revision.status === 'deleted') return 'Deleted';
+    if (!revision.available) return 'Unavailable (compacted)';
+    return formatTime(revision.updatedAt);
+  };
+
+  return (
+    <Dialog.Root open={isOpen} onOpenChange={setIsOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="command-overlay" />
+        <Dialog.Content className="revision-history">
+          <div className="revision-header">
+            <Dialog.Title className="revision-title">
+              History: {document?.title}
+            </Dialog.Title>
+            <Dialog.Close className="revision-close" aria-label="Close">✕</Dialog.Close>
+          </div>
+
+          {error && <div className="revision-error">{error}</div>}
+
+          <div className="revision-body">
+            <ul className="revision-list">
+              {isLoading && <li className="revision-empty">Loading revisions...</li>}
+              {!isLoading && revisions.length === 0 && (
+                <li className="revision-empty">No stored revisions</li>
+              )}
+              {revisions.map((revision, index) => (
+                <li
+                  key={revision.rev}
+                  className={[
+                    'revision-item',
+                    revision.available ? '' : 'unavailable',
+                    revision.rev === selectedRev ? 'selected' : ''
+                  ].join(' ')}
+                  onClick={() => revision.available && setSelectedRev(revision.rev)}
+                  title={revision.rev}
+                >
+                  <span className="revision-generation">#{revision.generation}</span>
+                  <span className="revision-time">
+                    {statusLabel(revision)}
+                    {index === 0 && <span className="revision-latest">latest</span>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="revision-diff">
+              <div className="revision-compare">
+                <span>Compare</span>
+                <strong>#{selectedRev ? selectedRev.split('-')[0] : '–'}</strong>
+                <span>with</span>
+                <select value={compareRev} onChange={(e) => setCompareRev(e.target.value)}>
+                  <option value={CURRENT}>Current text</option>
+                  {revisions.filter(revision => revision.available).map(revision => (
+                    <option key={revision.rev} value={revision.rev}>
+                      #{revision.generation} – {formatTime(revision.updatedAt)}
+                    </option>
+                  ))}
+                </select>
+                {stats && (
+                  <span className="revision-stats">
+                    <span className="added">+{stats.added}</span>
+                    <span className="removed">−{stats.removed}</span>
+                  </span>
+                )}
+              </div>
+
+              <div className="revision-diff-lines">
+                {!diffRows && (
+                  <div className="revision-empty">Select an available revision to compare</div>
+                )}
+                {diffRows && diffRows.length === 0 && (
+                  <div className="revision-empty">Both versions are empty</div>
+                )}
+                {diffRows && diffRows.map((row, index) => (
+                  row.type === 'skip' ? (
+                    <div key={index} className="diff-row skip">⋯ {row.count} unchanged line{row.count > 1 ? 's' : ''}</div>
+                  ) : (
+                    <div key={index} className={`diff-row ${row.type}`}>
+                      <span className="diff-line-number">{row.oldLine || ''}</span>
+                      <span className="diff-line-number">{row.newLine || ''}</span>
+                      <span className="diff-marker">
+                        {row.type === 'insert' ? '+' : row.type === 'delete' ? '−' : ' '}
+                      </span>
+                      <span className="diff-text">{row.text}</span>
+                    </div>
+                  )
+                ))}
+              </div>
+
+              <div className="revision-actions">
+                <button
+                  className="revision-button"
+                  onClick={handleRestore}
+                  disabled={!selectedRev || isRestoring || selectedRev === revisions[0]?.rev}
+                >
+                  {isRestoring ? 'Restoring...' : 'Restore selected revision'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import syncLogService, { SYNC_LOG_TYPES } from '../services/SyncLogService';
+import './SyncActivityLog.css';
+
+const TYPE_ICONS = {
+  push: '⬆️',
+  pull: '⬇️',
+  conflict: '🔀',
+  denied: '⛔',
+  error: '❌',
+  info: 'ℹ️'
+};
+
+// Entries rendered at once, the export contains all of them
+const MAX_VISIBLE_ENTRIES = 100;
+
+const SyncActivityLog = () => {
+  const [entries, setEntries] = useState(() => syncLogService.getEntries());
+  const [type, setType] = useState('');
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    return syncLogService.addListener(() => setEntries(syncLogService.getEntries()));
+  }, []);
+
+  const filters = { types: type || null, search };
+  const visible = type || search ? syncLogService.getEntries(filters) : entries;
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([syncLogService.export(filters)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sync-log-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="sync-activity-log">
+      <div className="sync-log-toolbar">
+        <select value={type} onChange={(e) => setType(e.target.value)} className="sync-log-type">
+          <option value="">All events</option>
+          {SYNC_LOG_TYPES.map(name => (
+            <option key={name} value={name}>{TYPE_ICONS[name]} {name}</option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Document id or text"
+          className="sync-log-search"
+        />
+        <button onClick={handleExport} disabled={visible.length === 0} className="sync-log-button">
+          Export
+        </button>
+        <button onClick={() => syncLogService.clear()} disabled={entries.length === 0} className="sync-log-button">
+          Clear
+        </button>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="sync-log-empty">{entries.length === 0 ? 'No sync activity yet' : 'No matching events'}</p>
+      ) : (
+        <ul className="sync-log-entries">
+          {visible.slice(0, MAX_VISIBLE_ENTRIES).map(entry => (
+            <li key={entry.id} className={`sync-log-entry ${entry.type}`}>
+              <span className="sync-log-icon" title={entry.type}>{TYPE_ICONS[entry.type] || '•'}</span>
+              <span className="sync-log-time">{new Date(entry.time).toLocaleString()}</span>
+              <span className="sync-log-message">{entry.message}</span>
+              {entry.documentIds.length > 0 && (
+                <span className="sync-log-documents">
+                  {entry.documentIds.join(', ')}
+                  {entry.documentCount > entry.documentIds.length && ` and ${entry.documentCount - entry.documentIds.length} more`}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SyncActivityLog;
@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import './SyncStatus.css';
 import { DatabaseService } from '../services/DatabaseService';
+import ConflictResolver from './ConflictResolver';
+import SyncActivityLog from './SyncActivityLog';
+
+// Arrows for the direction a remote syncs in, see utils/syncRemotes.js
+const REMOTE_DIRECTION_TEXT = {
+  both: '⇅ both ways',
+  push: '⬆️ push only',
+  pull: '⬇️ pull only'
+};
+
+// How the CouchDB password is kept, see SecretStore
+const PASSWORD_TEXT = {
+  none: 'Not stored',
+  stored: '🔐 Stored encrypted',
+  locked: '🔐 Locked'
+};
 
 const SyncStatus = () => {
   const [syncStatus, setSyncStatus] = useState({
@@ -9,11 +25,14 @@ const SyncStatus = () => {
     lastSyncTime: null,
     error: null,
     isConnected: false,
-    couchdbUrl: null
+    password: 'none',
+    couchdbUrl: null,
+    remotes: []
   });
 
   const [conflicts, setConflicts] = useState([]);
   const [showDetails, setShowDetails] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
 
   useEffect(() => {
     // Get initial status
@@ -44,10 +63,10 @@ const SyncStatus = () => {
     }
   };
 
-  const getStatusIcon = () => {
+  const getStatusIcon = (status = syncStatus.status) => {
     if (!syncStatus.isOnline) return '🔴';
     
-    switch (syncStatus.status) {
+    switch (status) {
       case 'connected':
       case 'up-to-date':
         return '🟢';
@@ -62,10 +81,10 @@ const SyncStatus = () => {
     }
   };
 
-  const getStatusText = () => {
+  const getStatusText = (status = syncStatus.status) => {
     if (!syncStatus.isOnline) return 'Offline';
     
-    switch (syncStatus.status) {
+    switch (status) {
       case 'connected':
         return 'Connected';
       case 'up-to-date':
@@ -83,9 +102,9 @@ const SyncStatus = () => {
     }
   };
 
-  const handleForceSync = async () => {
+  const handleForceSync = async (remote) => {
     try {
-      await DatabaseService.forceSync();
+      await DatabaseService.forceSync(remote);
     } catch (error) {
       console.error('Manual sync failed:', error);
     }
@@ -130,6 +149,26 @@ const SyncStatus = () => {
               <span className="value">{formatTime(syncStatus.lastSyncTime)}</span>
             </div>
 
+            <div className="info-row">
+              <span className="label">Encrypted:</span>
+              <span className="value">{syncStatus.isEncrypted ? '🔒 Yes' : 'No'}</span>
+            </div>
+
+            <div className="info-row">
+              <span className="label">Password:</span>
+              <span className="value">{PASSWORD_TEXT[syncStatus.password]}</span>
+            </div>
+
+            <div className="info-row">
+              <span className="label">Push Filter:</span>
+              <span className="value filter">{syncStatus.pushFilter || 'All documents'}</span>
+            </div>
+
+            <div className="info-row">
+              <span className="label">Pull Filter:</span>
+              <span className="value filter">{syncStatus.pullFilter || 'All documents'}</span>
+            </div>
+
             {syncStatus.couchdbUrl && (
               <div className="info-row">
                 <span className="label">CouchDB:</span>
@@ -145,15 +184,57 @@ const SyncStatus = () => {
             )}
           </div>
 
+          {syncStatus.remotes.length > 1 && (
+            <div className="sync-remotes">
+              <h4>Remotes</h4>
+              {syncStatus.remotes.map(remote => (
+                <div key={remote.name} className={`sync-remote ${remote.status}`}>
+                  <div className="sync-remote-header">
+                    <span className="sync-remote-icon">{remote.enabled ? getStatusIcon(remote.status) : '⚪'}</span>
+                    <span className="sync-remote-name">{remote.name}</span>
+                    <span className="sync-remote-mode">
+                      {REMOTE_DIRECTION_TEXT[remote.direction]}, {remote.mode}
+                    </span>
+                    <span className="sync-remote-status">
+                      {remote.enabled ? getStatusText(remote.status) : 'Disabled'}
+                    </span>
+                    <button
+                      onClick={() => handleForceSync(remote.name)}
+                      disabled={!remote.isConnected || remote.status === 'syncing'}
+                      className="sync-remote-button"
+                    >
+                      Sync
+                    </button>
+                  </div>
+                  <div className="sync-remote-details">
+                    <span className="sync-remote-url">{remote.url}</span>
+                    <span>Last sync: {formatTime(remote.lastSyncTime)}</span>
+                  </div>
+                  {remote.error && <div className="sync-remote-error">{remote.error}</div>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <ConflictResolver conflictCount={conflicts.length} onRefresh={checkConflicts} />
+
           <div className="sync-actions">
             <button 
-              onClick={handleForceSync}
+              onClick={() => handleForceSync()}
               disabled={!syncStatus.isConnected || syncStatus.status === 'syncing'}
               className="sync-button"
             >
               {syncStatus.status === 'syncing' ? 'Syncing...' : 'Force Sync'}
             </button>
+            <button
+              onClick={() => setShowActivity(!showActivity)}
+              className="sync-button secondary"
+            >
+              {showActivity ? 'Hide Activity' : 'Show Activity'}
+            </button>
           </div>
+
+          {showActivity && <SyncActivityLog />}
         </div>
       )}
     </div>
@@ -0,0 +1,70 @@
+/**
+ * CodeMirror linting of frontmatter: YAML errors, and fields that do not match
+ * the schemas that apply to the document (see utils/schema.js)
+ */
+import { linter } from '@codemirror/lint';
+import { parseYamlEntries } from '../utils/yaml';
+import { findSchemas, validateDocument } from '../utils/schema';
+
+/**
+ * Find the frontmatter block of a document
+ * @param {Text} doc - Editor document
+ * @returns {Object|null} Object with { yaml, firstLine } where firstLine is the
+ *   1-based line the YAML starts on, or null without frontmatter
+ */
+const findFrontmatter = (doc) => {
+  if (doc.lines < 2 || doc.line(1).text !== '---') return null;
+
+  for (let number = 2; number <= doc.lines; number++) {
+    if (doc.line(number).text.trim() === '---') {
+      const yaml = number === 2 ? '' : doc.sliceString(doc.line(2).from, doc.line(number - 1).to);
+      return { yaml, firstLine: 2 };
+    }
+  }
+  return null;
+};
+
+/**
+ * Lint frontmatter against schemas
+ * @param {Object} options - Options
+ * @param {Function} options.getDocument - Returns the document being edited, for its id and folder
+ * @param {Function} options.getDocuments - Returns all documents, to find the schemas
+ * @returns {Extension} CodeMirror extension
+ */
+export const frontmatterLinter = ({ getDocument, getDocuments }) => linter(view => {
+  const { doc } = view.state;
+  const block = findFrontmatter(doc);
+  const lineRange = (number) => {
+    const line = doc.line(Math.min(Math.max(number, 1), doc.lines));
+    return { from: line.from, to: line.to };
+  };
+
+  let frontmatter = {};
+  let entries = [];
+  if (block) {
+    try {
+      const parsed = parseYamlEntries(block.yaml);
+      entries = parsed.entries;
+      if (parsed.value !== null && (typeof parsed.value !== 'object' || Array.isArray(parsed.value))) {
+        return [{ ...lineRange(1), severity: 'warning', message: 'Frontmatter must be "key: value" fields, it is shown as text' }];
+      }
+      frontmatter = parsed.value || {};
+    } catch (error) {
+      return [{ ...lineRange(block.firstLine + (error.line || 1) - 1), severity: 'error', message: error.message }];
+    }
+  }
+
+  // The schema being edited replaces its saved version
+  const current = getDocument();
+  const currentId = current._id || current.id;
+  const schemas = findSchemas(getDocuments().filter(other => (other._id || other.id) !== currentId));
+
+  return validateDocument({ ...current, frontmatter }, schemas).map(problem => {
+    const entry = entries.find(({ key }) => key === problem.key);
+    return {
+      ...lineRange(entry ? block.firstLine + entry.start : 1),
+      severity: problem.severity,
+      message: problem.message
+    };
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * CodeMirror extensions for [[wiki links]] in markdown documents:
+ * highlighting, Ctrl+click navigation and completion of document titles
+ */
+import { Decoration, EditorView, MatchDecorator, ViewPlugin } from '@codemirror/view';
+import { StateEffect } from '@codemirror/state';
+import { syntaxTree } from '@codemirror/language';
+import { WIKI_LINK_PATTERN } from '../utils/links';
+
+// Dispatch after the document list changed to re-check which links resolve
+export const refreshWikiLinks = StateEffect.define();
+
+// Markdown syntax nodes whose text is code, where [[...]] is not a link
+const CODE_NODES = ['InlineCode', 'FencedCode', 'CodeBlock', 'CodeText'];
+
+/**
+ * Check whether a position lies inside inline code or a code block
+ * @param {EditorState} state - Editor state
+ * @param {number} pos - Document position
+ * @returns {boolean} True inside code
+ */
+const isInCode = (state, pos) => {
+  for (let node = syntaxTree(state).resolveInner(pos, 1); node; node = node.parent) {
+    if (CODE_NODES.includes(node.name)) return true;
+  }
+  return false;
+};
+
+/**
+ * Find the link target at a position
+ * @param {EditorState} state - Editor state
+ * @param {number} pos - Document position
+ * @returns {string|null} Link target, or null if there is no link at pos
+ */
+const linkAt = (state, pos) => {
+  const line = state.doc.lineAt(pos);
+  for (const match of line.text.matchAll(new RegExp(WIKI_LINK_PATTERN.source, 'g'))) {
+    const from = line.from + match.index;
+    const to = from + match[0].length;
+    if (pos >= from && pos <= to && !isInCode(state, from)) {
+      return match[1].trim();
+    }
+  }
+  return null;
+};
+
+const wikiLinkTheme = EditorView.baseTheme({
+  '.cm-wikilink': {
+    color: '#0066cc',
+    textDecoration: 'underline',
+    textDecorationColor: 'rgba(0, 102, 204, 0.4)'
+  },
+  '.cm-wikilink-missing': {
+    color: '#c0392b',
+    textDecorationStyle: 'dashed'
+  }
+});
+
+/**
+ * Highlight wiki links and open them with Ctrl+click (Cmd+click on macOS)
+ * @param {Object} options - Extension options
+ * @param {Function} options.resolve - Called with a link target, returns the linked document or null
+ * @param {Function} options.onOpen - Called with the target of a Ctrl+clicked link
+ * @returns {Array} CodeMirror extensions
+ */
+export function wikiLinks({ resolve, onOpen }) {
+  const decorator = new MatchDecorator({
+    regexp: new RegExp(WIKI_LINK_PATTERN.source, 'g'),
+    decoration: (match, view, pos) => {
+      if (isInCode(view.state, pos)) return null;
+      return resolve(match[1].trim())
+        ? Decoration.mark({ class: 'cm-wikilink', attributes: { title: 'Ctrl+click to open' } })
+        : Decoration.mark({ class: 'cm-wikilink cm-wikilink-missing', attributes: { title: 'Ctrl+click to create' } });
+    }
+  });
+
+  const highlighter = ViewPlugin.fromClass(class {
+    constructor(view) {
+      this.decorations = decorator.createDeco(view);
+    }
+
+    update(update) {
+      const refreshed = update.transactions.some(tr => tr.effects.some(effect => effect.is(refreshWikiLinks)));
+      // Code detection depends on the syntax tree, which is parsed incrementally
+      if (refreshed || syntaxTree(update.state) !== syntaxTree(update.startState)) {
+        this.decorations = decorator.createDeco(update.view);
+      } else {
+        this.decorations = decorator.updateDeco(update, this.decorations);
+      }
+    }
+  }, {
+    decorations: plugin => plugin.decorations
+  });
+
+  const clickHandler = EditorView.domEventHandlers({
+    mousedown: (event, view) => {
+      if (!(event.ctrlKey || event.metaKey) || event.button !== 0) return false;
+
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+      const target = pos === null ? null : linkAt(view.state, pos);
+      if (!target) return false;
+
+      event.preventDefault();
+      onOpen(target);
+      return true;
+    }
+  });
+
+  return [highlighter, clickHandler, wikiLinkTheme];
+}
+
+/**
+ * Create a completion source offering document titles after "[["
+ * @param {Function} getDocuments - Returns the current document list
+ * @returns {Function} CodeMirror completion source
+ */
+export function wikiLinkCompletionSource(getDocuments) {
+  return (context) => {
+    const match = context.matchBefore(/\[\[[^[\]|\n]*/);
+    if (!match || isInCode(context.state, match.from)) return null;
+
+    return {
+      from: match.from + 2,
+      options: getDocuments()
+        .filter(doc => doc.type !== 'settings')
+        .map(doc => ({
+          label: doc.title,
+          detail: doc.folder || undefined,
+          type: 'text',
+          apply: (view, completion, from, to) => {
+            // Close the link unless the brackets were already auto-closed
+            const closed = view.state.sliceDoc(to, to + 2) === ']]';
+            const insert = closed ? doc.title : `${doc.title}]]`;
+            view.dispatch({
+              changes: { from, to, insert },
+              selection: { anchor: from + insert.length + (closed ? 2 : 0) }
+            });
+          }
+        })),
+      validFor: /^[^[\]|\n]*$/
+    };
+  };
+}
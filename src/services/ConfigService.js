@@ -1,25 +1,83 @@
 /**
  * ConfigService - Service for managing application configuration
  */
+import workspaceService from './WorkspaceService.js';
+import secretStore, { SECRETS_LOCKED_MESSAGE } from './SecretStore.js';
 
 // Default configuration values
 const DEFAULT_CONFIG = {
   couchdbUrl: '/db', // Use Vite proxy path for development
   couchdbUsername: '',
-  couchdbPassword: '',
+  couchdbKeepPassword: true, // Keep the password to log in again when the session expires
   syncEnabled: false,
   syncInterval: 30000, // 30 seconds
+  conflictPolicy: 'merge',
+  autoResolveOnSync: true,
+  syncPushFilter: '', // Documents sent to the remote, see utils/syncFilter.js
+  syncPullFilter: '', // Documents received from the remote
+  syncDirection: 'both', // Direction of the primary remote, see utils/syncRemotes.js
+  syncMode: 'live',
+  syncRemotes: [], // More remotes, e.g. backup servers
+  maxAttachmentSize: 5 * 1024 * 1024, // 5 MB
+  schemaValidation: 'warn',
+  trashRetentionDays: 30,
+  dailyNoteFolder: 'journal',
+  dailyNoteIdFormat: '[daily-]YYYY-MM-DD', // Same id on every device, so notes do not duplicate
+  dailyNoteTitleFormat: 'YYYY-MM-DD',
+  dailyNoteTemplate: '', // Id or title of a template document
   appName: 'commad',
   theme: 'light'
 };
 
-// Configuration storage key
+// Configuration storage key, each workspace has its own configuration
 const CONFIG_STORAGE_KEY = 'commad-config';
 
+// Storage key of the id identifying this device in documents it writes
+const DEVICE_ID_STORAGE_KEY = 'commad-device-id';
+
+// Settings kept encrypted in SecretStore instead of the configuration
+export const SECRET_KEYS = ['couchdbPassword'];
+
+// Shown instead of a secret that is set, saving it back leaves the secret unchanged
+export const SECRET_PLACEHOLDER = '••••••••';
+
+/**
+ * Separate secrets from other configuration values
+ * @param {Object} values - Configuration values
+ * @returns {Object} { plain, secrets }, placeholders are left out of secrets
+ */
+const splitSecrets = (values) => {
+  const plain = {};
+  const secrets = {};
+  Object.entries(values).forEach(([key, value]) => {
+    if (!SECRET_KEYS.includes(key)) {
+      plain[key] = value;
+    } else if (value !== SECRET_PLACEHOLDER) {
+      secrets[key] = value || '';
+    }
+  });
+  return { plain, secrets };
+};
+
+// Ways SyncService can resolve conflicts (see conflictPolicy)
+export const CONFLICT_POLICIES = ['merge', 'last-writer-wins', 'keep-local', 'conflicted-copy'];
+
+// What DocumentManager.saveDocument does with documents that do not match their schemas
+export const SCHEMA_VALIDATION_MODES = ['off', 'warn', 'reject'];
+
 class ConfigManager {
   constructor() {
     this.config = this.loadConfig();
     this.listeners = new Set();
+
+    // Listeners such as SyncService pick up the new workspace's settings
+    workspaceService.addListener(() => {
+      this.config = this.loadConfig();
+      this.notifyListeners();
+    });
+
+    // Unlocking secrets lets SyncService log in with the stored password
+    secretStore.addListener(() => this.notifyListeners());
   }
 
   /**
@@ -28,9 +86,11 @@ class ConfigManager {
    */
   loadConfig() {
     try {
-      const storedConfig = localStorage.getItem(CONFIG_STORAGE_KEY);
+      const storedConfig = localStorage.getItem(workspaceService.storageKey(CONFIG_STORAGE_KEY));
       if (storedConfig) {
-        return { ...DEFAULT_CONFIG, ...JSON.parse(storedConfig) };
+        const config = { ...DEFAULT_CONFIG, ...JSON.parse(storedConfig) };
+        this.migrateSecrets(config);
+        return config;
       }
     } catch (error) {
       console.warn('Error loading config from localStorage:', error);
@@ -38,12 +98,64 @@ class ConfigManager {
     return { ...DEFAULT_CONFIG };
   }
 
+  /**
+   * Move secrets that earlier versions stored in plain text to the secret store
+   * The stored configuration keeps them until they are encrypted.
+   * @param {Object} config - Loaded configuration, secrets are removed from it
+   */
+  migrateSecrets(config) {
+    const secrets = SECRET_KEYS.filter(key => key in config);
+    if (secrets.length === 0) {
+      return;
+    }
+    const storageKey = workspaceService.storageKey(CONFIG_STORAGE_KEY);
+    const values = Object.fromEntries(secrets.filter(key => config[key]).map(key => [key, config[key]]));
+    secrets.forEach(key => delete config[key]);
+
+    this.storeSecrets(values)
+      .then(() => {
+        const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+        SECRET_KEYS.forEach(key => delete stored[key]);
+        localStorage.setItem(storageKey, JSON.stringify(stored));
+        if (Object.keys(values).length > 0) {
+          console.log(`🔐 Moved ${Object.keys(values).join(', ')} to the encrypted secret store`);
+        }
+      })
+      .catch(error => console.error('Error moving secrets to the secret store:', error));
+  }
+
+  /**
+   * Store secrets in the secret store
+   * @param {Object} secrets - Values by key, '' removes a secret
+   * @returns {Promise<void>} Promise resolving once all are stored
+   */
+  async storeSecrets(secrets) {
+    await Promise.all(Object.entries(secrets).map(([key, value]) => secretStore.set(key, value)));
+  }
+
+  /**
+   * Get the placeholders of the secrets, the values themselves are never part of the configuration
+   * @returns {Object} SECRET_PLACEHOLDER for each secret that is set, '' otherwise
+   */
+  getRedactedSecrets() {
+    return Object.fromEntries(SECRET_KEYS.map(key => [key, this.hasSecret(key) ? SECRET_PLACEHOLDER : '']));
+  }
+
+  /**
+   * Check whether a secret is set without reading it
+   * @param {string} key - Secret key, e.g. "couchdbPassword"
+   * @returns {boolean} True if the secret is stored
+   */
+  hasSecret(key) {
+    return secretStore.has(key);
+  }
+
   /**
    * Save configuration to localStorage
    */
   saveConfig() {
     try {
-      localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(this.config));
+      localStorage.setItem(workspaceService.storageKey(CONFIG_STORAGE_KEY), JSON.stringify(this.config));
       this.notifyListeners();
     } catch (error) {
       console.error('Error saving config to localStorage:', error);
@@ -52,10 +164,14 @@ class ConfigManager {
 
   /**
    * Get a configuration value
+   * Secrets are redacted, read them with secretStore.get().
    * @param {string} key - Configuration key
    * @returns {*} Configuration value
    */
   get(key) {
+    if (SECRET_KEYS.includes(key)) {
+      return this.getRedactedSecrets()[key];
+    }
     return this.config[key];
   }
 
@@ -63,8 +179,13 @@ class ConfigManager {
    * Set a configuration value
    * @param {string} key - Configuration key
    * @param {*} value - Configuration value
+   * @returns {Promise<void>|undefined} Promise resolving once a secret is stored
    */
   set(key, value) {
+    if (SECRET_KEYS.includes(key)) {
+      return this.setMultiple({ [key]: value });
+    }
+
     const oldValue = this.config[key];
     this.config[key] = value;
     
@@ -75,34 +196,57 @@ class ConfigManager {
 
   /**
    * Set multiple configuration values
+   * Secrets are stored first, so listeners see them together with the other changes.
+   * While secrets are locked, an update setting one is rejected with nothing changed.
    * @param {Object} updates - Object containing key-value pairs to update
+   * @returns {Promise<void>} Promise resolving once the configuration is saved
    */
   setMultiple(updates) {
-    const changes = {};
-    
-    Object.entries(updates).forEach(([key, value]) => {
-      const oldValue = this.config[key];
-      this.config[key] = value;
-      changes[key] = { old: oldValue, new: value };
-    });
-    
-    console.log('Config updated:', changes);
-    
-    this.saveConfig();
+    const { plain, secrets } = splitSecrets(updates);
+    const oldSecrets = this.getRedactedSecrets();
+
+    if (Object.values(secrets).some(Boolean) && secretStore.isLocked()) {
+      return Promise.reject(new Error(SECRETS_LOCKED_MESSAGE));
+    }
+
+    const apply = () => {
+      const changes = {};
+
+      Object.entries(plain).forEach(([key, value]) => {
+        const oldValue = this.config[key];
+        this.config[key] = value;
+        changes[key] = { old: oldValue, new: value };
+      });
+      Object.entries(secrets).forEach(([key, value]) => {
+        changes[key] = { old: oldSecrets[key], new: value ? SECRET_PLACEHOLDER : '' };
+      });
+
+      console.log('Config updated:', changes);
+
+      this.saveConfig();
+    };
+
+    if (Object.keys(secrets).length === 0) {
+      apply();
+      return Promise.resolve();
+    }
+    return this.storeSecrets(secrets).then(apply);
   }
 
   /**
    * Get all configuration
-   * @returns {Object} Complete configuration object
+   * @returns {Object} Complete configuration object, with secrets redacted
    */
   getAll() {
-    return { ...this.config };
+    return { ...this.config, ...this.getRedactedSecrets() };
   }
 
   /**
-   * Reset configuration to defaults
+   * Reset configuration to defaults, removing stored secrets
+   * @returns {Promise<void>} Promise resolving once the configuration is saved
    */
-  reset() {
+  async reset() {
+    await this.storeSecrets(Object.fromEntries(SECRET_KEYS.map(key => [key, ''])));
     this.config = { ...DEFAULT_CONFIG };
     console.log('Config reset to defaults');
     this.saveConfig();
@@ -110,26 +254,33 @@ class ConfigManager {
 
   /**
    * Export configuration as JSON string
-   * @returns {string} JSON string of configuration
+   * @returns {string} JSON string of configuration, with secrets redacted
    */
   export() {
-    return JSON.stringify(this.config, null, 2);
+    return JSON.stringify(this.getAll(), null, 2);
   }
 
   /**
    * Import configuration from JSON string
+   * Redacted secrets leave the stored ones unchanged.
    * @param {string} jsonString - JSON string containing configuration
+   * @returns {Promise<void>} Promise resolving once imported secrets are stored
    */
   import(jsonString) {
+    let importedConfig;
     try {
-      const importedConfig = JSON.parse(jsonString);
-      this.config = { ...DEFAULT_CONFIG, ...importedConfig };
-      console.log('Config imported successfully');
-      this.saveConfig();
+      importedConfig = JSON.parse(jsonString);
     } catch (error) {
       console.error('Error importing config:', error);
       throw new Error('Invalid JSON configuration');
     }
+    const { plain, secrets } = splitSecrets(importedConfig);
+
+    return this.storeSecrets(secrets).then(() => {
+      this.config = { ...DEFAULT_CONFIG, ...plain };
+      console.log('Config imported successfully');
+      this.saveConfig();
+    });
   }
 
   /**
@@ -154,13 +305,26 @@ class ConfigManager {
   notifyListeners() {
     this.listeners.forEach(listener => {
       try {
-        listener(this.config);
+        listener(this.getAll());
       } catch (error) {
         console.error('Error calling config listener:', error);
       }
     });
   }
 
+  /**
+   * Get the id of this device, creating it on first use
+   * @returns {string} Device ID
+   */
+  getDeviceId() {
+    let deviceId = localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
   /**
    * Validate CouchDB URL format
    * @param {string} url - URL to validate
@@ -1,11 +1,16 @@
 /**
  * DatabaseService - Service for interacting with PouchDB
  */
-import PouchDB from 'pouchdb';
 import syncService from './SyncService.js';
+import configManager from './ConfigService.js';
+import workspaceService from './WorkspaceService.js';
+import { createDocumentId } from '../utils/ids.js';
 
-// Create a database instance
-const db = new PouchDB('commad-documents');
+// Database of the active workspace
+let db = workspaceService.getDatabase();
+workspaceService.addListener(() => {
+  db = workspaceService.getDatabase();
+});
 
 export const DatabaseService = {
   /**
@@ -44,16 +49,17 @@ export const DatabaseService = {
   /**
    * Get a document by ID
    * @param {string} id - Document ID (can include ?rev=revision for specific revision)
+   * @param {Object} [options] - PouchDB get options, e.g. { attachments: true } to include attachment data
    * @returns {Promise<Object|null>} Promise resolving to document object or null if not found
    */
-  getDocument: async (id) => {
+  getDocument: async (id, options = {}) => {
     try {
       // Check if this is a request for a specific revision
       if (id.includes('?rev=')) {
         const [docId, revParam] = id.split('?rev=');
-        return await db.get(docId, { rev: revParam });
+        return await db.get(docId, { ...options, rev: revParam });
       }
-      return await db.get(id);
+      return await db.get(id, options);
     } catch (error) {
       if (error.name === 'not_found') {
         return null;
@@ -63,6 +69,50 @@ export const DatabaseService = {
     }
   },
 
+  /**
+   * Get the revision history of a document
+   * @param {string} id - Document ID
+   * @returns {Promise<Array>} Promise resolving to revisions (newest first) with
+   *   { rev, status, available, doc } where status is 'available', 'missing' or 'deleted'
+   */
+  getRevisions: async (id) => {
+    try {
+      const current = await db.get(id, { revs_info: true });
+      const revsInfo = current._revs_info || [];
+      const availableRevs = revsInfo
+        .filter(info => info.status === 'available')
+        .map(info => info.rev);
+
+      // Load every available revision in a single request
+      const loaded = new Map();
+      if (availableRevs.length > 0) {
+        const results = await db.get(id, { open_revs: availableRevs });
+        results.forEach(result => {
+          if (result.ok) {
+            loaded.set(result.ok._rev, result.ok);
+          }
+        });
+      }
+
+      return revsInfo.map(({ rev, status }) => {
+        const doc = loaded.get(rev) || null;
+        return {
+          rev,
+          // A revision listed as available can still disappear through compaction
+          status: status === 'available' && !doc ? 'missing' : status,
+          available: !!doc,
+          doc
+        };
+      });
+    } catch (error) {
+      if (error.name === 'not_found') {
+        return [];
+      }
+      console.error(`Error getting revisions for document ${id}:`, error);
+      return [];
+    }
+  },
+
   /**
    * Save a document to the database
    * @param {Object} document - Document to save
@@ -83,7 +133,10 @@ export const DatabaseService = {
             ...document,
             _id: docId,
             _rev: existingDoc._rev, // Important: keep the revision
-            updatedAt: new Date().toISOString()
+            // Attachments change through putAttachment, a document loaded earlier has stale stubs
+            _attachments: existingDoc._attachments,
+            updatedAt: new Date().toISOString(),
+            updatedOn: configManager.getDeviceId()
           };
         }
       } catch (error) {
@@ -95,13 +148,14 @@ export const DatabaseService = {
       
       // If it's a new document, ensure it has _id and timestamps
       if (!existingDoc) {
-        const newId = document.id || document._id || `doc-${Date.now()}`;
+        const newId = document.id || document._id || createDocumentId(document.title);
         docToSave = {
           ...docToSave,
           _id: newId,
           id: newId,
           createdAt: document.createdAt || new Date().toISOString(),
-          updatedAt: new Date().toISOString()
+          updatedAt: new Date().toISOString(),
+          updatedOn: configManager.getDeviceId()
         };
       }
 
@@ -120,7 +174,84 @@ export const DatabaseService = {
   },
 
   /**
-   * Delete a document from the database
+   * Save several stored documents in one request
+   * Documents must carry their current _rev, as returned by getAllDocuments.
+   * @param {Array<Object>} documents - Documents to save
+   * @returns {Promise<Array>} Promise resolving to the documents that were saved, with new revisions
+   */
+  saveDocuments: async (documents) => {
+    if (documents.length === 0) {
+      return [];
+    }
+
+    const updatedAt = new Date().toISOString();
+    const updatedOn = configManager.getDeviceId();
+    const docsToSave = documents.map(doc => ({
+      ...doc,
+      _id: doc._id || doc.id,
+      updatedAt,
+      updatedOn
+    }));
+
+    const results = await db.bulkDocs(docsToSave);
+    return docsToSave
+      .map((doc, index) => {
+        const result = results[index];
+        if (result.error) {
+          console.error(`Error saving document with id ${doc._id}:`, result.message || result.name);
+          return null;
+        }
+        return { ...doc, _rev: result.rev };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Add or replace an attachment of a document
+   * @param {string} id - Document ID
+   * @param {string} name - Attachment name
+   * @param {Blob} data - Attachment content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} Promise resolving to the new document revision
+   */
+  putAttachment: async (id, name, data, contentType) => {
+    const doc = await db.get(id);
+    const response = await db.putAttachment(id, name, doc._rev, data, contentType);
+    return response.rev;
+  },
+
+  /**
+   * Get the content of an attachment
+   * @param {string} id - Document ID
+   * @param {string} name - Attachment name
+   * @returns {Promise<Blob|null>} Promise resolving to the attachment, or null if it does not exist
+   */
+  getAttachment: async (id, name) => {
+    try {
+      return await db.getAttachment(id, name);
+    } catch (error) {
+      if (error.name !== 'not_found') {
+        console.error(`Error getting attachment ${name} of ${id}:`, error);
+      }
+      return null;
+    }
+  },
+
+  /**
+   * Remove an attachment from a document
+   * @param {string} id - Document ID
+   * @param {string} name - Attachment name
+   * @returns {Promise<string>} Promise resolving to the new document revision
+   */
+  removeAttachment: async (id, name) => {
+    const doc = await db.get(id);
+    const response = await db.removeAttachment(id, name, doc._rev);
+    return response.rev;
+  },
+
+  /**
+   * Permanently delete a document from the database
+   * Documents deleted by the user go to the trash first (DocumentManager.deleteDocument).
    * @param {string} id - Document ID
    * @returns {Promise<boolean>} Promise resolving to success status
    */
@@ -146,10 +277,11 @@ export const DatabaseService = {
 
   /**
    * Force a sync with remote database
+   * @param {string} [remote] - Remote name, every connected remote when omitted
    * @returns {Promise} Promise resolving when sync is complete
    */
-  forceSync: async () => {
-    return await syncService.forceSync();
+  forceSync: async (remote) => {
+    return await syncService.forceSync(remote);
   },
 
   /**
@@ -181,10 +313,38 @@ export const DatabaseService = {
   },
 
   /**
-   * Auto-resolve all conflicts by merging content
+   * Get the leaf revisions and merge chunks of a conflicted document
+   * @param {string} docId - Document ID
+   * @returns {Promise<Object|null>} Promise resolving to conflict details or null
+   */
+  getConflictDetails: async (docId) => {
+    return await syncService.getConflictDetails(docId);
+  },
+
+  /**
+   * Save a hand-merged document and delete the losing revisions
+   * @param {Object} resolvedDoc - Resolved document based on the winning revision
+   * @param {Array} losingRevs - Revisions to remove
+   * @returns {Promise<Object>} Promise resolving to the save result
+   */
+  saveConflictResolution: async (resolvedDoc, losingRevs) => {
+    return await syncService.saveConflictResolution(resolvedDoc, losingRevs);
+  },
+
+  /**
+   * Auto-resolve all conflicts using the configured conflict policy
+   * @param {Object} options - Resolution options ({ dryRun } only logs the proposals)
    * @returns {Promise<number>} Promise resolving to number of conflicts resolved
    */
-  autoResolveConflicts: async () => {
-    return await syncService.autoResolveConflicts();
+  autoResolveConflicts: async (options) => {
+    return await syncService.autoResolveConflicts(options);
+  },
+
+  /**
+   * Compute the automatic resolution of every conflict without saving it
+   * @returns {Promise<Array>} Promise resolving to resolution plans
+   */
+  previewConflictResolutions: async () => {
+    return await syncService.previewConflictResolutions();
   }
 };
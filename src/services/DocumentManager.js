@@ -3,7 +3,31 @@
  */
 import { DatabaseService } from './DatabaseService';
 import settingsDocumentService from './SettingsDocumentService.js';
-import { extractFrontmatterForStorage, reconstructForDisplay } from '../utils/frontmatter.js';
+import configManager from './ConfigService.js';
+import workspaceService from './WorkspaceService.js';
+import { extractFrontmatterForStorage, reconstructForDisplay, updateFrontmatterSource } from '../utils/frontmatter.js';
+import {
+  normalizeFolderPath,
+  folderName,
+  parentFolder,
+  joinFolderPath,
+  isInFolder,
+  moveFolderPath,
+  folderAncestors
+} from '../utils/folders.js';
+import { normalizeTag, renameTagInContent, renameTagInFrontmatter } from '../utils/tags.js';
+import {
+  attachmentMarkdown,
+  blobToDataUrl,
+  formatBytes,
+  parseAttachmentUrl,
+  uniqueAttachmentName
+} from '../utils/attachments.js';
+import { escapeHtml, renderMarkdown } from '../utils/markdownRenderer.js';
+import { findSchemas, validateDocument } from '../utils/schema.js';
+import { applyTemplate, formatDate, isTemplate } from '../utils/templates.js';
+import { checkIdFormat, dateKey, parseDateKey } from '../utils/dailyNotes.js';
+import { createDocumentId, idSlug, slugify } from '../utils/ids.js';
 
 // Default document to create when no documents exist
 const DEFAULT_DOCUMENT = {
@@ -14,11 +38,67 @@ const DEFAULT_DOCUMENT = {
   updatedAt: new Date().toISOString()
 };
 
-// Initialize database
+// Document type of folder records; documents refer to folders by path
+const FOLDER_TYPE = 'folder';
+
+/**
+ * Check whether a stored record is a folder rather than a document
+ * @param {Object} doc - Stored document
+ * @returns {boolean} True for folder records
+ */
+const isFolderRecord = (doc) => doc.type === FOLDER_TYPE;
+
+// Document type of the stubs left at old ids when a document's id changes
+const REDIRECT_TYPE = 'redirect';
+
+// Redirects followed before giving up, in case stubs point at each other
+const MAX_REDIRECTS = 10;
+
+/**
+ * Check whether a stored record is a redirect stub pointing to a renamed document
+ * @param {Object} doc - Stored document
+ * @returns {boolean} True for redirect stubs
+ */
+const isRedirect = (doc) => doc.type === REDIRECT_TYPE;
+
+/**
+ * Check whether a stored record is a document rather than a folder or redirect stub
+ * @param {Object} doc - Stored document
+ * @returns {boolean} True for documents
+ */
+const isDocumentRecord = (doc) => !isFolderRecord(doc) && !isRedirect(doc);
+
+/**
+ * Load a stored document, following redirect stubs left by renames
+ * @param {string} id - Document ID, current or from before a rename
+ * @returns {Promise<Object|null>} Promise resolving to the stored document or null if not found
+ */
+const getRecordFollowingRedirects = async (id) => {
+  let record = await DatabaseService.getDocument(id);
+  for (let hops = 0; record && isRedirect(record) && hops < MAX_REDIRECTS; hops++) {
+    record = await DatabaseService.getDocument(record.target);
+  }
+  return record && !isRedirect(record) ? record : null;
+};
+
+/**
+ * Check whether a stored record is a document in the trash
+ * @param {Object} doc - Stored document
+ * @returns {boolean} True for trashed documents
+ */
+const isTrashed = (doc) => Boolean(doc.trashedAt);
+
+// Initialize database and purge documents that stayed in the trash too long
 (async () => {
   await DatabaseService.init();
+  await DocumentManager.purgeExpiredTrash();
 })();
 
+// Each workspace has its own trash
+workspaceService.addListener(() => {
+  DocumentManager.purgeExpiredTrash().catch(error => console.error('Error purging trash:', error));
+});
+
 export const DocumentManager = {
   /**
    * Get all documents from the database
@@ -26,10 +106,19 @@ export const DocumentManager = {
    */
   getAllDocuments: async () => {
     try {
-      let documents = await DatabaseService.getAllDocuments();
+      const allRecords = await DatabaseService.getAllDocuments();
+      const records = allRecords.filter(isDocumentRecord);
+      let documents = records.filter(doc => !isTrashed(doc));
+
+      // Old ids of renamed documents, so links to them still resolve
+      const redirectedFrom = {};
+      allRecords.filter(isRedirect).forEach(stub => {
+        redirectedFrom[stub.target] = [...(redirectedFrom[stub.target] || []), stub._id];
+      });
+      documents = documents.map(doc => (redirectedFrom[doc._id] ? { ...doc, redirectedFrom: redirectedFrom[doc._id] } : doc));
       
-      // If no documents exist, create a default one
-      if (documents.length === 0) {
+      // If no documents exist, create a default one, unless they are all in the trash
+      if (records.length === 0) {
         const defaultDoc = { ...DEFAULT_DOCUMENT };
         await DocumentManager.saveDocument(defaultDoc);
         documents = [defaultDoc];
@@ -40,7 +129,7 @@ export const DocumentManager = {
         if (doc.frontmatter) {
           return {
             ...doc,
-            content: reconstructForDisplay(doc.frontmatter, doc.content)
+            content: reconstructForDisplay(doc.frontmatter, doc.content, doc.frontmatterSource)
           };
         }
         return doc;
@@ -74,14 +163,14 @@ export const DocumentManager = {
         return settingsDocumentService.getDocument();
       }
       
-      const document = await DatabaseService.getDocument(id);
+      const document = await getRecordFollowingRedirects(id);
       if (!document) {
         return null;
       }
 
       // Reconstruct content with frontmatter for display
       if (document.frontmatter) {
-        document.content = reconstructForDisplay(document.frontmatter, document.content);
+        document.content = reconstructForDisplay(document.frontmatter, document.content, document.frontmatterSource);
       }
       
       return document;
@@ -91,35 +180,103 @@ export const DocumentManager = {
     }
   },
 
+  /**
+   * Get the revision history of a document for display
+   * @param {string} id - Document ID
+   * @returns {Promise<Array>} Promise resolving to revisions (newest first) with
+   *   { rev, generation, status, available, updatedAt, title, content }
+   */
+  getRevisionHistory: async (id) => {
+    if (id === 'settings') {
+      return [];
+    }
+
+    const revisions = await DatabaseService.getRevisions(id);
+    return revisions.map(({ rev, status, available, doc }) => ({
+      rev,
+      generation: parseInt(rev.split('-')[0], 10),
+      status,
+      available,
+      updatedAt: doc ? doc.updatedAt : null,
+      title: doc ? doc.title : null,
+      content: doc
+        ? (doc.frontmatter ? reconstructForDisplay(doc.frontmatter, doc.content, doc.frontmatterSource) : (doc.content || ''))
+        : null
+    }));
+  },
+
+  /**
+   * Restore an old revision by saving its content as a new edit
+   * @param {string} id - Document ID
+   * @param {string} rev - Revision to restore
+   * @returns {Promise<Object>} Promise resolving to the saved document
+   */
+  restoreRevision: async (id, rev) => {
+    const revision = await DatabaseService.getDocument(`${id}?rev=${rev}`);
+    if (!revision) {
+      throw new Error(`Revision ${rev} of ${id} is no longer available`);
+    }
+
+    const current = await DocumentManager.getDocument(id);
+    const content = revision.frontmatter
+      ? reconstructForDisplay(revision.frontmatter, revision.content, revision.frontmatterSource)
+      : (revision.content || '');
+
+    return await DocumentManager.saveDocument({
+      ...(current || {}),
+      id,
+      title: revision.title,
+      content
+    });
+  },
+
   /**
    * Save a document to the database
-   * @param {Object} document - Document to save
+   * @param {Object} input - Document to save
    * @returns {Promise<Object>} Promise resolving to saved document
    */
-  saveDocument: async (document) => {
+  saveDocument: async (input) => {
     try {
       // Check if this is the settings document
-      if (document.id === 'settings') {
-        await settingsDocumentService.saveDocument(document.content);
+      if (input.id === 'settings') {
+        await settingsDocumentService.saveDocument(input.content);
         return settingsDocumentService.getDocument();
       }
 
+      // redirectedFrom is added by getAllDocuments, it is not stored
+      const { redirectedFrom: _redirectedFrom, ...stored } = input;
+      let document = stored;
+
+      // A document renamed on another device is saved under its new id
+      const existing = document.id ? await DatabaseService.getDocument(document.id) : null;
+      if (existing && isRedirect(existing)) {
+        const target = await getRecordFollowingRedirects(existing.target);
+        if (!target) {
+          throw new Error(`Document ${document.id} was renamed to ${existing.target}, which no longer exists`);
+        }
+        document = { ...document, id: target._id, _id: target._id };
+      }
+
       // Extract frontmatter from content for storage
-      const { frontmatter, contentWithoutFrontmatter } = extractFrontmatterForStorage(document.content);
+      const { frontmatter, contentWithoutFrontmatter, frontmatterSource } = extractFrontmatterForStorage(document.content);
       
-      // Create document for storage with separated frontmatter
+      // Create document for storage with separated frontmatter, keeping the
+      // frontmatter as written so it is displayed exactly as typed
       const documentForStorage = {
         ...document,
         content: contentWithoutFrontmatter,
-        frontmatter: frontmatter
+        frontmatter: frontmatter,
+        frontmatterSource
       };
+
+      await DocumentManager.checkSchemas(documentForStorage);
       
       // Save the document with separated frontmatter
       const savedDocument = await DatabaseService.saveDocument(documentForStorage);
       
       // Return the document with reconstructed content for the UI
       if (savedDocument && savedDocument.frontmatter) {
-        savedDocument.content = reconstructForDisplay(savedDocument.frontmatter, savedDocument.content);
+        savedDocument.content = reconstructForDisplay(savedDocument.frontmatter, savedDocument.content, savedDocument.frontmatterSource);
       }
       
       return savedDocument;
@@ -130,7 +287,9 @@ export const DocumentManager = {
   },
 
   /**
-   * Delete a document from the database
+   * Move a document to the trash
+   * The document keeps its content and folder and syncs as trashed, so it can
+   * be restored on any device until the trash is emptied.
    * @param {string} id - Document ID
    * @returns {Promise<boolean>} Promise resolving to success status
    */
@@ -141,37 +300,615 @@ export const DocumentManager = {
         return false;
       }
       
-      // Check if this is the last document
-      const documents = await DocumentManager.getAllDocuments();
-      const regularDocs = documents.filter(doc => doc.id !== 'settings');
-      
-      // Don't allow deleting the last regular document
-      if (regularDocs.length <= 1) {
+      const record = await DatabaseService.getDocument(id);
+      if (!record || !isDocumentRecord(record)) {
         return false;
       }
+      if (isTrashed(record)) {
+        return true;
+      }
       
-      return await DatabaseService.deleteDocument(id);
+      await DatabaseService.saveDocuments([{ ...record, trashedAt: new Date().toISOString() }]);
+      console.log(`🗑️ Moved "${record.title}" to the trash`);
+      return true;
     } catch (error) {
       console.error('Error deleting document:', error);
       return false;
     }
   },
+
+  /**
+   * Get the documents in the trash
+   * @returns {Promise<Array>} Promise resolving to trashed documents, most recently deleted first
+   */
+  getTrash: async () => {
+    const records = await DatabaseService.getAllDocuments();
+    return records
+      .filter(record => isDocumentRecord(record) && isTrashed(record))
+      .map(record => ({
+        ...record,
+        id: record._id,
+        content: record.frontmatter
+          ? reconstructForDisplay(record.frontmatter, record.content, record.frontmatterSource)
+          : (record.content || '')
+      }))
+      .sort((a, b) => new Date(b.trashedAt) - new Date(a.trashedAt));
+  },
+
+  /**
+   * Take a document out of the trash
+   * @param {string} id - Document ID
+   * @returns {Promise<Object>} Promise resolving to the restored document
+   */
+  restoreDocument: async (id) => {
+    const record = await DatabaseService.getDocument(id);
+    if (!record || !isTrashed(record)) {
+      throw new Error(`Document ${id} is not in the trash`);
+    }
+
+    const { trashedAt: _trashedAt, ...restored } = record;
+    await DatabaseService.saveDocuments([restored]);
+    console.log(`♻️ Restored "${record.title}" from the trash`);
+    return await DocumentManager.getDocument(id);
+  },
+
+  /**
+   * Permanently delete documents from the trash
+   * @param {Array<string>} [ids] - IDs of trashed documents, the whole trash when omitted
+   * @returns {Promise<number>} Promise resolving to the number of deleted documents
+   */
+  emptyTrash: async (ids) => {
+    const records = await DatabaseService.getAllDocuments();
+    const removed = records
+      .filter(record => isDocumentRecord(record) && isTrashed(record) && (!ids || ids.includes(record._id)))
+      .map(record => ({ _id: record._id, _rev: record._rev, _deleted: true }));
+
+    const saved = await DatabaseService.saveDocuments(removed);
+    if (saved.length > 0) {
+      console.log(`🗑️ Permanently deleted ${saved.length} document(s) from the trash`);
+    }
+    return saved.length;
+  },
+
+  /**
+   * Permanently delete documents that have been in the trash longer than trashRetentionDays
+   * @returns {Promise<number>} Promise resolving to the number of deleted documents
+   */
+  purgeExpiredTrash: async () => {
+    const days = configManager.get('trashRetentionDays');
+    if (!days || days <= 0) {
+      return 0;
+    }
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = (await DocumentManager.getTrash())
+      .filter(doc => new Date(doc.trashedAt).getTime() < cutoff)
+      .map(doc => doc._id);
+    return expired.length > 0 ? await DocumentManager.emptyTrash(expired) : 0;
+  },
   
   /**
-   * Create a new empty document
+   * Create a new document
    * @param {string} title - Document title
+   * @param {string} folder - Folder path to create the document in ('' for the top level)
+   * @param {string} [content] - Initial content, a heading with the title by default
    * @returns {Promise<Object>} Promise resolving to new document
    */
-  createDocument: async (title = 'Untitled Document') => {
+  createDocument: async (title = 'Untitled Document', folder = '', content = `# ${title}\n\n`) => {
     const newDoc = {
-      id: `doc-${Date.now()}`,
+      id: createDocumentId(title),
       title,
-      content: `# ${title}\n\n`,
+      content,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
+    const folderPath = normalizeFolderPath(folder);
+    if (folderPath) {
+      newDoc.folder = folderPath;
+    }
     
     return await DocumentManager.saveDocument(newDoc);
+  },
+
+  /**
+   * Get the documents that can be used as templates (see utils/templates.js)
+   * @returns {Promise<Array>} Promise resolving to templates sorted by title with { id, title, folder }
+   */
+  getTemplates: async () => {
+    const records = await DatabaseService.getAllDocuments();
+    return records
+      .filter(record => isDocumentRecord(record) && !isTrashed(record) && isTemplate(record))
+      .map(record => ({ id: record._id, title: record.title || record._id, folder: record.folder || '' }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+  },
+
+  /**
+   * Create a new document from a template
+   * @param {string} title - Document title
+   * @param {string} folder - Folder path to create the document in ('' for the top level)
+   * @param {string} templateId - ID of the template document
+   * @returns {Promise<Object>} Promise resolving to { document, cursor } where cursor is the
+   *   { line, column } of the template's {{cursor}} placeholder, or null
+   */
+  createFromTemplate: async (title, folder, templateId) => {
+    const template = await DocumentManager.getDocument(templateId);
+    if (!template) {
+      throw new Error(`Template ${templateId} not found`);
+    }
+
+    const { content, cursor } = applyTemplate(template.content || '', { title });
+    const document = await DocumentManager.createDocument(title, folder, content);
+    return { document, cursor };
+  },
+
+  /**
+   * Get the daily note of a day, creating it if it does not exist yet
+   * The id comes from the dailyNoteIdFormat setting, so devices that create the
+   * same day's note offline write to one document that sync merges.
+   * @param {Date} [date] - Day of the note, today by default
+   * @returns {Promise<Object>} Promise resolving to { document, cursor } where cursor is the
+   *   { line, column } of the template's {{cursor}} placeholder for new notes, or null
+   */
+  openDailyNote: async (date = new Date()) => {
+    const idFormat = configManager.get('dailyNoteIdFormat');
+    const problem = checkIdFormat(idFormat);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const id = formatDate(date, idFormat);
+    const record = await DatabaseService.getDocument(id);
+    if (record) {
+      if (isTrashed(record)) {
+        await DocumentManager.restoreDocument(id);
+      }
+      return { document: await DocumentManager.getDocument(id), cursor: null };
+    }
+
+    const title = formatDate(date, configManager.get('dailyNoteTitleFormat')) || id;
+    const templateName = configManager.get('dailyNoteTemplate');
+    let text = { content: `# ${title}\n\n`, cursor: null };
+    if (templateName) {
+      const templates = await DocumentManager.getTemplates();
+      const template = templates.find(({ id: templateId }) => templateId === templateName)
+        || templates.find(({ title: templateTitle }) => templateTitle.toLowerCase() === templateName.toLowerCase());
+      if (template) {
+        text = applyTemplate((await DocumentManager.getDocument(template.id)).content || '', { title, now: date });
+      } else {
+        console.warn(`Daily note template "${templateName}" not found, creating an empty note`);
+      }
+    }
+
+    const newDoc = {
+      id,
+      title,
+      content: text.content,
+      dailyNote: dateKey(date)
+    };
+    const folder = normalizeFolderPath(configManager.get('dailyNoteFolder'));
+    if (folder) {
+      newDoc.folder = folder;
+    }
+
+    const document = await DocumentManager.saveDocument(newDoc);
+    console.log(`📅 Created daily note "${title}"`);
+    return { document, cursor: text.cursor };
+  },
+
+  /**
+   * Find the closest existing daily note before or after a day
+   * @param {Date} date - Day to start from
+   * @param {number} direction - -1 for the previous note, 1 for the next one
+   * @returns {Promise<Object|null>} Promise resolving to the document, or null if there is none
+   */
+  getAdjacentDailyNote: async (date, direction) => {
+    const day = dateKey(date);
+    const notes = (await DatabaseService.getAllDocuments())
+      .filter(record => isDocumentRecord(record) && !isTrashed(record) && parseDateKey(record.dailyNote))
+      .filter(record => (direction < 0 ? record.dailyNote < day : record.dailyNote > day))
+      .sort((a, b) => a.dailyNote.localeCompare(b.dailyNote) * direction);
+
+    return notes.length > 0 ? await DocumentManager.getDocument(notes[0]._id) : null;
+  },
+
+  /**
+   * Get all folders, including folders that only exist as a document's path
+   * @returns {Promise<Array>} Promise resolving to folders sorted by path with
+   *   { path, name, parent, depth, documentCount } where documentCount includes subfolders
+   */
+  getFolders: async () => {
+    const records = await DatabaseService.getAllDocuments();
+    const paths = new Set();
+    const documentFolders = [];
+
+    records.forEach(record => {
+      if (isFolderRecord(record)) {
+        folderAncestors(normalizeFolderPath(record.path)).forEach(path => paths.add(path));
+      } else if (record.folder && !isTrashed(record)) {
+        const folder = normalizeFolderPath(record.folder);
+        folderAncestors(folder).forEach(path => paths.add(path));
+        documentFolders.push(folder);
+      }
+    });
+
+    return [...paths]
+      .sort((a, b) => a.localeCompare(b))
+      .map(path => ({
+        path,
+        name: folderName(path),
+        parent: parentFolder(path),
+        depth: path.split('/').length - 1,
+        documentCount: documentFolders.filter(folder => isInFolder(folder, path)).length
+      }));
+  },
+
+  /**
+   * Create a folder
+   * @param {string} path - Folder path, subfolders separated by "/"
+   * @returns {Promise<string>} Promise resolving to the normalized path
+   */
+  createFolder: async (path) => {
+    const folderPath = normalizeFolderPath(path);
+    if (!folderPath) {
+      throw new Error('Folder name must not be empty');
+    }
+
+    const folders = await DocumentManager.getFolders();
+    if (!folders.some(folder => folder.path === folderPath)) {
+      await DatabaseService.saveDocument({
+        id: createDocumentId(`folder ${folderPath}`),
+        type: FOLDER_TYPE,
+        path: folderPath
+      });
+    }
+
+    return folderPath;
+  },
+
+  /**
+   * Move a folder with its subfolders and documents to a new path
+   * @param {string} path - Current folder path
+   * @param {string} newPath - New folder path
+   * @returns {Promise<Array>} Promise resolving to the documents whose folder changed
+   */
+  moveFolder: async (path, newPath) => {
+    const from = normalizeFolderPath(path);
+    const to = normalizeFolderPath(newPath);
+    if (!from || !to) {
+      throw new Error('Folder name must not be empty');
+    }
+    if (from === to) {
+      return [];
+    }
+    if (isInFolder(to, from)) {
+      throw new Error(`Cannot move "${from}" into itself`);
+    }
+
+    const records = await DatabaseService.getAllDocuments();
+    const changed = records
+      .map(record => {
+        if (isFolderRecord(record) && isInFolder(record.path, from)) {
+          return { ...record, path: moveFolderPath(record.path, from, to) };
+        }
+        if (isDocumentRecord(record) && record.folder && isInFolder(record.folder, from)) {
+          return { ...record, folder: moveFolderPath(record.folder, from, to) };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    // Folders that only exist through their documents still get a record at the new path
+    const hasRecord = (record) => isFolderRecord(record) && normalizeFolderPath(record.path) === to;
+    if (!records.some(hasRecord) && !changed.some(hasRecord)) {
+      changed.push({ _id: createDocumentId(`folder ${to}`), type: FOLDER_TYPE, path: to, createdAt: new Date().toISOString() });
+    }
+
+    const saved = await DatabaseService.saveDocuments(changed);
+    console.log(`Moved folder "${from}" to "${to}"`);
+    return saved.filter(isDocumentRecord);
+  },
+
+  /**
+   * Rename a folder, keeping it in its parent folder
+   * @param {string} path - Current folder path
+   * @param {string} name - New folder name
+   * @returns {Promise<Array>} Promise resolving to the documents whose folder changed
+   */
+  renameFolder: async (path, name) => {
+    const newName = normalizeFolderPath(name);
+    if (!newName || newName.includes('/')) {
+      throw new Error('Folder name must not be empty or contain "/"');
+    }
+    const folderPath = normalizeFolderPath(path);
+    return await DocumentManager.moveFolder(folderPath, joinFolderPath(parentFolder(folderPath), newName));
+  },
+
+  /**
+   * Delete a folder and its subfolders; the documents inside move to the parent folder
+   * @param {string} path - Folder path
+   * @returns {Promise<Array>} Promise resolving to the documents whose folder changed
+   */
+  deleteFolder: async (path) => {
+    const folderPath = normalizeFolderPath(path);
+    if (!folderPath) {
+      throw new Error('Folder name must not be empty');
+    }
+    const parent = parentFolder(folderPath);
+
+    const records = await DatabaseService.getAllDocuments();
+    const changed = records
+      .map(record => {
+        if (isFolderRecord(record) && isInFolder(record.path, folderPath)) {
+          return { _id: record._id, _rev: record._rev, _deleted: true };
+        }
+        if (isDocumentRecord(record) && record.folder && isInFolder(record.folder, folderPath)) {
+          return { ...record, folder: parent };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    const saved = await DatabaseService.saveDocuments(changed);
+    console.log(`Deleted folder "${folderPath}"`);
+    return saved.filter(record => !record._deleted);
+  },
+
+  /**
+   * Rename a tag in the frontmatter and inline hashtags of every document
+   * @param {string} tag - Tag to rename, with or without "#"
+   * @param {string} newTag - New tag name
+   * @returns {Promise<Array>} Promise resolving to the documents that were rewritten
+   */
+  renameTag: async (tag, newTag) => {
+    const from = normalizeTag(tag);
+    const to = normalizeTag(newTag);
+    if (!from || !to) {
+      throw new Error('Tags must contain a letter and no spaces');
+    }
+    if (from === to) {
+      return [];
+    }
+
+    const records = await DatabaseService.getAllDocuments();
+    const changed = records
+      .filter(isDocumentRecord)
+      .map(record => {
+        const frontmatter = renameTagInFrontmatter(record.frontmatter, from, to);
+        const content = renameTagInContent(record.content || '', from, to);
+        if (frontmatter === record.frontmatter && content === (record.content || '')) {
+          return null;
+        }
+        const frontmatterSource = record.frontmatterSource
+          ? updateFrontmatterSource(record.frontmatterSource, frontmatter)
+          : record.frontmatterSource;
+        return { ...record, frontmatter, frontmatterSource, content };
+      })
+      .filter(Boolean);
+
+    const saved = await DatabaseService.saveDocuments(changed);
+    console.log(`Renamed tag #${from} to #${to} in ${saved.length} document(s)`);
+    return saved;
+  },
+
+  /**
+   * Get the frontmatter schemas declared by schema documents
+   * @returns {Promise<Array>} Promise resolving to schemas (see utils/schema.js)
+   */
+  getSchemas: async () => {
+    const records = await DatabaseService.getAllDocuments();
+    return findSchemas(records.filter(record => isDocumentRecord(record) && !isTrashed(record)));
+  },
+
+  /**
+   * Check documents against the frontmatter schemas that apply to them
+   * @param {string} [id] - Document ID, every document when omitted
+   * @returns {Promise<Array>} Promise resolving to { id, title, problems } for each checked
+   *   document, problems listing { key, kind, severity, message }
+   */
+  validateDocuments: async (id) => {
+    const records = (await DatabaseService.getAllDocuments()).filter(record => isDocumentRecord(record) && !isTrashed(record));
+    const schemas = findSchemas(records);
+    const checked = id ? records.filter(record => record._id === id) : records;
+    if (id && checked.length === 0) {
+      throw new Error(`Document ${id} not found`);
+    }
+
+    return checked.map(record => ({
+      id: record._id,
+      title: record.title,
+      problems: validateDocument(record, schemas)
+    }));
+  },
+
+  /**
+   * Apply the schemaValidation setting to a document about to be saved
+   * @param {Object} document - Document with parsed frontmatter
+   * @throws {Error} If the document does not match its schemas and schemaValidation is "reject"
+   */
+  checkSchemas: async (document) => {
+    const mode = configManager.get('schemaValidation');
+    if (mode === 'off') {
+      return;
+    }
+
+    const problems = validateDocument(document, await DocumentManager.getSchemas());
+    if (problems.length === 0) {
+      return;
+    }
+
+    const messages = problems.map(problem => problem.message);
+    if (mode === 'reject') {
+      throw new Error(`"${document.title}" does not match its schema: ${messages.join('; ')}`);
+    }
+    console.warn(`⚠️ "${document.title}" does not match its schema:`, messages);
+  },
+
+  /**
+   * Move a document to a folder
+   * @param {string} id - Document ID
+   * @param {string} folder - Folder path ('' for the top level)
+   * @returns {Promise<Object>} Promise resolving to the saved document
+   */
+  moveDocument: async (id, folder) => {
+    if (id === 'settings') {
+      throw new Error('The settings document cannot be moved');
+    }
+
+    const document = await DatabaseService.getDocument(id);
+    if (!document) {
+      throw new Error(`Document ${id} not found`);
+    }
+
+    const [saved] = await DatabaseService.saveDocuments([
+      { ...document, folder: normalizeFolderPath(folder) }
+    ]);
+    if (!saved) {
+      throw new Error(`Could not move document ${id}`);
+    }
+    return saved;
+  },
+
+  /**
+   * Rename a document
+   * Changing the id moves the document with its attachments to an id made from
+   * the new title and leaves a redirect stub at the old id, so links and
+   * bookmarks to the old id keep working.
+   * @param {string} id - Document ID
+   * @param {string} title - New title
+   * @param {Object} [options] - Rename options
+   * @param {boolean} [options.changeId] - Also give the document an id made from the new title
+   * @returns {Promise<Object>} Promise resolving to the renamed document
+   */
+  renameDocument: async (id, title, { changeId = false } = {}) => {
+    if (id === 'settings') {
+      throw new Error('The settings document cannot be renamed');
+    }
+    const newTitle = String(title || '').trim();
+    if (!newTitle) {
+      throw new Error('Document title must not be empty');
+    }
+
+    const record = await DatabaseService.getDocument(id);
+    if (!record || !isDocumentRecord(record)) {
+      throw new Error(`Document ${id} not found`);
+    }
+
+    if (!changeId || idSlug(id) === slugify(newTitle)) {
+      const [saved] = await DatabaseService.saveDocuments([{ ...record, title: newTitle }]);
+      if (!saved) {
+        throw new Error(`Could not rename document ${id}`);
+      }
+      return await DocumentManager.getDocument(id);
+    }
+
+    // Copy the attachments with their data, the stubs only refer to the old id
+    const newId = createDocumentId(newTitle);
+    const { _rev, _conflicts, ...fields } = await DatabaseService.getDocument(id, { rev: record._rev, attachments: true });
+    const [moved] = await DatabaseService.saveDocuments([{ ...fields, _id: newId, id: newId, title: newTitle }]);
+    if (!moved) {
+      throw new Error(`Could not move document ${id} to ${newId}`);
+    }
+
+    // Stubs that pointed to the old id now point straight to the new one
+    const retargeted = (await DatabaseService.getAllDocuments())
+      .filter(other => isRedirect(other) && other.target === id)
+      .map(stub => ({ ...stub, target: newId }));
+    const stub = {
+      _id: id,
+      _rev,
+      type: REDIRECT_TYPE,
+      target: newId,
+      title: record.title,
+      createdAt: record.createdAt
+    };
+    const saved = await DatabaseService.saveDocuments([stub, ...retargeted]);
+    if (!saved.some(doc => doc._id === id)) {
+      // The document changed in the meantime, keep it and drop the copy
+      await DatabaseService.saveDocuments([{ _id: newId, _rev: moved._rev, _deleted: true }]);
+      throw new Error(`Could not rename document ${id}, it was changed in the meantime`);
+    }
+
+    console.log(`✏️ Renamed "${record.title}" to "${newTitle}" (${id} → ${newId})`);
+    return await DocumentManager.getDocument(newId);
+  },
+
+  /**
+   * Store a file as an attachment of a document
+   * @param {string} id - Document ID
+   * @param {File|Blob} file - Pasted or dropped file
+   * @returns {Promise<Object>} Promise resolving to { name, contentType, markdown } where
+   *   markdown references the attachment
+   */
+  addAttachment: async (id, file) => {
+    if (id === 'settings') {
+      throw new Error('Files cannot be attached to the settings document');
+    }
+
+    const maxSize = configManager.get('maxAttachmentSize');
+    if (file.size > maxSize) {
+      throw new Error(
+        `"${file.name || 'Pasted file'}" is ${formatBytes(file.size)}, attachments can be at most ${formatBytes(maxSize)} (maxAttachmentSize setting)`
+      );
+    }
+
+    const document = await DatabaseService.getDocument(id);
+    if (!document) {
+      throw new Error(`Document ${id} not found`);
+    }
+
+    const contentType = file.type || 'application/octet-stream';
+    const name = uniqueAttachmentName(file.name, contentType, Object.keys(document._attachments || {}));
+    await DatabaseService.putAttachment(id, name, file, contentType);
+    console.log(`📎 Attached "${name}" (${formatBytes(file.size)}) to ${id}`);
+
+    return { name, contentType, markdown: attachmentMarkdown(name, contentType) };
+  },
+
+  /**
+   * Get the content of a document's attachment
+   * @param {string} id - Document ID
+   * @param {string} name - Attachment name
+   * @returns {Promise<Blob|null>} Promise resolving to the attachment, or null if it does not exist
+   */
+  getAttachment: async (id, name) => {
+    if (id === 'settings') {
+      return null;
+    }
+    return await DatabaseService.getAttachment(id, name);
+  },
+
+  /**
+   * Export a document as a standalone HTML page
+   * Attachments are embedded as data: URLs, so images keep working outside the app.
+   * @param {string} id - Document ID
+   * @returns {Promise<Object>} Promise resolving to { fileName, html }
+   */
+  exportDocumentAsHtml: async (id) => {
+    const document = await DocumentManager.getDocument(id);
+    if (!document) {
+      throw new Error(`Document ${id} not found`);
+    }
+
+    const dataUrls = new Map();
+    for (const name of Object.keys(document._attachments || {})) {
+      const blob = await DatabaseService.getAttachment(id, name);
+      if (blob) {
+        dataUrls.set(name, await blobToDataUrl(blob));
+      }
+    }
+
+    const body = renderMarkdown(document.content, {
+      resolveUrl: (url) => {
+        const name = parseAttachmentUrl(url);
+        return name !== null && dataUrls.has(name) ? dataUrls.get(name) : url;
+      }
+    });
+    const title = escapeHtml(document.title || id);
+
+    return {
+      fileName: `${(document.title || id).replace(/[/\\?%*:|"<>]/g, '-')}.html`,
+      html: `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${title}</title>\n</head>\n<body>\n${body}\n</body>\n</html>\n`
+    };
   }
 };
 
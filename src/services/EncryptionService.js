@@ -0,0 +1,401 @@
+/**
+ * EncryptionService - End-to-end encryption of replicated documents
+ *
+ * Documents stay readable in the local database and are encrypted in the
+ * remote one: wrapRemote() encrypts what replication writes to CouchDB and
+ * decrypts what it reads back, so DocumentManager never sees encrypted fields.
+ *
+ * The remote database holds a key document with the salt and a key check, so
+ * every device derives the same key from the passphrase and a device with a
+ * missing or outdated passphrase stops syncing instead of pushing plain text
+ * or pulling documents it cannot read.
+ */
+import secretStore from './SecretStore.js';
+import workspaceService from './WorkspaceService.js';
+import {
+  KEY_ITERATIONS,
+  createKeyCheck,
+  createSalt,
+  decryptDocument,
+  deriveKey,
+  encryptDocument,
+  encryptionKeyId,
+  importKey,
+  isEncrypted,
+  verifyKeyCheck
+} from '../utils/encryption.js';
+
+// Id of the key document in the remote database, it is not replicated to devices
+export const ENCRYPTION_DOC_ID = 'commad-encryption';
+
+// Storage key of the salt and iterations of the derived key, each workspace has its own.
+// The key itself is kept non-extractable by SecretStore, see keyId.
+const KEY_STORAGE_KEY = 'commad-encryption-key';
+
+// Documents re-encrypted per request when the passphrase changes
+const REENCRYPT_BATCH_SIZE = 100;
+
+// A passphrase change stopped before every remote database was re-encrypted
+const INTERRUPTED_CHANGE_MESSAGE = 'A passphrase change was interrupted, run commad.sync.changePassphrase("...") again with the same new passphrase to finish it';
+
+// bulkDocs of wrapped remote databases before wrapping, to write already encrypted documents
+const rawBulkDocs = new WeakMap();
+
+/**
+ * Check whether a document is replication bookkeeping rather than a note
+ * @param {Object} doc - Stored document
+ * @returns {boolean} True for local and design documents
+ */
+const isSystemDocument = (doc) => doc._id.startsWith('_local/') || doc._id.startsWith('_design/');
+
+/**
+ * Accept the optional trailing callback PouchDB methods take, put() calls bulkDocs with one
+ * @param {Function} method - Async function
+ * @returns {Function} Function returning a promise, or calling the callback if one is given
+ */
+const withCallback = (method) => (...args) => {
+  const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+  const promise = method(...args.map(arg => (typeof arg === 'function' ? undefined : arg)));
+  if (!callback) {
+    return promise;
+  }
+  promise.then(result => callback(null, result), error => callback(error));
+};
+
+class EncryptionService {
+  constructor() {
+    this.keys = new Map(); // key id -> CryptoKey loaded from SecretStore
+  }
+
+  /**
+   * Get the SecretStore id of a derived key in the active workspace
+   * @param {string} salt - Salt the key was derived with
+   * @returns {string} Key id
+   */
+  keyId(salt) {
+    return encryptionKeyId(workspaceService.storageKey(KEY_STORAGE_KEY), salt);
+  }
+
+  /**
+   * Load the salt and iterations of the active workspace's key
+   * @returns {Object|null} { salt, iterations }, or null without a passphrase
+   */
+  loadKeyInfo() {
+    return JSON.parse(localStorage.getItem(workspaceService.storageKey(KEY_STORAGE_KEY)) || 'null');
+  }
+
+  /**
+   * Get the key stored on this device for the active workspace
+   * @returns {Promise<Object|null>} Promise resolving to { key, salt, iterations, pending }, or null without a passphrase.
+   *   pending is { key, salt } while a passphrase change is interrupted, otherwise null.
+   */
+  async getKey() {
+    const stored = this.loadKeyInfo();
+    if (!stored) {
+      return null;
+    }
+    if (stored.jwk) {
+      // Earlier versions kept the key as extractable JWK in localStorage
+      await this.storeKey(await importKey(stored.jwk), stored.salt, stored.iterations);
+    }
+    return {
+      key: await this.loadKey(stored.salt),
+      salt: stored.salt,
+      iterations: stored.iterations,
+      pending: stored.pending ? { key: await this.loadKey(stored.pending.salt), salt: stored.pending.salt } : null
+    };
+  }
+
+  /**
+   * Load a derived key of the active workspace from SecretStore
+   * @param {string} salt - Salt the key was derived with
+   * @returns {Promise<CryptoKey>} Promise resolving to the key, rejects when it is missing
+   */
+  async loadKey(salt) {
+    const id = this.keyId(salt);
+    if (!this.keys.has(id)) {
+      const key = await secretStore.getCryptoKey(id);
+      if (!key) {
+        throw new Error('The encryption key is missing on this device, set the passphrase again with commad.sync.setPassphrase("...")');
+      }
+      this.keys.set(id, key);
+    }
+    return this.keys.get(id);
+  }
+
+  /**
+   * Check whether this device encrypts documents in the active workspace
+   * @returns {boolean} True once a passphrase is set
+   */
+  isEnabled() {
+    return Boolean(localStorage.getItem(workspaceService.storageKey(KEY_STORAGE_KEY)));
+  }
+
+  /**
+   * Store a derived key for the active workspace, replacing the previous one
+   * @param {CryptoKey} key - Key from deriveKey
+   * @param {string} salt - Salt it was derived with
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<void>} Promise resolving once stored
+   */
+  async storeKey(key, salt, iterations) {
+    const previous = this.loadKeyInfo();
+    await secretStore.setCryptoKey(this.keyId(salt), key);
+    localStorage.setItem(workspaceService.storageKey(KEY_STORAGE_KEY), JSON.stringify({ salt, iterations }));
+    this.keys.set(this.keyId(salt), key);
+
+    // Drop the replaced key, and the pending one when a passphrase is set during an interrupted change
+    const replaced = [previous && previous.salt, previous && previous.pending && previous.pending.salt];
+    for (const oldSalt of replaced.filter(oldSalt => oldSalt && oldSalt !== salt)) {
+      this.keys.delete(this.keyId(oldSalt));
+      await secretStore.deleteCryptoKey(this.keyId(oldSalt));
+    }
+  }
+
+  /**
+   * Read the key document of a remote database
+   * @param {PouchDB} remoteDB - Remote database
+   * @returns {Promise<Object|null>} Promise resolving to the key document, or null for unencrypted databases
+   */
+  async getKeyDocument(remoteDB) {
+    try {
+      return await remoteDB.get(ENCRYPTION_DOC_ID);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set the passphrase of the active workspace
+   * With an encrypted remote database the passphrase must match the one it was
+   * encrypted with; otherwise it starts encrypting, see prepareRemote.
+   * @param {string} passphrase - Passphrase
+   * @param {PouchDB|null} remoteDB - Remote database, null when sync is not set up
+   * @returns {Promise<void>} Promise resolving once the key is stored
+   */
+  async setPassphrase(passphrase, remoteDB) {
+    const keyDocument = remoteDB ? await this.getKeyDocument(remoteDB) : null;
+    const salt = keyDocument ? keyDocument.salt : createSalt();
+    const iterations = keyDocument ? keyDocument.iterations : KEY_ITERATIONS;
+    const key = await deriveKey(passphrase, salt, iterations);
+
+    if (keyDocument && !await verifyKeyCheck(keyDocument.check, key)) {
+      throw new Error('Wrong passphrase for the encrypted remote database');
+    }
+    await this.storeKey(key, salt, iterations);
+    console.log('🔒 Encryption passphrase set');
+  }
+
+  /**
+   * Make sure this device can sync with a remote database
+   * Without a key document the remote database is not encrypted yet: with a
+   * passphrase set, its documents are encrypted and the key document created.
+   * @param {PouchDB} remoteDB - Remote database, not wrapped yet
+   * @returns {Promise<void>} Promise rejecting when this device cannot read the remote database
+   */
+  async prepareRemote(remoteDB) {
+    const keyDocument = await this.getKeyDocument(remoteDB);
+    const stored = await this.getKey();
+
+    if (keyDocument && !stored) {
+      throw new Error('The remote database is encrypted, set its passphrase with commad.sync.setPassphrase("...") to sync');
+    }
+    if (keyDocument && stored.pending && keyDocument.salt === stored.pending.salt) {
+      throw new Error(INTERRUPTED_CHANGE_MESSAGE);
+    }
+    if (keyDocument && keyDocument.salt !== stored.salt) {
+      throw new Error('The encryption passphrase was changed on another device, set the new one with commad.sync.setPassphrase("...") to sync');
+    }
+    if (!keyDocument && stored) {
+      await this.reencryptRemote(remoteDB, null, stored);
+      await remoteDB.put({
+        _id: ENCRYPTION_DOC_ID,
+        salt: stored.salt,
+        iterations: stored.iterations,
+        check: await createKeyCheck(stored.key),
+        createdAt: new Date().toISOString()
+      });
+      console.log('🔒 Remote database is now encrypted');
+    }
+  }
+
+  /**
+   * Encrypt documents written to a remote database and decrypt documents read from it
+   * Replication only writes with bulkDocs and reads with bulkGet.
+   * @param {PouchDB} remoteDB - Remote database, changed in place
+   * @returns {PouchDB} The same database
+   */
+  wrapRemote(remoteDB) {
+    const bulkDocs = remoteDB.bulkDocs.bind(remoteDB);
+    const bulkGet = remoteDB.bulkGet.bind(remoteDB);
+    rawBulkDocs.set(remoteDB, bulkDocs);
+
+    remoteDB.bulkDocs = withCallback(async (request, options = {}) => {
+      // Another device may have enabled encryption or changed the passphrase since sync started
+      const stored = await this.getKey();
+      const keyDocument = await this.getKeyDocument(remoteDB);
+      if (keyDocument && stored && stored.pending && keyDocument.salt === stored.pending.salt) {
+        throw new Error(INTERRUPTED_CHANGE_MESSAGE);
+      }
+      if (keyDocument && (!stored || keyDocument.salt !== stored.salt)) {
+        throw new Error(stored
+          ? 'The encryption passphrase was changed on another device, set the new one with commad.sync.setPassphrase("...") to sync'
+          : 'The remote database is encrypted, set its passphrase with commad.sync.setPassphrase("...") to sync');
+      }
+      const docs = Array.isArray(request) ? request : request.docs;
+      const encrypted = stored
+        ? await Promise.all(docs.map(doc => (isSystemDocument(doc) ? doc : encryptDocument(doc, stored.key, stored.salt))))
+        : docs;
+      return bulkDocs(Array.isArray(request) ? encrypted : { ...request, docs: encrypted }, options);
+    });
+
+    remoteDB.bulkGet = withCallback(async (options) => {
+      const response = await bulkGet(options);
+      const stored = await this.getKey();
+      const results = await Promise.all(response.results
+        .filter(result => result.id !== ENCRYPTION_DOC_ID)
+        .map(async result => ({
+          ...result,
+          docs: await Promise.all(result.docs.map(async entry => (
+            entry.ok ? { ok: await this.decryptRemoteDocument(entry.ok, stored) } : entry
+          )))
+        })));
+      return { ...response, results };
+    });
+
+    return remoteDB;
+  }
+
+  /**
+   * Decrypt a document read from the remote database
+   */
+  async decryptRemoteDocument(doc, stored) {
+    if (!isEncrypted(doc)) {
+      return doc;
+    }
+    if (!stored) {
+      throw new Error(`Document ${doc._id} is encrypted, set the passphrase with commad.sync.setPassphrase("...") to sync`);
+    }
+    if (stored.pending && doc.encrypted.key === stored.pending.salt) {
+      // Re-encrypted by a passphrase change that was interrupted
+      return decryptDocument(doc, stored.pending.key);
+    }
+    if (doc.encrypted.key !== stored.salt) {
+      throw new Error(`Document ${doc._id} is encrypted with another passphrase, set the current one with commad.sync.setPassphrase("...")`);
+    }
+    return decryptDocument(doc, stored.key);
+  }
+
+  /**
+   * Change the passphrase and re-encrypt the remote databases with the new key
+   * Other devices stop syncing until they set the new passphrase. The new key
+   * is stored before any document is re-encrypted, so an interrupted change
+   * resumes where it stopped when it is run again with the same passphrase.
+   * @param {string} passphrase - New passphrase
+   * @param {Array<PouchDB>} remoteDBs - Remote databases, empty when sync is not set up
+   * @returns {Promise<number>} Promise resolving to the number of re-encrypted documents
+   */
+  async changePassphrase(passphrase, remoteDBs) {
+    const current = await this.getKey();
+    if (!current) {
+      throw new Error('Encryption is not enabled, set a passphrase first');
+    }
+
+    const next = await this.getPendingKey(passphrase);
+    let count = 0;
+    for (const remoteDB of remoteDBs) {
+      const keyDocument = await this.getKeyDocument(remoteDB);
+      count += await this.reencryptRemote(remoteDB, current, next);
+      if (!keyDocument || keyDocument.salt !== next.salt) {
+        await remoteDB.put({
+          ...(keyDocument || { _id: ENCRYPTION_DOC_ID, createdAt: new Date().toISOString() }),
+          salt: next.salt,
+          iterations: next.iterations,
+          check: next.check
+        });
+      }
+    }
+
+    await this.storeKey(next.key, next.salt, next.iterations);
+    console.log(`🔒 Encryption passphrase changed, ${count} document(s) re-encrypted`);
+    return count;
+  }
+
+  /**
+   * Get the key a passphrase change switches to
+   * A new key is stored as pending until the change completes; a pending key
+   * left by an interrupted change is reused if the passphrase matches it.
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} Promise resolving to { key, salt, iterations, check }
+   */
+  async getPendingKey(passphrase) {
+    const stored = this.loadKeyInfo();
+    if (stored.pending) {
+      const key = await deriveKey(passphrase, stored.pending.salt, stored.pending.iterations);
+      if (!await verifyKeyCheck(stored.pending.check, key)) {
+        throw new Error(INTERRUPTED_CHANGE_MESSAGE);
+      }
+      console.log('🔒 Resuming the interrupted passphrase change');
+      return { key, ...stored.pending };
+    }
+
+    const salt = createSalt();
+    const key = await deriveKey(passphrase, salt);
+    const pending = { salt, iterations: KEY_ITERATIONS, check: await createKeyCheck(key) };
+    await secretStore.setCryptoKey(this.keyId(salt), key);
+    localStorage.setItem(workspaceService.storageKey(KEY_STORAGE_KEY), JSON.stringify({ ...stored, pending }));
+    return { key, ...pending };
+  }
+
+  /**
+   * Re-encrypt every document revision that is a leaf in the remote database
+   * Documents that are not encrypted yet are encrypted and documents already
+   * encrypted with the new key are skipped. Each document gets a new revision,
+   * which replication brings back to the devices unchanged.
+   * @param {PouchDB} remoteDB - Remote database
+   * @param {Object|null} from - Key the documents are encrypted with, null for unencrypted ones
+   * @param {Object} to - Key to encrypt them with
+   * @returns {Promise<number>} Promise resolving to the number of re-encrypted revisions
+   */
+  async reencryptRemote(remoteDB, from, to) {
+    const bulkDocs = rawBulkDocs.get(remoteDB) || remoteDB.bulkDocs.bind(remoteDB);
+    const { rows } = await remoteDB.allDocs({ include_docs: true, conflicts: true });
+
+    const leaves = [];
+    for (const { doc } of rows) {
+      if (!doc || doc._id === ENCRYPTION_DOC_ID || isSystemDocument(doc)) continue;
+      leaves.push(doc);
+      for (const rev of doc._conflicts || []) {
+        leaves.push(await remoteDB.get(doc._id, { rev }));
+      }
+    }
+    const pending = leaves.filter(leaf => !isEncrypted(leaf) || leaf.encrypted.key !== to.salt);
+
+    let count = 0;
+    for (let index = 0; index < pending.length; index += REENCRYPT_BATCH_SIZE) {
+      const batch = await Promise.all(pending.slice(index, index + REENCRYPT_BATCH_SIZE).map(async leaf => {
+        const { _conflicts, ...doc } = leaf;
+        if (isEncrypted(doc) && (!from || doc.encrypted.key !== from.salt)) {
+          throw new Error(`Document ${doc._id} is encrypted with an unknown passphrase`);
+        }
+        const plain = isEncrypted(doc) ? await decryptDocument(doc, from.key) : doc;
+        return encryptDocument(plain, to.key, to.salt);
+      }));
+      const results = await bulkDocs(batch);
+      const failed = results.filter(result => result.error);
+      if (failed.length > 0) {
+        throw new Error(`Could not re-encrypt ${failed.map(result => result.id).join(', ')}: ${failed[0].message || failed[0].name}`);
+      }
+      count += batch.length;
+    }
+    return count;
+  }
+}
+
+// Create a singleton instance
+const encryptionService = new EncryptionService();
+
+export default encryptionService;
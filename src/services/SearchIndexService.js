@@ -0,0 +1,549 @@
+/**
+ * SearchIndexService - Local full-text, tag and link index over document titles, bodies and frontmatter
+ *
+ * The index is kept up to date from the PouchDB changes feed and persisted to
+ * localStorage together with the last processed sequence, so a page load only
+ * has to catch up on changes made since the previous session. Only terms and
+ * light metadata are kept; snippets are built from the documents in PouchDB.
+ */
+import workspaceService from './WorkspaceService.js';
+import { reconstructForDisplay } from '../utils/frontmatter.js';
+import { extractTags, normalizeTag } from '../utils/tags.js';
+import { findWikiLinks, linksTo } from '../utils/links.js';
+
+// Index storage key (one per workspace) and format version (bump to force a rebuild)
+const INDEX_STORAGE_KEY = 'commad-search-index';
+const INDEX_VERSION = 4;
+
+// Relative weight of a term depending on where it was found
+const FIELD_WEIGHTS = {
+  title: 3,
+  frontmatter: 2,
+  body: 1
+};
+
+const MAX_RESULTS = 20;
+const MAX_SNIPPETS = 3;
+const SNIPPET_CONTEXT = 60;
+const PERSIST_DELAY = 1000;
+const NOTIFY_DELAY = 100;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in order of appearance
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(term => term.length > 1 || /\d/.test(term));
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the text of a stored document as shown in the editor
+ * @param {Object} doc - PouchDB document
+ * @returns {string} Content with its frontmatter
+ */
+const getDocumentText = (doc) => (doc.frontmatter
+  ? reconstructForDisplay(doc.frontmatter, doc.content, doc.frontmatterSource)
+  : (doc.content || ''));
+
+/**
+ * Flatten frontmatter values into a single searchable string
+ * @param {Object} frontmatter - Frontmatter object
+ * @returns {string} Space separated keys and values
+ */
+const flattenFrontmatter = (frontmatter) => {
+  if (!frontmatter || typeof frontmatter !== 'object') return '';
+  return Object.entries(frontmatter)
+    .map(([key, value]) => `${key} ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+};
+
+class SearchIndexService {
+  constructor() {
+    this.db = workspaceService.getDatabase();
+    this.storageKey = workspaceService.storageKey(INDEX_STORAGE_KEY);
+    this.documents = new Map(); // id -> { title, updatedAt, terms, tags, links }
+    this.postings = new Map(); // term -> Map(id -> weight)
+    this.lastSeq = 0;
+    this.changesFeed = null;
+    this.persistTimeout = null;
+    this.notifyTimeout = null;
+    this.listeners = new Set();
+
+    this.loadIndex();
+    this.startChangesFeed();
+
+    workspaceService.addListener(() => this.switchWorkspace());
+  }
+
+  /**
+   * Save the index of the previous workspace and load the active one's
+   */
+  switchWorkspace() {
+    this.stopChangesFeed();
+    clearTimeout(this.persistTimeout);
+    this.persistIndex();
+
+    this.documents.clear();
+    this.postings.clear();
+    this.lastSeq = 0;
+    this.db = workspaceService.getDatabase();
+    this.storageKey = workspaceService.storageKey(INDEX_STORAGE_KEY);
+
+    this.loadIndex();
+    this.startChangesFeed();
+    this.notifyListeners();
+  }
+
+  /**
+   * Load the persisted index from localStorage
+   */
+  loadIndex() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (!stored) return;
+
+      const data = JSON.parse(stored);
+      if (data.version !== INDEX_VERSION) {
+        console.log('Search index format changed, rebuilding');
+        return;
+      }
+
+      Object.entries(data.documents || {}).forEach(([id, entry]) => {
+        this.documents.set(id, entry);
+      });
+      Object.entries(data.postings || {}).forEach(([term, docs]) => {
+        this.postings.set(term, new Map(Object.entries(docs)));
+      });
+      this.lastSeq = data.lastSeq || 0;
+    } catch (error) {
+      console.warn('Error loading search index, rebuilding:', error);
+      this.documents.clear();
+      this.postings.clear();
+      this.lastSeq = 0;
+    }
+  }
+
+  /**
+   * Persist the index to localStorage (debounced)
+   */
+  schedulePersist() {
+    clearTimeout(this.persistTimeout);
+    this.persistTimeout = setTimeout(() => this.persistIndex(), PERSIST_DELAY);
+  }
+
+  /**
+   * Notify listeners once per burst of changes, e.g. while replication pulls many documents
+   * The first change starts the timer, later ones are reported with it.
+   */
+  scheduleNotify() {
+    if (this.notifyTimeout) return;
+    this.notifyTimeout = setTimeout(() => {
+      this.notifyTimeout = null;
+      this.notifyListeners();
+    }, NOTIFY_DELAY);
+  }
+
+  /**
+   * Write the index to localStorage
+   */
+  persistIndex() {
+    const postings = {};
+    this.postings.forEach((docs, term) => {
+      postings[term] = Object.fromEntries(docs);
+    });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        version: INDEX_VERSION,
+        lastSeq: this.lastSeq,
+        documents: Object.fromEntries(this.documents),
+        postings
+      }));
+    } catch (error) {
+      // Quota errors only cost us a rebuild on the next page load
+      console.warn('Error persisting search index:', error);
+    }
+  }
+
+  /**
+   * Follow the changes feed starting at the last indexed sequence
+   */
+  startChangesFeed() {
+    this.changesFeed = this.db.changes({
+      since: this.lastSeq,
+      live: true,
+      include_docs: true
+    })
+      .on('change', (change) => {
+        if (change.deleted || !this.isIndexable(change.doc)) {
+          this.removeDocument(change.id);
+        } else {
+          this.indexDocument(change.doc);
+        }
+        this.lastSeq = change.seq;
+        this.schedulePersist();
+        this.scheduleNotify();
+      })
+      .on('error', (error) => {
+        console.error('Search index changes feed error:', error);
+      });
+  }
+
+  /**
+   * Stop following the changes feed
+   */
+  stopChangesFeed() {
+    if (this.changesFeed) {
+      this.changesFeed.cancel();
+      this.changesFeed = null;
+    }
+  }
+
+  /**
+   * Check whether a stored document should be searchable
+   * Folder records only hold a path and are left out, as are redirect stubs and documents in the trash.
+   * @param {Object} doc - PouchDB document
+   * @returns {boolean} True if the document belongs in the index
+   */
+  isIndexable(doc) {
+    return !!doc && !doc._deleted && !doc._id.startsWith('_design/') && doc.type !== 'folder' && doc.type !== 'redirect' && !doc.trashedAt;
+  }
+
+  /**
+   * Add or replace a document in the index
+   * @param {Object} doc - PouchDB document
+   */
+  indexDocument(doc) {
+    this.removeDocument(doc._id);
+
+    const title = doc.title || '';
+
+    const weights = new Map();
+    const addTerms = (value, field) => {
+      const counts = new Map();
+      tokenize(value).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      counts.forEach((count, term) => {
+        const weight = FIELD_WEIGHTS[field] * (1 + Math.log(count));
+        weights.set(term, (weights.get(term) || 0) + weight);
+      });
+    };
+
+    addTerms(title, 'title');
+    addTerms(flattenFrontmatter(doc.frontmatter), 'frontmatter');
+    addTerms(doc.content, 'body');
+
+    weights.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(doc._id, weight);
+    });
+
+    this.documents.set(doc._id, {
+      title,
+      updatedAt: doc.updatedAt,
+      terms: [...weights.keys()],
+      tags: extractTags(doc.frontmatter, doc.content),
+      links: [...new Set(findWikiLinks(doc.content).map(link => link.target))]
+    });
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} id - Document ID
+   */
+  removeDocument(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return;
+
+    entry.terms.forEach(term => {
+      const docs = this.postings.get(term);
+      if (!docs) return;
+      docs.delete(id);
+      if (docs.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.documents.delete(id);
+  }
+
+  /**
+   * Load the text of indexed documents from the database
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Promise<Map>} Promise resolving to a Map of id -> text, without documents deleted since
+   */
+  async loadTexts(ids) {
+    if (ids.length === 0) return new Map();
+    const { rows } = await this.db.allDocs({ keys: ids, include_docs: true });
+    return new Map(rows
+      .filter(row => row.doc)
+      .map(row => [row.id, getDocumentText(row.doc)]));
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Free text query
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Promise<Array<Object>>} Promise resolving to ranked results with { id, title, score, titleRanges, snippets }
+   */
+  async search(query, { limit = MAX_RESULTS } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const totalDocs = this.documents.size || 1;
+    let scores = null;
+
+    queryTerms.forEach((queryTerm, index) => {
+      // The last term is still being typed, so match it as a prefix
+      const isPrefix = index === queryTerms.length - 1;
+      const termScores = new Map();
+
+      this.postings.forEach((docs, term) => {
+        if (term !== queryTerm && !(isPrefix && term.startsWith(queryTerm))) return;
+
+        const idf = Math.log(1 + totalDocs / docs.size);
+        const exactness = term === queryTerm ? 1 : 0.5;
+        docs.forEach((weight, id) => {
+          termScores.set(id, Math.max(termScores.get(id) || 0, weight * idf * exactness));
+        });
+      });
+
+      // Every query term has to match
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const intersection = new Map();
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) {
+            intersection.set(id, score + termScores.get(id));
+          }
+        });
+        scores = intersection;
+      }
+    });
+
+    const ranked = [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => ({ id, title: this.documents.get(id).title, score }));
+
+    const texts = await this.loadTexts(ranked.map(result => result.id));
+    return ranked
+      .filter(result => texts.has(result.id))
+      .map(result => ({
+        ...result,
+        titleRanges: this.findRanges(result.title, queryTerms),
+        snippets: this.getSnippets(texts.get(result.id), queryTerms)
+      }));
+  }
+
+  /**
+   * Get every tag with the number of documents using it
+   * @returns {Array<Object>} Tags as { tag, count }, most used first
+   */
+  getTags() {
+    const counts = new Map();
+    this.documents.forEach(entry => {
+      (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Get the tags of a document
+   * @param {string} id - Document ID
+   * @returns {Array<string>} Normalized tags
+   */
+  getDocumentTags(id) {
+    const entry = this.documents.get(id);
+    return entry ? (entry.tags || []) : [];
+  }
+
+  /**
+   * Find documents carrying all of the given tags
+   * @param {Array<string>} tags - Tags with or without "#"
+   * @returns {Set<string>} Matching document IDs
+   */
+  findByTags(tags) {
+    const wanted = tags.map(normalizeTag).filter(Boolean);
+    const ids = new Set();
+    this.documents.forEach((entry, id) => {
+      if (wanted.every(tag => (entry.tags || []).includes(tag))) {
+        ids.add(id);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Find the documents linking to a document
+   * @param {Object} document - Linked document with id and title
+   * @returns {Array<string>} IDs of the linking documents
+   */
+  getBacklinkIds(document) {
+    const ids = [];
+    this.documents.forEach((entry, id) => {
+      if (id !== document.id && (entry.links || []).some(target => linksTo(target, document))) {
+        ids.push(id);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Find documents linking to a document, with the lines containing the links
+   * @param {Object} document - Linked document with id and title
+   * @returns {Promise<Array<Object>>} Promise resolving to backlinks with { id, title, contexts }
+   *   where every context is { line, column, text, ranges } like search snippets
+   */
+  async getBacklinks(document) {
+    const ids = this.getBacklinkIds(document);
+    const titles = new Map(ids.map(id => [id, this.documents.get(id).title]));
+    const texts = await this.loadTexts(ids);
+
+    const backlinks = [];
+    texts.forEach((text, id) => {
+      const contexts = [];
+      findWikiLinks(text)
+        .filter(link => linksTo(link.target, document))
+        .forEach(link => {
+          const existing = contexts.find(context => context.line === link.line + 1);
+          if (existing) return;
+          const line = text.split('\n')[link.line];
+          contexts.push(this.buildSnippet(line, link.line, [[link.from, link.to]]));
+        });
+
+      backlinks.push({ id, title: titles.get(id), contexts });
+    });
+
+    return backlinks.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Find highlight ranges of query terms in a line of text
+   * @param {string} text - Text to search
+   * @param {Array<string>} queryTerms - Tokenized query
+   * @returns {Array<Array<number>>} Array of [start, end] offsets
+   */
+  findRanges(text, queryTerms) {
+    if (!text) return [];
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}_])(${queryTerms.map(escapeRegExp).join('|')})`,
+      'giu'
+    );
+    return [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+  }
+
+  /**
+   * Build highlighted snippets for the lines that match a query
+   * @param {string} text - Full document text as shown in the editor
+   * @param {Array<string>} queryTerms - Tokenized query
+   * @returns {Array<Object>} Snippets with { line, column, text, ranges }
+   */
+  getSnippets(text, queryTerms) {
+    const snippets = [];
+    const lines = (text || '').split('\n');
+
+    for (let i = 0; i < lines.length && snippets.length < MAX_SNIPPETS; i++) {
+      const ranges = this.findRanges(lines[i], queryTerms);
+      if (ranges.length > 0) {
+        snippets.push(this.buildSnippet(lines[i], i, ranges));
+      }
+    }
+
+    return snippets;
+  }
+
+  /**
+   * Build a highlighted snippet of a line, trimmed around the first range
+   * @param {string} line - Full line of text
+   * @param {number} lineIndex - 0-based line number
+   * @param {Array<Array<number>>} ranges - Highlight ranges as [start, end] offsets
+   * @returns {Object} Snippet with { line, column, text, ranges }, line is 1-based
+   */
+  buildSnippet(line, lineIndex, ranges) {
+    const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+    const end = Math.min(line.length, ranges[0][1] + SNIPPET_CONTEXT * 2);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < line.length ? '…' : '';
+    const offset = prefix.length - start;
+
+    return {
+      line: lineIndex + 1,
+      column: ranges[0][0],
+      text: `${prefix}${line.slice(start, end)}${suffix}`,
+      ranges: ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from + offset, to + offset])
+    };
+  }
+
+  /**
+   * Drop the index and rebuild it from the database
+   */
+  rebuild() {
+    this.stopChangesFeed();
+    this.documents.clear();
+    this.postings.clear();
+    this.lastSeq = 0;
+    localStorage.removeItem(this.storageKey);
+    this.startChangesFeed();
+    this.notifyListeners();
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Document and term counts with last sequence
+   */
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      tags: this.getTags().length,
+      lastSeq: this.lastSeq
+    };
+  }
+
+  /**
+   * Add a listener for index updates
+   * @param {Function} callback - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners that the index changed
+   */
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.getStats());
+      } catch (error) {
+        console.error('Error in search index listener:', error);
+      }
+    });
+  }
+}
+
+// Create and export singleton instance
+const searchIndexService = new SearchIndexService();
+export default searchIndexService;
@@ -0,0 +1,416 @@
+/**
+ * SecretStore - Encrypted storage of passwords and other secrets
+ *
+ * Secrets are kept apart from the configuration and encrypted with AES-GCM.
+ * By default the key is a device key that IndexedDB keeps non-extractable, so
+ * a copy of localStorage does not reveal them. With a passphrase the key is
+ * derived from it instead, and secrets can only be read once unlocked.
+ *
+ * has() tells whether a secret is set without decrypting it.
+ */
+import workspaceService from './WorkspaceService.js';
+import {
+  KEY_ITERATIONS,
+  createKeyCheck,
+  createSalt,
+  decryptText,
+  deriveKey,
+  encryptText,
+  verifyKeyCheck
+} from '../utils/encryption.js';
+
+// Storage key of the encrypted secrets, each workspace has its own
+const SECRETS_STORAGE_KEY = 'commad-secrets';
+
+// Secrets cannot be stored or read until the passphrase is entered
+export const SECRETS_LOCKED_MESSAGE = 'Secrets are locked, unlock them with commad.config.unlockSecrets("passphrase")';
+
+// IndexedDB database holding the device key and the keys of other services, shared by all workspaces
+const KEY_DATABASE_NAME = 'commad-keys';
+const KEY_STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Promise resolving to the request's result
+ */
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run a request against the key store
+ * @param {string} mode - Transaction mode, "readonly" or "readwrite"
+ * @param {Function} makeRequest - Called with the object store, returns the request
+ * @returns {Promise<*>} Promise resolving to the request's result
+ */
+async function withKeyStore(mode, makeRequest) {
+  const open = indexedDB.open(KEY_DATABASE_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE_NAME);
+  const database = await requestResult(open);
+  try {
+    return await requestResult(makeRequest(database.transaction(KEY_STORE_NAME, mode).objectStore(KEY_STORE_NAME)));
+  } finally {
+    database.close();
+  }
+}
+
+class SecretStore {
+  constructor() {
+    this.deviceKey = null; // Promise of the device key, loaded on first use
+    this.unlockedKeys = new Map(); // storage key -> key derived from the passphrase, until locked or reloaded
+    this.writes = Promise.resolve(); // Secrets are written one at a time
+    this.listeners = new Set();
+  }
+
+  /**
+   * Storage key of the active workspace's secrets
+   * @returns {string} localStorage key
+   */
+  get storageKey() {
+    return workspaceService.storageKey(SECRETS_STORAGE_KEY);
+  }
+
+  /**
+   * Load the active workspace's secrets
+   * @returns {Object} { mode, salt, iterations, check, secrets } with secrets encrypted by name
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (stored) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Error loading secrets from localStorage:', error);
+    }
+    return { mode: 'device', secrets: {} };
+  }
+
+  /**
+   * Save the active workspace's secrets
+   * @param {Object} store - Secrets as returned by load
+   */
+  save(store) {
+    if (store.mode === 'device' && Object.keys(store.secrets).length === 0) {
+      localStorage.removeItem(this.storageKey);
+    } else {
+      localStorage.setItem(this.storageKey, JSON.stringify(store));
+    }
+  }
+
+  /**
+   * Run a write after the ones already started
+   * @param {Function} write - Async function
+   * @returns {Promise<*>} Promise resolving to the write's result
+   */
+  queue(write) {
+    const result = this.writes.then(write);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get the key of this device, creating it on first use
+   * @returns {Promise<CryptoKey>} Promise resolving to a non-extractable AES-GCM key
+   */
+  getDeviceKey() {
+    if (!this.deviceKey) {
+      this.deviceKey = (async () => {
+        const stored = await withKeyStore('readonly', store => store.get(DEVICE_KEY_ID));
+        if (stored) {
+          return stored;
+        }
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        try {
+          await withKeyStore('readwrite', store => store.add(key, DEVICE_KEY_ID));
+          return key;
+        } catch {
+          // Another tab created the key first
+          return withKeyStore('readonly', store => store.get(DEVICE_KEY_ID));
+        }
+      })();
+      this.deviceKey.catch(() => {
+        this.deviceKey = null;
+      });
+    }
+    return this.deviceKey;
+  }
+
+  /**
+   * Get the key secrets are encrypted with
+   * @param {Object} store - Secrets as returned by load
+   * @returns {Promise<CryptoKey|null>} Promise resolving to the key, or null while the passphrase is not entered
+   */
+  async getKey(store) {
+    if (store.mode === 'passphrase') {
+      return this.unlockedKeys.get(this.storageKey) || null;
+    }
+    return this.getDeviceKey();
+  }
+
+  /**
+   * Decrypt every secret
+   * @param {Object} store - Secrets as returned by load
+   * @param {CryptoKey} key - Key they are encrypted with
+   * @returns {Promise<Object>} Promise resolving to the plain values by name
+   */
+  async decryptAll(store, key) {
+    const entries = await Promise.all(Object.entries(store.secrets)
+      .map(async ([name, encrypted]) => [name, await decryptText(encrypted, key)]));
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Encrypt secrets
+   * @param {Object} values - Plain values by name
+   * @param {CryptoKey} key - Key to encrypt with
+   * @returns {Promise<Object>} Promise resolving to the encrypted values by name
+   */
+  async encryptAll(values, key) {
+    const entries = await Promise.all(Object.entries(values)
+      .map(async ([name, value]) => [name, await encryptText(value, key)]));
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Check whether a secret is set, without decrypting it
+   * @param {string} name - Secret name, e.g. "couchdbPassword"
+   * @returns {boolean} True if the secret is stored
+   */
+  has(name) {
+    return Boolean(this.load().secrets[name]);
+  }
+
+  /**
+   * Get the names of the stored secrets
+   * @returns {Array<string>} Secret names
+   */
+  getNames() {
+    return Object.keys(this.load().secrets);
+  }
+
+  /**
+   * Check whether secrets are protected by a passphrase
+   * @returns {boolean} True in passphrase mode
+   */
+  usesPassphrase() {
+    return this.load().mode === 'passphrase';
+  }
+
+  /**
+   * Check whether secrets cannot be read until the passphrase is entered
+   * @returns {boolean} True while locked
+   */
+  isLocked() {
+    return this.usesPassphrase() && !this.unlockedKeys.has(this.storageKey);
+  }
+
+  /**
+   * Read a secret
+   * @param {string} name - Secret name
+   * @returns {Promise<string|null>} Promise resolving to the value, or null when it is not set or locked
+   */
+  async get(name) {
+    await this.writes;
+    const store = this.load();
+    const encrypted = store.secrets[name];
+    if (!encrypted) {
+      return null;
+    }
+    const key = await this.getKey(store);
+    if (!key) {
+      console.warn(`🔐 ${name} is locked, unlock secrets with commad.config.unlockSecrets("passphrase")`);
+      return null;
+    }
+    try {
+      return await decryptText(encrypted, key);
+    } catch (error) {
+      console.error(`Could not decrypt ${name}, set it again:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a secret
+   * @param {string} name - Secret name
+   * @param {string} value - Value, '' removes the secret
+   * @returns {Promise<void>} Promise resolving once stored, rejects while locked
+   */
+  set(name, value) {
+    return this.queue(async () => {
+      const store = this.load();
+      if (!value) {
+        delete store.secrets[name];
+      } else {
+        const key = await this.getKey(store);
+        if (!key) {
+          throw new Error(SECRETS_LOCKED_MESSAGE);
+        }
+        store.secrets[name] = await encryptText(String(value), key);
+      }
+      this.save(store);
+    });
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} name - Secret name
+   * @returns {Promise<void>} Promise resolving once removed
+   */
+  delete(name) {
+    return this.set(name, '');
+  }
+
+  /**
+   * Protect the active workspace's secrets with a passphrase, or change it
+   * The passphrase is needed once per session to read them, see unlock.
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<void>} Promise resolving once the secrets are encrypted again
+   */
+  setPassphrase(passphrase) {
+    return this.queue(async () => {
+      const store = this.load();
+      const currentKey = await this.getKey(store);
+      if (!currentKey) {
+        throw new Error('Secrets are locked, unlock them before changing the passphrase');
+      }
+      const values = await this.decryptAll(store, currentKey);
+      const salt = createSalt();
+      const key = await deriveKey(passphrase, salt, KEY_ITERATIONS);
+      this.save({
+        mode: 'passphrase',
+        salt,
+        iterations: KEY_ITERATIONS,
+        check: await createKeyCheck(key),
+        secrets: await this.encryptAll(values, key)
+      });
+      this.unlockedKeys.set(this.storageKey, key);
+      console.log('🔐 Secrets are protected by a passphrase');
+      this.notifyListeners();
+    });
+  }
+
+  /**
+   * Go back to the device key
+   * @returns {Promise<void>} Promise resolving once the secrets are encrypted again, rejects while locked
+   */
+  removePassphrase() {
+    return this.queue(async () => {
+      const store = this.load();
+      if (store.mode !== 'passphrase') {
+        return;
+      }
+      const currentKey = await this.getKey(store);
+      if (!currentKey) {
+        throw new Error('Secrets are locked, unlock them before removing the passphrase');
+      }
+      const values = await this.decryptAll(store, currentKey);
+      this.save({ mode: 'device', secrets: await this.encryptAll(values, await this.getDeviceKey()) });
+      this.unlockedKeys.delete(this.storageKey);
+      console.log('🔐 Secrets are protected by the device key');
+      this.notifyListeners();
+    });
+  }
+
+  /**
+   * Enter the passphrase to read secrets until the app is reloaded or locked
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<void>} Promise rejecting for a wrong passphrase
+   */
+  async unlock(passphrase) {
+    const store = this.load();
+    if (store.mode !== 'passphrase') {
+      return;
+    }
+    const key = await deriveKey(passphrase, store.salt, store.iterations);
+    if (!await verifyKeyCheck(store.check, key)) {
+      throw new Error('Wrong passphrase for the stored secrets');
+    }
+    this.unlockedKeys.set(this.storageKey, key);
+    console.log('🔓 Secrets unlocked');
+    this.notifyListeners();
+  }
+
+  /**
+   * Forget the passphrase, secrets cannot be read until unlocked again
+   */
+  lock() {
+    if (this.unlockedKeys.delete(this.storageKey)) {
+      console.log('🔐 Secrets locked');
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Get a key another service keeps on this device, see setCryptoKey
+   * @param {string} id - Key id
+   * @returns {Promise<CryptoKey|null>} Promise resolving to the key, or null if it is not stored
+   */
+  async getCryptoKey(id) {
+    return (await withKeyStore('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Keep a key on this device
+   * IndexedDB stores the key itself, so a non-extractable key stays non-extractable.
+   * @param {string} id - Key id, must not be "device"
+   * @param {CryptoKey} key - Key
+   * @returns {Promise<void>} Promise resolving once stored
+   */
+  async setCryptoKey(id, key) {
+    if (id === DEVICE_KEY_ID) {
+      throw new Error(`Key id "${id}" is reserved for the device key`);
+    }
+    await withKeyStore('readwrite', store => store.put(key, id));
+  }
+
+  /**
+   * Delete a key kept with setCryptoKey
+   * @param {string} id - Key id
+   * @returns {Promise<void>} Promise resolving once deleted
+   */
+  async deleteCryptoKey(id) {
+    await withKeyStore('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Delete the device key and every other key, what they encrypted can no longer be read
+   * @returns {Promise<void>} Promise resolving once deleted
+   */
+  async forgetKeys() {
+    await withKeyStore('readwrite', store => store.clear());
+    this.deviceKey = null;
+  }
+
+  /**
+   * Add a listener for secrets being unlocked, locked or protected differently
+   * Changed values are reported by ConfigService, which stores them.
+   * @param {Function} callback - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners
+   */
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('Error in secret store listener:', error);
+      }
+    });
+  }
+}
+
+// Create a singleton instance
+const secretStore = new SecretStore();
+
+export default secretStore;
@@ -0,0 +1,166 @@
+/**
+ * SessionService - CouchDB cookie authentication
+ *
+ * Logs in through CouchDB's _session endpoint, so the browser keeps an
+ * AuthSession cookie and requests carry no credentials. Remote databases use
+ * createFetch(), which logs in again once when the session has expired and
+ * reports the request as denied when that is not possible.
+ */
+import PouchDB from 'pouchdb';
+
+/**
+ * Get the _session URL of the server a database URL points to
+ * @param {string} couchdbUrl - Database URL, e.g. "http://localhost:5984/commad"
+ * @returns {string} Session endpoint, e.g. "http://localhost:5984/_session"
+ */
+export function sessionUrl(couchdbUrl) {
+  const url = new URL(couchdbUrl, window.location.href);
+  url.username = '';
+  url.password = '';
+  url.search = '';
+  url.pathname = `${url.pathname.replace(/\/+$/, '').replace(/[^/]*$/, '')}_session`;
+  return url.toString();
+}
+
+/**
+ * Create an error for a failed login, with the HTTP status PouchDB errors carry
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status and name "unauthorized"
+ */
+const authError = (message, status = 401) => Object.assign(new Error(message), { status, name: 'unauthorized' });
+
+class SessionService {
+  constructor() {
+    this.pendingLogins = new Map(); // session URL -> login promise shared by concurrent requests
+  }
+
+  /**
+   * Get the user the browser is logged in as
+   * @param {string} couchdbUrl - Database URL
+   * @returns {Promise<Object>} Promise resolving to CouchDB's userCtx, name is null when logged out
+   */
+  async getSession(couchdbUrl) {
+    const response = await PouchDB.fetch(sessionUrl(couchdbUrl), {
+      credentials: 'include',
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) {
+      throw authError(`Could not read the CouchDB session: ${response.status} ${response.statusText}`, response.status);
+    }
+    const { userCtx } = await response.json();
+    return userCtx;
+  }
+
+  /**
+   * Log in and let the browser keep the session cookie
+   * @param {string} couchdbUrl - Database URL
+   * @param {string} username - CouchDB user name
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Promise resolving to { name, roles }, rejects with status 401 for wrong credentials
+   */
+  async login(couchdbUrl, username, password) {
+    const url = sessionUrl(couchdbUrl);
+    if (!this.pendingLogins.has(url)) {
+      const login = (async () => {
+        const response = await PouchDB.fetch(url, {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify({ name: username, password })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw authError(`CouchDB login failed for ${username}: ${result.reason || response.statusText}`, response.status);
+        }
+        console.log(`🔑 Logged in to CouchDB as ${result.name}`);
+        return { name: result.name, roles: result.roles || [] };
+      })();
+      this.pendingLogins.set(url, login);
+      login.then(() => this.pendingLogins.delete(url), () => this.pendingLogins.delete(url));
+    }
+    return this.pendingLogins.get(url);
+  }
+
+  /**
+   * Make sure the browser is logged in as a user
+   * @param {string} couchdbUrl - Database URL
+   * @param {string} username - CouchDB user name, '' to sync without logging in
+   * @param {string} password - Password, '' when only an existing session can be used
+   * @returns {Promise<void>} Promise rejecting with status 401 when there is no way to log in
+   */
+  async ensureSession(couchdbUrl, username, password) {
+    if (!username) {
+      return;
+    }
+    const { name } = await this.getSession(couchdbUrl);
+    if (name === username) {
+      return;
+    }
+    if (!password) {
+      throw authError(`The CouchDB session of ${username} has ended, log in again with commad.sync.login("${username}", "password")`);
+    }
+    await this.login(couchdbUrl, username, password);
+  }
+
+  /**
+   * End the session and remove the cookie
+   * @param {string} couchdbUrl - Database URL
+   * @returns {Promise<void>} Promise resolving once CouchDB ended the session
+   */
+  async logout(couchdbUrl) {
+    const response = await PouchDB.fetch(sessionUrl(couchdbUrl), {
+      method: 'DELETE',
+      credentials: 'include',
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`CouchDB logout failed: ${response.status} ${response.statusText}`);
+    }
+    console.log('🔑 Logged out of CouchDB');
+  }
+
+  /**
+   * Create the fetch function of a remote database
+   * A request answered with 401 logs in again and is repeated once. When that
+   * is not possible onDenied is called, so sync can stop instead of retrying.
+   * @param {string} couchdbUrl - Database URL
+   * @param {Function} getCredentials - Returns a promise of { username, password } at the time of the request
+   * @param {Function} onDenied - Called with an error when the session cannot be renewed
+   * @returns {Function} fetch(url, options) for PouchDB's fetch option
+   */
+  createFetch(couchdbUrl, getCredentials, onDenied) {
+    return async (url, options) => {
+      const response = await PouchDB.fetch(url, options);
+      if (response.status !== 401) {
+        return response;
+      }
+
+      const { username, password } = await getCredentials();
+      if (!username || !password) {
+        onDenied(authError(username
+          ? `The CouchDB session of ${username} has ended, log in again with commad.sync.login("${username}", "password")`
+          : 'CouchDB requires a login, log in with commad.sync.login("username", "password")'));
+        return response;
+      }
+      try {
+        console.log('🔑 CouchDB session expired, logging in again');
+        await this.login(couchdbUrl, username, password);
+      } catch (error) {
+        onDenied(error);
+        return response;
+      }
+
+      const retried = await PouchDB.fetch(url, options);
+      if (retried.status === 401) {
+        onDenied(authError(`CouchDB denied ${username} access after logging in again`));
+      }
+      return retried;
+    };
+  }
+}
+
+// Create a singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
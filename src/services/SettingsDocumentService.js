@@ -1,7 +1,31 @@
 /**
  * SettingsDocumentService - Service for managing settings as YAML document
  */
-import configManager from './ConfigService.js';
+import configManager, { CONFLICT_POLICIES, SCHEMA_VALIDATION_MODES, SECRET_KEYS, SECRET_PLACEHOLDER } from './ConfigService.js';
+import workspaceService from './WorkspaceService.js';
+import { checkIdFormat } from '../utils/dailyNotes.js';
+import { checkSyncFilter } from '../utils/syncFilter.js';
+import { SYNC_DIRECTIONS, SYNC_MODES, checkSyncRemotes } from '../utils/syncRemotes.js';
+
+/**
+ * Replace secrets in settings YAML with what the configuration shows for them
+ * @param {string} yamlContent - Settings YAML
+ * @returns {string} YAML without secret values
+ */
+const redactSecrets = (yamlContent) => SECRET_KEYS.reduce(
+  (content, key) => content.replace(new RegExp(`^(${key}:).*$`, 'm'), `$1 ${JSON.stringify(configManager.get(key))}`),
+  yamlContent
+);
+
+/**
+ * Check the syncRemotes of new settings, including their sessions with the primary remote
+ * @param {Object} config - Parsed settings, keys that are left out keep their current value
+ * @returns {string|null} Error message, or null if the remotes are valid
+ */
+const checkRemotes = (config) => {
+  const value = (key) => (key in config ? config[key] : configManager.get(key));
+  return checkSyncRemotes(value('syncRemotes'), { url: value('couchdbUrl'), username: value('couchdbUsername') });
+};
 
 // YAML helper functions
 const yamlStringify = (obj) => {
@@ -34,17 +58,35 @@ const yamlStringify = (obj) => {
   addComment('CouchDB Configuration');
   addValue('couchdbUrl', obj.couchdbUrl, 'CouchDB server URL (use "/db" for Vite proxy)');
   addValue('couchdbUsername', obj.couchdbUsername, 'CouchDB username (optional)');
-  addValue('couchdbPassword', obj.couchdbPassword, 'CouchDB password (optional)');
+  addValue('couchdbPassword', obj.couchdbPassword, `CouchDB password (optional), stored encrypted and shown as "${SECRET_PLACEHOLDER}" once set ("" removes it)`);
+  addValue('couchdbKeepPassword', obj.couchdbKeepPassword, 'Keep the password to log in again when the session expires (false forgets it after commad.sync.login)');
   lines.push('');
   
   addComment('Synchronization Settings');
   addValue('syncEnabled', obj.syncEnabled, 'Enable/disable synchronization');
   addValue('syncInterval', obj.syncInterval, 'Sync interval in milliseconds');
+  addValue('conflictPolicy', obj.conflictPolicy, `Conflict handling (${CONFLICT_POLICIES.join('/')}), a "conflictPolicy" frontmatter key overrides it per document`);
+  addValue('autoResolveOnSync', obj.autoResolveOnSync, 'Resolve conflicts automatically after sync (false leaves them for review)');
+  addValue('syncPushFilter', obj.syncPushFilter, 'Documents sent to CouchDB, e.g. "-folder:private -tag:private" or a Mango selector in JSON ("" for all)');
+  addValue('syncPullFilter', obj.syncPullFilter, 'Documents received from CouchDB, e.g. "folder:shared" ("" for all)');
+  addValue('syncDirection', obj.syncDirection, `Direction of sync with couchdbUrl (${SYNC_DIRECTIONS.join('/')})`);
+  addValue('syncMode', obj.syncMode, `Sync with couchdbUrl continuously or every syncInterval (${SYNC_MODES.join('/')})`);
+  addValue('syncRemotes', obj.syncRemotes, 'More remotes as JSON, e.g. [{"name": "backup", "url": "https://backup.example.com/commad", "direction": "push", "mode": "periodic"}]');
   lines.push('');
   
   addComment('Application Settings');
   addValue('appName', obj.appName, 'Application name');
   addValue('theme', obj.theme, 'UI theme preference (light/dark)');
+  addValue('maxAttachmentSize', obj.maxAttachmentSize, 'Largest file that can be pasted or dropped into a document, in bytes');
+  addValue('trashRetentionDays', obj.trashRetentionDays, 'Days deleted documents stay in the trash before they are removed for good (0 keeps them until the trash is emptied)');
+  addValue('schemaValidation', obj.schemaValidation, `Saving documents that do not match their frontmatter schemas (${SCHEMA_VALIDATION_MODES.join('/')})`);
+  lines.push('');
+  
+  addComment('Daily Notes');
+  addValue('dailyNoteFolder', obj.dailyNoteFolder, 'Folder new daily notes are created in ("" for the top level)');
+  addValue('dailyNoteIdFormat', obj.dailyNoteIdFormat, 'Document id of a day\'s note, must contain YYYY, MM and DD; text in [brackets] is kept');
+  addValue('dailyNoteTitleFormat', obj.dailyNoteTitleFormat, 'Title of a day\'s note, e.g. "dddd, D MMMM YYYY"');
+  addValue('dailyNoteTemplate', obj.dailyNoteTemplate, 'Id or title of the template new daily notes are created from ("" for none)');
   lines.push('');
   
   addComment('Console Tools');
@@ -75,13 +117,20 @@ const yamlParse = (yamlString) => {
     let value = trimmed.substring(colonIndex + 1).trim();
     
     // Remove quotes
-    if ((value.startsWith('"') && value.endsWith('"')) || 
-        (value.startsWith("'") && value.endsWith("'"))) {
+    const quoted = (value.startsWith('"') && value.endsWith('"')) ||
+      (value.startsWith("'") && value.endsWith("'"));
+    if (quoted) {
       value = value.slice(1, -1);
     }
     
-    // Parse different types
-    if (value === 'true') {
+    // Parse different types, unquoted lists and objects are JSON
+    if (!quoted && (value.startsWith('[') || value.startsWith('{'))) {
+      try {
+        config[key] = JSON.parse(value);
+      } catch {
+        config[key] = value;
+      }
+    } else if (value === 'true') {
       config[key] = true;
     } else if (value === 'false') {
       config[key] = false;
@@ -97,10 +146,17 @@ const yamlParse = (yamlString) => {
 
 class SettingsDocumentService {
   constructor() {
-    this.storageKey = 'commad-settings-document';
     this.listeners = new Set();
   }
 
+  /**
+   * Storage key of the saved settings document, each workspace has its own
+   * @returns {string} localStorage key
+   */
+  get storageKey() {
+    return workspaceService.storageKey('commad-settings-document');
+  }
+
   /**
    * Get the settings document as YAML string
    * @returns {Object} Document object with content and metadata
@@ -153,21 +209,80 @@ class SettingsDocumentService {
         throw new Error('Invalid CouchDB URL format');
       }
       
-      // Save the YAML content to localStorage for editing history
-      localStorage.setItem(this.storageKey, yamlContent);
+      if ('conflictPolicy' in newConfig && !CONFLICT_POLICIES.includes(newConfig.conflictPolicy)) {
+        throw new Error(`conflictPolicy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+      }
+      
+      if ('autoResolveOnSync' in newConfig && typeof newConfig.autoResolveOnSync !== 'boolean') {
+        throw new Error('autoResolveOnSync must be true or false');
+      }
+      
+      if ('couchdbKeepPassword' in newConfig && typeof newConfig.couchdbKeepPassword !== 'boolean') {
+        throw new Error('couchdbKeepPassword must be true or false');
+      }
+      
+      SECRET_KEYS.forEach(key => {
+        if (key in newConfig && typeof newConfig[key] !== 'string') {
+          throw new Error(`${key} must be a string in quotes`);
+        }
+      });
+      
+      ['syncPushFilter', 'syncPullFilter'].forEach(key => {
+        if (key in newConfig && checkSyncFilter(newConfig[key])) {
+          throw new Error(`${key}: ${checkSyncFilter(newConfig[key])}`);
+        }
+      });
+      
+      if ('syncDirection' in newConfig && !SYNC_DIRECTIONS.includes(newConfig.syncDirection)) {
+        throw new Error(`syncDirection must be one of: ${SYNC_DIRECTIONS.join(', ')}`);
+      }
+      
+      if ('syncMode' in newConfig && !SYNC_MODES.includes(newConfig.syncMode)) {
+        throw new Error(`syncMode must be one of: ${SYNC_MODES.join(', ')}`);
+      }
+      
+      if (checkRemotes(newConfig)) {
+        throw new Error(checkRemotes(newConfig));
+      }
+      
+      if ('maxAttachmentSize' in newConfig && (typeof newConfig.maxAttachmentSize !== 'number' || newConfig.maxAttachmentSize <= 0)) {
+        throw new Error('maxAttachmentSize must be a number > 0 (bytes)');
+      }
+      
+      if ('trashRetentionDays' in newConfig && (typeof newConfig.trashRetentionDays !== 'number' || newConfig.trashRetentionDays < 0)) {
+        throw new Error('trashRetentionDays must be a number >= 0 (days)');
+      }
+      
+      if ('schemaValidation' in newConfig && !SCHEMA_VALIDATION_MODES.includes(newConfig.schemaValidation)) {
+        throw new Error(`schemaValidation must be one of: ${SCHEMA_VALIDATION_MODES.join(', ')}`);
+      }
+      
+      if ('dailyNoteIdFormat' in newConfig && checkIdFormat(newConfig.dailyNoteIdFormat)) {
+        throw new Error(checkIdFormat(newConfig.dailyNoteIdFormat));
+      }
+      
+      if ('dailyNoteTitleFormat' in newConfig && (typeof newConfig.dailyNoteTitleFormat !== 'string' || !newConfig.dailyNoteTitleFormat.trim())) {
+        throw new Error('dailyNoteTitleFormat must not be empty');
+      }
       
       // Apply configuration changes
       const oldConfig = configManager.getAll();
       const changes = {};
       
       Object.keys(newConfig).forEach(key => {
-        if (oldConfig[key] !== newConfig[key]) {
-          changes[key] = { old: oldConfig[key], new: newConfig[key] };
+        if (JSON.stringify(oldConfig[key]) !== JSON.stringify(newConfig[key])) {
+          changes[key] = SECRET_KEYS.includes(key)
+            ? { old: oldConfig[key], new: newConfig[key] ? SECRET_PLACEHOLDER : '' }
+            : { old: oldConfig[key], new: newConfig[key] };
         }
       });
       
-      // Update configuration
-      configManager.setMultiple(newConfig);
+      // Update configuration, secrets go to the secret store
+      await configManager.setMultiple(newConfig);
+      
+      // Save the YAML content to localStorage for editing history, without secrets
+      const savedContent = redactSecrets(yamlContent);
+      localStorage.setItem(this.storageKey, savedContent);
       
       // Log changes
       if (Object.keys(changes).length > 0) {
@@ -180,7 +295,7 @@ class SettingsDocumentService {
       this.notifyListeners({
         type: 'saved',
         changes: changes,
-        content: yamlContent
+        content: savedContent
       });
       
       return true;
@@ -192,7 +307,7 @@ class SettingsDocumentService {
       this.notifyListeners({
         type: 'error',
         error: error.message,
-        content: yamlContent
+        content: redactSecrets(yamlContent)
       });
       
       throw error;
@@ -324,6 +439,99 @@ class SettingsDocumentService {
         };
       }
       
+      if ('conflictPolicy' in config && !CONFLICT_POLICIES.includes(config.conflictPolicy)) {
+        return {
+          valid: false,
+          error: `conflictPolicy must be one of: ${CONFLICT_POLICIES.join(', ')}`
+        };
+      }
+      
+      if ('autoResolveOnSync' in config && typeof config.autoResolveOnSync !== 'boolean') {
+        return {
+          valid: false,
+          error: 'autoResolveOnSync must be true or false'
+        };
+      }
+      
+      if ('couchdbKeepPassword' in config && typeof config.couchdbKeepPassword !== 'boolean') {
+        return {
+          valid: false,
+          error: 'couchdbKeepPassword must be true or false'
+        };
+      }
+      
+      const secretKey = SECRET_KEYS.find(key => key in config && typeof config[key] !== 'string');
+      if (secretKey) {
+        return {
+          valid: false,
+          error: `${secretKey} must be a string in quotes`
+        };
+      }
+      
+      const filterKey = ['syncPushFilter', 'syncPullFilter'].find(key => key in config && checkSyncFilter(config[key]));
+      if (filterKey) {
+        return {
+          valid: false,
+          error: `${filterKey}: ${checkSyncFilter(config[filterKey])}`
+        };
+      }
+      
+      if ('syncDirection' in config && !SYNC_DIRECTIONS.includes(config.syncDirection)) {
+        return {
+          valid: false,
+          error: `syncDirection must be one of: ${SYNC_DIRECTIONS.join(', ')}`
+        };
+      }
+      
+      if ('syncMode' in config && !SYNC_MODES.includes(config.syncMode)) {
+        return {
+          valid: false,
+          error: `syncMode must be one of: ${SYNC_MODES.join(', ')}`
+        };
+      }
+      
+      if (checkRemotes(config)) {
+        return {
+          valid: false,
+          error: checkRemotes(config)
+        };
+      }
+      
+      if ('maxAttachmentSize' in config && (typeof config.maxAttachmentSize !== 'number' || config.maxAttachmentSize <= 0)) {
+        return {
+          valid: false,
+          error: 'maxAttachmentSize must be a number > 0 (bytes)'
+        };
+      }
+      
+      if ('trashRetentionDays' in config && (typeof config.trashRetentionDays !== 'number' || config.trashRetentionDays < 0)) {
+        return {
+          valid: false,
+          error: 'trashRetentionDays must be a number >= 0 (days)'
+        };
+      }
+      
+      if ('schemaValidation' in config && !SCHEMA_VALIDATION_MODES.includes(config.schemaValidation)) {
+        return {
+          valid: false,
+          error: `schemaValidation must be one of: ${SCHEMA_VALIDATION_MODES.join(', ')}`
+        };
+      }
+      
+      if ('dailyNoteIdFormat' in config && checkIdFormat(config.dailyNoteIdFormat)) {
+        return {
+          valid: false,
+          error: checkIdFormat(config.dailyNoteIdFormat)
+        };
+      }
+      
+      if ('dailyNoteTitleFormat' in config && (typeof config.dailyNoteTitleFormat !== 'string' || !config.dailyNoteTitleFormat.trim())) {
+        return {
+          valid: false,
+          error: 'dailyNoteTitleFormat must not be empty'
+        };
+      }
+      
       return {
         valid: true,
         config: config
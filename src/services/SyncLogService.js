@@ -0,0 +1,167 @@
+/**
+ * SyncLogService - Persisted log of sync activity
+ *
+ * Keeps the latest sync events of each workspace in localStorage: documents
+ * pushed and pulled, conflicts resolved, denials and errors with their reasons.
+ * The log survives reloads, so "my note didn't sync" can be traced afterwards.
+ */
+import workspaceService from './WorkspaceService.js';
+
+// Kinds of entries, in the order the sync panel offers them as filters
+export const SYNC_LOG_TYPES = ['push', 'pull', 'conflict', 'denied', 'error', 'info'];
+
+// Storage key of the log, each workspace has its own
+const LOG_STORAGE_KEY = 'commad-sync-log';
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 500;
+
+// Document ids kept per entry, larger batches only keep their count beyond this
+const MAX_ENTRY_DOCUMENTS = 100;
+
+class SyncLogService {
+  constructor() {
+    this.entries = this.loadEntries();
+    this.listeners = new Set();
+    this.sequence = 0;
+
+    workspaceService.addListener(() => {
+      this.entries = this.loadEntries();
+      this.notifyListeners();
+    });
+  }
+
+  /**
+   * Storage key of the active workspace's log
+   * @returns {string} localStorage key
+   */
+  get storageKey() {
+    return workspaceService.storageKey(LOG_STORAGE_KEY);
+  }
+
+  /**
+   * Load the log from localStorage
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  loadEntries() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    } catch (error) {
+      console.warn('Error loading sync log from localStorage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the log to localStorage, dropping old entries if storage is full
+   */
+  saveEntries() {
+    while (this.entries.length > 0) {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        return;
+      } catch (error) {
+        console.warn('Sync log does not fit in localStorage, dropping older entries:', error);
+        this.entries = this.entries.slice(Math.ceil(this.entries.length / 2));
+      }
+    }
+    localStorage.removeItem(this.storageKey);
+  }
+
+  /**
+   * Add an entry to the log
+   * @param {string} type - One of SYNC_LOG_TYPES
+   * @param {string} message - What happened, or why it failed
+   * @param {Object} [options] - Entry options
+   * @param {Array<string>} [options.documentIds] - Documents the event is about
+   * @param {Object} [options.details] - Extra data kept with the entry and exported with it
+   * @returns {Object} The new entry with { id, time, type, message, documentIds, documentCount, details }
+   */
+  add(type, message, { documentIds = [], details = null } = {}) {
+    const entry = {
+      id: `${Date.now()}-${this.sequence++}`,
+      time: new Date().toISOString(),
+      type,
+      message,
+      documentIds: documentIds.slice(0, MAX_ENTRY_DOCUMENTS),
+      documentCount: documentIds.length,
+      ...(details ? { details } : {})
+    };
+
+    this.entries = [...this.entries, entry].slice(-MAX_ENTRIES);
+    this.saveEntries();
+    this.notifyListeners();
+    return entry;
+  }
+
+  /**
+   * Get log entries, newest first
+   * @param {Object} [filters] - Filters, all optional
+   * @param {Array<string>|string} [filters.types] - Entry types to include
+   * @param {string} [filters.search] - Text the message or a document id contains, case-insensitive
+   * @param {string} [filters.since] - ISO time of the oldest entry to include
+   * @returns {Array<Object>} Matching entries
+   */
+  getEntries({ types = null, search = '', since = null } = {}) {
+    const typeList = types ? [].concat(types) : null;
+    const text = search.trim().toLowerCase();
+
+    return this.entries
+      .filter(entry => !typeList || typeList.includes(entry.type))
+      .filter(entry => !since || entry.time >= since)
+      .filter(entry => !text ||
+        entry.message.toLowerCase().includes(text) ||
+        entry.documentIds.some(id => id.toLowerCase().includes(text)))
+      .reverse();
+  }
+
+  /**
+   * Export log entries as JSON
+   * @param {Object} [filters] - Filters, see getEntries
+   * @returns {string} JSON with the workspace, export time and entries
+   */
+  export(filters = {}) {
+    return JSON.stringify({
+      workspace: workspaceService.getActive(),
+      exportedAt: new Date().toISOString(),
+      entries: this.getEntries(filters)
+    }, null, 2);
+  }
+
+  /**
+   * Remove every entry of the active workspace's log
+   */
+  clear() {
+    this.entries = [];
+    localStorage.removeItem(this.storageKey);
+    this.notifyListeners();
+  }
+
+  /**
+   * Add a listener for log changes
+   * @param {Function} callback - Callback called with the entries, oldest first
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of log changes
+   */
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.entries);
+      } catch (error) {
+        console.error('Error in sync log listener:', error);
+      }
+    });
+  }
+}
+
+// Create a singleton instance
+const syncLogService = new SyncLogService();
+
+export default syncLogService;
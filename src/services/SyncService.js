@@ -2,17 +2,64 @@
  * SyncService - Service for syncing with CouchDB
  */
 import PouchDB from 'pouchdb';
-import configManager from './ConfigService.js';
+import configManager, { CONFLICT_POLICIES } from './ConfigService.js';
+import workspaceService from './WorkspaceService.js';
+import encryptionService, { ENCRYPTION_DOC_ID } from './EncryptionService.js';
+import syncLogService from './SyncLogService.js';
+import sessionService from './SessionService.js';
+import secretStore, { SECRETS_LOCKED_MESSAGE } from './SecretStore.js';
+import { ENCRYPTED_FIELDS } from '../utils/encryption.js';
+import { parseSyncFilter, replicationSelector, selectorFields } from '../utils/syncFilter.js';
+import { PRIMARY_REMOTE, checkSessionConflict, checkSyncRemotes, normalizeRemote, remotePasswordKey } from '../utils/syncRemotes.js';
+import { mergeText, mergeChunks, resolveChunk, commonLines, mergeFields } from '../utils/merge.js';
+import { mergeFrontmatter, updateFrontmatterSource } from '../utils/frontmatter.js';
+import { diffLines, diffStats } from '../utils/diff.js';
+
+// Fields that are not merged key by key: revision metadata, merged content,
+// frontmatter and its source text (merged separately) and timestamps (recomputed)
+const NON_MERGEABLE_FIELDS = [
+  '_id', '_rev', '_conflicts', '_revisions', '_attachments', '_deleted',
+  'content', 'frontmatter', 'frontmatterSource', 'createdAt', 'updatedAt', 'updatedOn'
+];
+
+/**
+ * Remove revision metadata from a leaf revision
+ * @param {Object} leaf - Leaf document loaded with revision history
+ * @returns {Object} Document without _rev, _revisions and _conflicts
+ */
+const withoutRevisionInfo = (leaf) => {
+  const { _rev, _revisions, _conflicts, ...doc } = leaf;
+  return doc;
+};
+
+/**
+ * Combine the attachments of conflicting revisions so none added on another device is lost
+ * @param {Object} preferred - Revision whose attachment wins when several share a name
+ * @param {Array<Object>} leaves - Leaf documents, the winning revision first
+ * @returns {Object} Object with the merged _attachments stubs, empty if there are none
+ */
+const mergeAttachments = (preferred, leaves) => {
+  const attachments = Object.assign(
+    {},
+    ...[...leaves].reverse().map(leaf => leaf._attachments || {}),
+    preferred._attachments || {}
+  );
+  return Object.keys(attachments).length > 0 ? { _attachments: attachments } : {};
+};
+
+/**
+ * Pick the top-level fields of a document that take part in a field merge
+ * @param {Object} doc - Document
+ * @returns {Object} Mergeable fields
+ */
+const mergeableFields = (doc) => Object.fromEntries(
+  Object.entries(doc).filter(([key]) => !NON_MERGEABLE_FIELDS.includes(key))
+);
 
 class SyncService {
   constructor() {
-    this.localDB = new PouchDB('commad-documents');
-    this.remoteDB = null;
-    this.syncHandler = null;
+    this.connections = new Map(); // remote name -> { name, url, username, direction, mode, db, handler, timer, status, error, lastSyncTime }
     this.isOnline = navigator.onLine;
-    this.syncStatus = 'disconnected';
-    this.lastSyncTime = null;
-    this.syncError = null;
     this.listeners = new Set();
     
     // Listen for config changes
@@ -26,13 +73,58 @@ class SyncService {
     this.initializeSync();
   }
 
+  /**
+   * Local database of the active workspace
+   * Switching workspaces changes the configuration too, which restarts sync
+   * with the new workspace's database and remote (see handleConfigChange).
+   */
+  get localDB() {
+    return workspaceService.getDatabase();
+  }
+
+  /**
+   * Database of the primary remote, which encryption and sync filters are applied with
+   */
+  get remoteDB() {
+    const primary = this.connections.get(PRIMARY_REMOTE);
+    return primary ? primary.db : null;
+  }
+
+  /**
+   * Get the configured remotes, the primary one first
+   * @returns {Array<Object>} Remotes with { name, url, username, direction, mode, enabled }
+   */
+  getRemotes() {
+    const config = configManager.getAll();
+    return [
+      {
+        name: PRIMARY_REMOTE,
+        url: config.couchdbUrl,
+        username: config.couchdbUsername,
+        direction: config.syncDirection,
+        mode: config.syncMode,
+        enabled: Boolean(config.couchdbUrl)
+      },
+      ...(config.syncRemotes || []).map(normalizeRemote)
+    ];
+  }
+
+  /**
+   * Describe a remote in log messages, the primary one is not named
+   * @param {Object} connection - Remote connection
+   * @returns {string} Text to append to a message
+   */
+  remoteLabel(connection) {
+    return connection.name === PRIMARY_REMOTE ? '' : ` (${connection.name})`;
+  }
+
   /**
    * Initialize sync based on current configuration
    */
   async initializeSync() {
     const config = configManager.getAll();
     if (config.syncEnabled && config.couchdbUrl) {
-      await this.setupSync(config.couchdbUrl);
+      await this.setupSync();
     }
   }
 
@@ -41,67 +133,234 @@ class SyncService {
    */
   handleConfigChange(newConfig) {
     if (newConfig.syncEnabled && newConfig.couchdbUrl) {
-      this.setupSync(newConfig.couchdbUrl);
+      this.setupSync();
     } else {
       this.stopSync();
     }
   }
 
   /**
-   * Setup sync with remote CouchDB
+   * Setup sync with every enabled remote
+   */
+  async setupSync() {
+    // Stop existing sync
+    this.stopSync();
+    
+    const remotes = this.getRemotes().filter(remote => remote.enabled);
+    await Promise.all(remotes.map(remote => this.connectRemote(remote)));
+  }
+
+  /**
+   * Connect to a remote CouchDB and start replicating with it
+   * @param {Object} remote - Remote from getRemotes
    */
-  async setupSync(couchdbUrl) {
+  async connectRemote(remote) {
+    const connection = { ...remote, db: null, handler: null, timer: null, status: 'disconnected', error: null, lastSyncTime: null };
+    this.connections.set(remote.name, connection);
+    // Sync may restart while connecting, the new connection then takes over
+    const isCurrent = () => this.connections.get(remote.name) === connection;
+    const passwordKey = remotePasswordKey(remote.name);
+
     try {
-      // Stop existing sync
-      this.stopSync();
-      
-      // Get authentication from config
-      const config = configManager.getAll();
-      const { couchdbUsername, couchdbPassword } = config;
-      
-      // Create remote database connection with auth if provided
-      let remoteUrl = `${couchdbUrl}`;
-      
-      if (couchdbUsername && couchdbPassword) {
-        // Add auth to URL
-        const url = new URL(couchdbUrl);
-        url.username = couchdbUsername;
-        url.password = couchdbPassword;
-        remoteUrl = `${url.toString()}`;
+      // Settings saved by older versions may log in to one server as two users, the first remote keeps its session
+      const enabled = this.getRemotes().filter(other => other.enabled);
+      const conflict = checkSessionConflict(remote, enabled.slice(0, enabled.findIndex(other => other.name === remote.name)));
+      if (conflict) {
+        throw new Error(conflict);
       }
+
+      // Log in through _session, requests then carry the session cookie instead of credentials
+      await sessionService.ensureSession(remote.url, remote.username, await secretStore.get(passwordKey));
+      if (!isCurrent()) return;
       
-      this.remoteDB = new PouchDB(remoteUrl);
+      connection.db = new PouchDB(remote.url, {
+        fetch: sessionService.createFetch(
+          remote.url,
+          async () => ({ username: connection.username, password: await secretStore.get(passwordKey) }),
+          error => {
+            // Requests of a replaced connection may still be finishing
+            if (isCurrent()) this.handleAuthFailure(connection, error);
+          }
+        )
+      });
       
       // Test connection
-      const isConnected = await this.testConnection();
+      const isConnected = await this.testConnection(connection.db);
+      if (!isCurrent()) return;
+      if (!isConnected && connection.status === 'error') {
+        return; // Access was denied, reported by handleAuthFailure
+      }
       if (!isConnected) {
         throw new Error('Failed to connect to CouchDB - check URL and credentials');
       }
 
-      // Start continuous sync
-      this.startContinuousSync();
+      // Wrap first so nothing is pushed unencrypted if this device cannot use the remote database
+      encryptionService.wrapRemote(connection.db);
+      await encryptionService.prepareRemote(connection.db);
+
+      // CouchDB applies the pull filter to the stored documents, where encrypted fields are unreadable
+      const hiddenFields = selectorFields(parseSyncFilter(configManager.get('syncPullFilter')) || {})
+        .filter(field => ENCRYPTED_FIELDS.includes(field));
+      if (encryptionService.isEnabled() && remote.direction !== 'push' && hiddenFields.length > 0) {
+        throw new Error(`syncPullFilter cannot use ${hiddenFields.join(', ')} of encrypted documents, filter by folder instead`);
+      }
+      if (!isCurrent()) return;
+
+      // Start replicating
+      this.startReplication(connection);
       
-      this.syncStatus = 'connected';
-      this.syncError = null;
+      connection.status = 'connected';
+      connection.error = null;
       this.notifyListeners();
       
-      console.log('Sync initialized with:', couchdbUrl);
+      console.log(`Sync initialized with${this.remoteLabel(connection)}:`, remote.url);
+      syncLogService.add('info', `Sync started with ${remote.url}${this.remoteLabel(connection)}`);
     } catch (error) {
-      console.error('Error setting up sync:', error);
-      this.syncStatus = 'error';
-      this.syncError = error.message;
+      if (!isCurrent()) return;
+      if (error.status === 401) {
+        this.handleAuthFailure(connection, error);
+        return;
+      }
+      console.error(`Error setting up sync${this.remoteLabel(connection)}:`, error);
+      connection.status = 'error';
+      connection.error = error.message;
       this.notifyListeners();
+      syncLogService.add('error', `Could not start sync${this.remoteLabel(connection)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop syncing with a remote when CouchDB refuses the credentials
+   * Replication would otherwise retry with the same credentials forever.
+   * @param {Object} connection - Remote connection
+   * @param {Error} error - Error describing why access was denied
+   */
+  handleAuthFailure(connection, error) {
+    if (connection.status === 'error' && connection.error === error.message) return;
+
+    console.error(`CouchDB denied access${this.remoteLabel(connection)}:`, error.message);
+    this.stopReplication(connection);
+    connection.status = 'error';
+    connection.error = error.message;
+    this.notifyListeners();
+    syncLogService.add('denied', `${error.message}${this.remoteLabel(connection)}`);
+  }
+
+  /**
+   * Log in to CouchDB and sync as that user
+   * The password is only stored with couchdbKeepPassword, encrypted in
+   * SecretStore, to log in again when the session expires; otherwise the
+   * session cookie is all that is kept.
+   * @param {string} username - CouchDB user name
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Promise resolving to the user with { name, roles }
+   */
+  async login(username, password) {
+    const { couchdbUrl, couchdbKeepPassword } = configManager.getAll();
+    // The password could not be kept, fail before logging in rather than after
+    if (couchdbKeepPassword && secretStore.isLocked()) {
+      throw new Error(SECRETS_LOCKED_MESSAGE);
     }
+    const user = await sessionService.login(couchdbUrl, username, password);
+    syncLogService.add('info', `Logged in to CouchDB as ${user.name}`);
+
+    // Restarts sync with the new session, see handleConfigChange
+    await configManager.setMultiple({
+      couchdbUsername: username,
+      couchdbPassword: couchdbKeepPassword ? password : '',
+      syncEnabled: true
+    });
+    return user;
   }
 
   /**
-   * Test connection to remote database
+   * Stop syncing, end the CouchDB session and forget the stored password
+   * @returns {Promise<void>} Promise resolving once CouchDB ended the session
    */
-  async testConnection() {
+  async logout() {
+    const { couchdbUrl } = configManager.getAll();
+    await configManager.setMultiple({ couchdbPassword: '', syncEnabled: false });
+    await sessionService.logout(couchdbUrl);
+    syncLogService.add('info', 'Logged out of CouchDB');
+  }
+
+  /**
+   * Add a remote to sync with besides the primary one
+   * @param {Object} remote - Remote with { name, url, username, direction, mode, enabled }
+   * @param {string} [password] - Password of the remote's user, kept encrypted
+   * @returns {Promise<void>} Promise resolving once sync restarted with the remote
+   */
+  async addRemote(remote, password = '') {
+    const remotes = [...configManager.get('syncRemotes'), normalizeRemote(remote)];
+    const error = checkSyncRemotes(remotes, this.getRemotes()[0]);
+    if (error) {
+      throw new Error(error);
+    }
+    await secretStore.set(remotePasswordKey(remote.name), password);
+    await configManager.setMultiple({ syncRemotes: remotes });
+  }
+
+  /**
+   * Change settings of a remote added with addRemote
+   * @param {string} name - Remote name
+   * @param {Object} changes - Settings to change, e.g. { enabled: false }
+   * @returns {Promise<void>} Promise resolving once sync restarted
+   */
+  async updateRemote(name, changes) {
+    const remotes = configManager.get('syncRemotes');
+    if (!remotes.some(remote => remote.name === name)) {
+      throw new Error(`No remote named "${name}"`);
+    }
+    const updated = remotes.map(remote => (remote.name === name ? { ...remote, ...changes, name } : remote));
+    const error = checkSyncRemotes(updated, this.getRemotes()[0]);
+    if (error) {
+      throw new Error(error);
+    }
+    await configManager.setMultiple({ syncRemotes: updated });
+  }
+
+  /**
+   * Store the password of a remote
+   * @param {string} name - Remote name, "primary" for couchdbUrl
+   * @param {string} password - Password, '' removes it
+   * @returns {Promise<void>} Promise resolving once sync restarted with it
+   */
+  async setRemotePassword(name, password) {
+    if (!this.getRemotes().some(remote => remote.name === name)) {
+      throw new Error(`No remote named "${name}"`);
+    }
+    if (name === PRIMARY_REMOTE) {
+      await configManager.set('couchdbPassword', password);
+      return;
+    }
+    await secretStore.set(remotePasswordKey(name), password);
+    await this.initializeSync();
+  }
+
+  /**
+   * Stop syncing with a remote and forget it with its password
+   * @param {string} name - Remote name
+   * @returns {Promise<void>} Promise resolving once removed
+   */
+  async removeRemote(name) {
+    const remotes = configManager.get('syncRemotes');
+    if (!remotes.some(remote => remote.name === name)) {
+      throw new Error(`No remote named "${name}"`);
+    }
+    await secretStore.delete(remotePasswordKey(name));
+    await configManager.setMultiple({ syncRemotes: remotes.filter(remote => remote.name !== name) });
+  }
+
+  /**
+   * Test connection to a remote database
+   * @param {PouchDB} remoteDB - Remote database
+   * @returns {Promise<boolean>} Promise resolving to true if it answered
+   */
+  async testConnection(remoteDB) {
     try {
-      if (!this.remoteDB) return false;
+      if (!remoteDB) return false;
       
-      await this.remoteDB.info();
+      await remoteDB.info();
       return true;
     } catch (error) {
       console.error('Connection test failed:', error);
@@ -110,209 +369,521 @@ class SyncService {
   }
 
   /**
-   * Start continuous sync
+   * Record a batch of replicated documents and failed writes in the sync log
+   * @param {Object} connection - Remote connection
+   * @param {string} direction - "push" or "pull"
+   * @param {Object} change - Replication change with docs and errors
    */
-  startContinuousSync() {
-    if (!this.remoteDB || !this.isOnline) return;
+  logReplicationChange(connection, direction, change) {
+    const label = this.remoteLabel(connection);
+    const documentIds = (change.docs || []).map(doc => doc._id);
+    if (documentIds.length > 0) {
+      syncLogService.add(direction, `${direction === 'push' ? 'Pushed' : 'Pulled'} ${documentIds.length} document(s)${label}`, { documentIds });
+    }
+    (change.errors || []).forEach(error => {
+      syncLogService.add('error', `Could not ${direction} ${error.id || 'a document'}${label}: ${error.message || error.reason || error.name}`, {
+        documentIds: error.id ? [error.id] : []
+      });
+    });
+  }
 
+  /**
+   * Get the selectors both replication directions use
+   * Each selector has its own replication checkpoint, so documents a changed
+   * filter now includes replicate once sync restarts.
+   * @returns {Object} Object with push and pull Mango selectors
+   */
+  getReplicationSelectors() {
     const config = configManager.getAll();
+    return {
+      push: replicationSelector(parseSyncFilter(config.syncPushFilter)),
+      pull: replicationSelector(parseSyncFilter(config.syncPullFilter))
+    };
+  }
+
+  /**
+   * Start a replication with a remote in the directions it syncs
+   * @param {Object} connection - Remote connection
+   * @param {string} direction - "both", "push" or "pull"
+   * @param {Object} [options] - More PouchDB replication options, e.g. live
+   * @returns {Object} PouchDB replication or sync handler
+   */
+  replicate(connection, direction, options = {}) {
+    const selectors = this.getReplicationSelectors();
+    if (direction === 'push') {
+      return this.localDB.replicate.to(connection.db, { ...options, selector: selectors.push });
+    }
+    if (direction === 'pull') {
+      return this.localDB.replicate.from(connection.db, { ...options, selector: selectors.pull });
+    }
+    return this.localDB.sync(connection.db, {
+      ...options,
+      push: { selector: selectors.push },
+      pull: { selector: selectors.pull }
+    });
+  }
+
+  /**
+   * Handle documents replicated by live or periodic sync
+   * @param {Object} connection - Remote connection
+   * @param {string} direction - "push" or "pull"
+   * @param {Object} change - Replication change with docs and errors
+   */
+  handleReplicationChange(connection, direction, change) {
+    this.logReplicationChange(connection, direction, change);
     
-    this.syncHandler = this.localDB.sync(this.remoteDB, {
+    // Always trigger document update when we receive changes
+    // This ensures the editor refreshes regardless of sync direction
+    if (change && change.docs && change.docs.length > 0) {
+      console.log('Documents changed:', change.docs.length);
+      const updatedDocIds = change.docs.map(doc => doc._id);
+      setTimeout(() => {
+        window.dispatchEvent(new CustomEvent('documentsUpdated', {
+          detail: { documentIds: updatedDocIds }
+        }));
+      }, 100);
+    }
+    
+    // Auto-resolve conflicts immediately after any sync change,
+    // unless they are left for review (autoResolveOnSync: false)
+    if (!configManager.get('autoResolveOnSync')) return;
+    setTimeout(async () => {
+      try {
+        const resolved = await this.autoResolveConflicts();
+        if (resolved > 0) {
+          console.log(`Auto-resolved ${resolved} conflict(s) after sync change`);
+          // Trigger general document refresh after conflict resolution
+          setTimeout(() => {
+            window.dispatchEvent(new CustomEvent('documentsUpdated'));
+          }, 500);
+        }
+      } catch (error) {
+        console.error('Error during auto-conflict resolution:', error);
+      }
+    }, 500); // Small delay to let sync settle
+  }
+
+  /**
+   * Start replicating with a connected remote, continuously or every syncInterval
+   * @param {Object} connection - Remote connection
+   */
+  startReplication(connection) {
+    this.stopReplication(connection);
+    if (!connection.db || !this.isOnline) return;
+
+    const config = configManager.getAll();
+
+    if (connection.mode === 'periodic') {
+      // The next run is scheduled when a run ends, so a slow run never overlaps the next one
+      const run = async () => {
+        const timer = connection.timer;
+        if (this.isOnline) {
+          await this.replicateOnce(connection, connection.direction, { periodic: true })
+            .catch(() => {}); // Reported by replicateOnce, the next run retries
+        }
+        // Stopped or restarted while running
+        if (connection.timer !== timer) return;
+        connection.timer = setTimeout(run, config.syncInterval || 30000);
+      };
+      connection.timer = setTimeout(run, 0);
+      return;
+    }
+    
+    const handler = this.replicate(connection, connection.direction, {
       live: true,
       retry: true,
       timeout: 30000,
       heartbeat: config.syncInterval || 30000
     });
+    connection.handler = handler;
 
     // Handle sync events
-    this.syncHandler
-      .on('change', async (info) => {
-        console.log('Sync change:', info);
-        this.lastSyncTime = new Date().toISOString();
-        this.syncStatus = 'syncing';
+    handler
+      .on('change', (info) => {
+        console.log(`Sync change${this.remoteLabel(connection)}:`, info);
+        // sync() reports the direction of a change, replicate.to and from only the change
+        const direction = connection.direction === 'both' ? info.direction : connection.direction;
+        this.handleReplicationChange(connection, direction, connection.direction === 'both' ? info.change : info);
+        connection.lastSyncTime = new Date().toISOString();
+        connection.status = 'syncing';
         this.notifyListeners();
-        
-        // Always trigger document update when we receive changes
-        // This ensures the editor refreshes regardless of sync direction
-        if (info.change && info.change.docs && info.change.docs.length > 0) {
-          console.log('Documents changed:', info.change.docs.length);
-          const updatedDocIds = info.change.docs.map(doc => doc._id);
-          setTimeout(() => {
-            window.dispatchEvent(new CustomEvent('documentsUpdated', {
-              detail: { documentIds: updatedDocIds }
-            }));
-          }, 100);
-        }
-        
-        // Auto-resolve conflicts immediately after any sync change
-        setTimeout(async () => {
-          try {
-            const resolved = await this.autoResolveConflicts();
-            if (resolved > 0) {
-              console.log(`Auto-resolved ${resolved} conflict(s) after sync change`);
-              // Trigger general document refresh after conflict resolution
-              setTimeout(() => {
-                window.dispatchEvent(new CustomEvent('documentsUpdated'));
-              }, 500);
-            }
-          } catch (error) {
-            console.error('Error during auto-conflict resolution:', error);
-          }
-        }, 500); // Small delay to let sync settle
       })
       .on('paused', async (err) => {
+        if (connection.handler !== handler) return;
         if (err) {
-          console.error('Sync paused with error:', err);
-          this.syncStatus = 'error';
-          this.syncError = err.message;
+          console.error(`Sync paused with error${this.remoteLabel(connection)}:`, err);
+          connection.status = 'error';
+          connection.error = err.message;
+          syncLogService.add('error', `Sync paused${this.remoteLabel(connection)}: ${err.message || err.name}`);
         } else {
-          console.log('Sync paused (up to date)');
-          this.syncStatus = 'up-to-date';
-          this.syncError = null;
+          console.log(`Sync paused (up to date)${this.remoteLabel(connection)}`);
+          connection.status = 'up-to-date';
+          connection.error = null;
           
-          // Auto-resolve any remaining conflicts when sync is up to date
-          try {
-            const resolved = await this.autoResolveConflicts();
-            if (resolved > 0) {
-              console.log(`Auto-resolved ${resolved} conflict(s) on sync pause`);
-              // Trigger document refresh
-              setTimeout(() => {
-                window.dispatchEvent(new CustomEvent('documentsUpdated'));
-              }, 500);
+          // Auto-resolve any remaining conflicts when sync is up to date,
+          // unless they are left for review (autoResolveOnSync: false)
+          if (configManager.get('autoResolveOnSync')) {
+            try {
+              const resolved = await this.autoResolveConflicts();
+              if (resolved > 0) {
+                console.log(`Auto-resolved ${resolved} conflict(s) on sync pause`);
+                // Trigger document refresh
+                setTimeout(() => {
+                  window.dispatchEvent(new CustomEvent('documentsUpdated'));
+                }, 500);
+              }
+            } catch (error) {
+              console.error('Error during auto-conflict resolution on pause:', error);
             }
-          } catch (error) {
-            console.error('Error during auto-conflict resolution on pause:', error);
           }
         }
         this.notifyListeners();
       })
       .on('active', () => {
-        console.log('Sync active');
-        this.syncStatus = 'syncing';
-        this.syncError = null;
+        if (connection.handler !== handler) return;
+        console.log(`Sync active${this.remoteLabel(connection)}`);
+        connection.status = 'syncing';
+        connection.error = null;
         this.notifyListeners();
       })
       .on('denied', (err) => {
-        console.error('Sync denied:', err);
-        this.syncStatus = 'error';
-        this.syncError = 'Access denied';
+        console.error(`Sync denied${this.remoteLabel(connection)}:`, err);
+        connection.status = 'error';
+        connection.error = 'Access denied';
+        syncLogService.add('denied', `Access denied${err.id ? ` to ${err.id}` : ''}${this.remoteLabel(connection)}: ${err.reason || err.message || err.name}`, {
+          documentIds: err.id ? [err.id] : []
+        });
         this.notifyListeners();
       })
       .on('complete', (info) => {
-        console.log('Sync complete:', info);
-        this.syncStatus = 'complete';
-        this.lastSyncTime = new Date().toISOString();
+        console.log(`Sync complete${this.remoteLabel(connection)}:`, info);
+        // Cancelled by stopSync or an auth failure, which set the status already
+        if (connection.handler !== handler) return;
+        connection.status = 'complete';
+        connection.lastSyncTime = new Date().toISOString();
         this.notifyListeners();
       })
       .on('error', (err) => {
-        console.error('Sync error:', err);
-        this.syncStatus = 'error';
-        this.syncError = err.message;
+        console.error(`Sync error${this.remoteLabel(connection)}:`, err);
+        if (connection.handler !== handler) return;
+        connection.status = 'error';
+        connection.error = err.message;
+        syncLogService.add('error', `Sync failed${this.remoteLabel(connection)}: ${err.message || err.name}`);
         this.notifyListeners();
       });
   }
 
   /**
-   * Stop sync
+   * Stop the live replication or periodic timer of a remote
+   * @param {Object} connection - Remote connection
+   * @returns {boolean} True if it was replicating
+   */
+  stopReplication(connection) {
+    const wasRunning = Boolean(connection.handler || connection.timer);
+    if (connection.handler) {
+      connection.handler.cancel();
+      connection.handler = null;
+    }
+    if (connection.timer) {
+      clearTimeout(connection.timer);
+      connection.timer = null;
+    }
+    return wasRunning;
+  }
+
+  /**
+   * Stop sync with every remote
    */
   stopSync() {
-    if (this.syncHandler) {
-      this.syncHandler.cancel();
-      this.syncHandler = null;
+    const stopped = [...this.connections.values()].filter(connection => this.stopReplication(connection));
+    this.connections.clear();
+    if (stopped.length > 0) {
+      syncLogService.add('info', 'Sync stopped');
     }
     
-    this.syncStatus = 'disconnected';
-    this.syncError = null;
     this.notifyListeners();
     
     console.log('Sync stopped');
   }
 
   /**
-   * Force a one-time sync
+   * Set the end-to-end encryption passphrase and restart sync with it
+   * @param {string} passphrase - Passphrase, the one the remote database is encrypted with if it is
    */
-  async forceSync() {
-    if (!this.remoteDB || !this.isOnline) {
+  async setEncryptionPassphrase(passphrase) {
+    await encryptionService.setPassphrase(passphrase, this.remoteDB);
+    await this.initializeSync();
+  }
+
+  /**
+   * Change the end-to-end encryption passphrase, re-encrypting the remote databases
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<number>} Promise resolving to the number of re-encrypted documents
+   */
+  async changeEncryptionPassphrase(passphrase) {
+    const remoteDBs = [...this.connections.values()].map(connection => connection.db).filter(Boolean);
+    // Documents replicated while re-encrypting would use the old key
+    this.stopSync();
+    try {
+      return await encryptionService.changePassphrase(passphrase, remoteDBs);
+    } finally {
+      await this.initializeSync();
+    }
+  }
+
+  /**
+   * Get the connected remotes a manual replication applies to
+   * @param {string} [name] - Remote name, every connected remote when omitted
+   * @param {string} [direction] - "push" or "pull" to leave out remotes that only sync the other way
+   * @returns {Array<Object>} Remote connections
+   */
+  getConnections(name, direction = 'both') {
+    if (!this.isOnline) {
+      throw new Error('Not connected to remote database');
+    }
+    const syncs = (connection) => direction === 'both' || [direction, 'both'].includes(connection.direction);
+    if (name) {
+      const connection = this.connections.get(name);
+      if (!connection || !connection.db) {
+        throw new Error(this.getRemotes().some(remote => remote.name === name)
+          ? `Not connected to remote "${name}"`
+          : `No remote named "${name}"`);
+      }
+      if (!syncs(connection)) {
+        throw new Error(`Remote "${name}" is ${connection.direction}-only`);
+      }
+      return [connection];
+    }
+    const connections = [...this.connections.values()].filter(connection => connection.db && syncs(connection));
+    if (connections.length === 0) {
       throw new Error('Not connected to remote database');
     }
+    return connections;
+  }
 
+  /**
+   * Replicate once with a remote
+   * @param {Object} connection - Remote connection
+   * @param {string} direction - "both", "push" or "pull"
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.periodic] - Run by periodic sync, which refreshes documents and resolves conflicts like live sync
+   * @returns {Promise<Object>} Promise resolving to the PouchDB replication result
+   */
+  async replicateOnce(connection, direction, { periodic = false } = {}) {
+    const label = periodic ? 'Periodic sync' : { both: 'Force sync', push: 'Push to remote', pull: 'Pull from remote' }[direction];
     try {
-      this.syncStatus = 'syncing';
+      connection.status = 'syncing';
       this.notifyListeners();
 
-      const result = await this.localDB.sync(this.remoteDB, {
-        timeout: 30000
-      });
+      const result = await this.replicate(connection, direction, { timeout: 30000 })
+        .on('change', info => {
+          const changeDirection = direction === 'both' ? info.direction : direction;
+          const change = direction === 'both' ? info.change : info;
+          if (periodic) {
+            this.handleReplicationChange(connection, changeDirection, change);
+          } else {
+            this.logReplicationChange(connection, changeDirection, change);
+          }
+        });
 
-      this.lastSyncTime = new Date().toISOString();
-      this.syncStatus = 'up-to-date';
-      this.syncError = null;
+      connection.lastSyncTime = new Date().toISOString();
+      connection.status = 'up-to-date';
+      connection.error = null;
       this.notifyListeners();
 
       return result;
     } catch (error) {
-      console.error('Force sync failed:', error);
-      this.syncStatus = 'error';
-      this.syncError = error.message;
+      console.error(`${label} failed${this.remoteLabel(connection)}:`, error);
+      connection.status = 'error';
+      connection.error = error.message;
+      syncLogService.add('error', `${label} failed${this.remoteLabel(connection)}: ${error.message}`);
       this.notifyListeners();
       throw error;
     }
   }
 
   /**
-   * Push local changes to remote
+   * Replicate once with one remote or all of them
+   * @param {string|undefined} name - Remote name, every connected remote when omitted
+   * @param {string} direction - "both" for the direction each remote syncs, "push" or "pull"
+   * @returns {Promise<Object>} Promise resolving to the remote's result, or results by remote name
    */
-  async pushToRemote() {
-    if (!this.remoteDB || !this.isOnline) {
-      throw new Error('Not connected to remote database');
+  async replicateRemotes(name, direction) {
+    const connections = this.getConnections(name, direction);
+    const results = await Promise.allSettled(connections.map(connection => (
+      this.replicateOnce(connection, direction === 'both' ? connection.direction : direction)
+    )));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
     }
+    if (name) {
+      return results[0].value;
+    }
+    return Object.fromEntries(connections.map((connection, index) => [connection.name, results[index].value]));
+  }
 
-    try {
-      this.syncStatus = 'syncing';
-      this.notifyListeners();
-
-      const result = await this.localDB.replicate.to(this.remoteDB);
-      
-      this.lastSyncTime = new Date().toISOString();
-      this.syncStatus = 'up-to-date';
-      this.notifyListeners();
+  /**
+   * Force a one-time sync
+   * @param {string} [name] - Remote name, every connected remote when omitted
+   * @returns {Promise<Object>} Promise resolving to the remote's result, or results by remote name
+   */
+  async forceSync(name) {
+    return this.replicateRemotes(name, 'both');
+  }
 
-      return result;
-    } catch (error) {
-      console.error('Push to remote failed:', error);
-      this.syncStatus = 'error';
-      this.syncError = error.message;
-      this.notifyListeners();
-      throw error;
-    }
+  /**
+   * Push local changes to remote
+   * @param {string} [name] - Remote name, every remote that is pushed to when omitted
+   * @returns {Promise<Object>} Promise resolving to the remote's result, or results by remote name
+   */
+  async pushToRemote(name) {
+    return this.replicateRemotes(name, 'push');
   }
 
   /**
    * Pull changes from remote
+   * @param {string} [name] - Remote name, every remote that is pulled from when omitted
+   * @returns {Promise<Object>} Promise resolving to the remote's result, or results by remote name
+   */
+  async pullFromRemote(name) {
+    return this.replicateRemotes(name, 'pull');
+  }
+
+  /**
+   * Get the ids of documents in a database that match a sync filter
+   * @param {PouchDB} db - Local or remote database, filtered by CouchDB for remote ones
+   * @param {Object|null} selector - Selector from parseSyncFilter, null for every document
+   * @returns {Promise<Set<string>>} Promise resolving to the ids of documents that are not deleted
+   */
+  async getMatchingIds(db, selector) {
+    const { results } = await db.changes({ since: 0, ...(selector ? { selector } : {}) });
+    return new Set(results
+      .filter(change => !change.deleted && !change.id.startsWith('_') && change.id !== ENCRYPTION_DOC_ID)
+      .map(change => change.id));
+  }
+
+  /**
+   * Get the ids and revisions of documents evicted from a database
+   * @param {PouchDB} db - Local or remote database
+   * @returns {Promise<Map<string, string>>} Promise resolving to a map of id to tombstone revision
+   */
+  async getEvicted(db) {
+    const { results } = await db.changes({ since: 0, selector: { evicted: true } });
+    return new Map(results
+      .filter(change => change.deleted)
+      .map(change => [change.id, change.changes[0].rev]));
+  }
+
+  /**
+   * Bring both databases in line with the sync filters after they changed
+   * Documents the filters now include replicate by themselves (see
+   * getReplicationSelectors). Documents they now exclude are removed: from this
+   * device when the pull filter excludes them, from CouchDB when the push filter
+   * does. The tombstones are marked "evicted" and do not replicate, so the
+   * document stays where the filter allows it. A document is only evicted when
+   * the other side has the same revision, so no edit is lost. Evicted documents
+   * the filters include again are restored from the other side.
+   * Only the primary remote is changed, other remotes keep what they have.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<Object>} Promise resolving to { evictedLocal, evictedRemote,
+   *   restoredLocal, restoredRemote, skipped } with document ids
    */
-  async pullFromRemote() {
+  async applySyncFilters({ dryRun = false } = {}) {
     if (!this.remoteDB || !this.isOnline) {
       throw new Error('Not connected to remote database');
     }
 
-    try {
-      this.syncStatus = 'syncing';
-      this.notifyListeners();
+    const config = configManager.getAll();
+    const pushFilter = parseSyncFilter(config.syncPushFilter);
+    const pullFilter = parseSyncFilter(config.syncPullFilter);
+    const localDB = this.localDB;
+    const remoteDB = this.remoteDB;
 
-      const result = await this.localDB.replicate.from(this.remoteDB);
-      
-      this.lastSyncTime = new Date().toISOString();
-      this.syncStatus = 'up-to-date';
-      this.notifyListeners();
+    const [localRows, remoteRows, pushed, pulledLocal, pulledRemote, evictedLocal, evictedRemote] = await Promise.all([
+      localDB.allDocs(),
+      remoteDB.allDocs(),
+      this.getMatchingIds(localDB, pushFilter),
+      this.getMatchingIds(localDB, pullFilter),
+      this.getMatchingIds(remoteDB, pullFilter),
+      this.getEvicted(localDB),
+      this.getEvicted(remoteDB)
+    ]);
+    const localRevs = new Map(localRows.rows.filter(row => !row.id.startsWith('_')).map(row => [row.id, row.value.rev]));
+    const remoteRevs = new Map(remoteRows.rows.map(row => [row.id, row.value.rev]));
+
+    const result = { evictedLocal: [], evictedRemote: [], restoredLocal: [], restoredRemote: [], skipped: [] };
+    const localWrites = [];
+    const remoteWrites = [];
 
+    localRevs.forEach((rev, id) => {
+      if (!pulledLocal.has(id)) {
+        // Excluded from this device, only once CouchDB has this revision
+        if (remoteRevs.get(id) === rev) {
+          result.evictedLocal.push(id);
+          localWrites.push({ _id: id, _rev: rev, _deleted: true, evicted: true });
+        } else if (remoteRevs.has(id)) {
+          result.skipped.push(id);
+        }
+      } else if (!pushed.has(id) && remoteRevs.has(id)) {
+        // Excluded from CouchDB, only if no other device changed it there
+        if (remoteRevs.get(id) === rev) {
+          result.evictedRemote.push(id);
+          remoteWrites.push({ _id: id, _rev: rev, _deleted: true, evicted: true });
+        } else {
+          result.skipped.push(id);
+        }
+      }
+    });
+
+    // Evicted documents that are included again get a new revision with the other side's content
+    const restoredLocal = [...evictedLocal.keys()].filter(id => pulledRemote.has(id));
+    if (restoredLocal.length > 0) {
+      const { results } = await remoteDB.bulkGet({ docs: restoredLocal.map(id => ({ id })), attachments: true });
+      results.forEach(({ id, docs }) => {
+        const doc = docs[0] && docs[0].ok;
+        if (doc) {
+          const { _rev, _revisions, ...content } = doc;
+          result.restoredLocal.push(id);
+          localWrites.push({ ...content, _rev: evictedLocal.get(id) });
+        }
+      });
+    }
+    const restoredRemote = [...evictedRemote.keys()].filter(id => pushed.has(id));
+    for (const id of restoredRemote) {
+      const { _rev, ...content } = await localDB.get(id, { attachments: true });
+      result.restoredRemote.push(id);
+      remoteWrites.push({ ...content, _rev: evictedRemote.get(id) });
+    }
+
+    if (dryRun) {
       return result;
-    } catch (error) {
-      console.error('Pull from remote failed:', error);
-      this.syncStatus = 'error';
-      this.syncError = error.message;
-      this.notifyListeners();
-      throw error;
     }
+
+    const failed = [
+      ...(localWrites.length > 0 ? await localDB.bulkDocs(localWrites) : []),
+      ...(remoteWrites.length > 0 ? await remoteDB.bulkDocs(remoteWrites) : [])
+    ].filter(response => response.error);
+    if (failed.length > 0) {
+      throw new Error(`Could not apply the sync filters to ${failed.map(response => response.id).join(', ')}: ${failed[0].message || failed[0].name}`);
+    }
+
+    console.log(`🔀 Sync filters applied: ${result.evictedLocal.length} evicted here, ${result.evictedRemote.length} evicted from CouchDB, ${result.restoredLocal.length + result.restoredRemote.length} restored`);
+    [
+      ['Evicted from this device by the pull filter', result.evictedLocal],
+      ['Evicted from CouchDB by the push filter', result.evictedRemote],
+      ['Restored on this device', result.restoredLocal],
+      ['Restored in CouchDB', result.restoredRemote]
+    ]
+      .filter(([, documentIds]) => documentIds.length > 0)
+      .forEach(([message, documentIds]) => syncLogService.add('info', message, { documentIds }));
+    if (localWrites.length > 0) {
+      window.dispatchEvent(new CustomEvent('documentsUpdated', {
+        detail: { documentIds: [...result.evictedLocal, ...result.restoredLocal] }
+      }));
+    }
+    return result;
   }
 
   /**
@@ -321,10 +892,11 @@ class SyncService {
   handleOnline() {
     console.log('Network is back online');
     this.isOnline = true;
+    syncLogService.add('info', 'Network is back online');
     
     const config = configManager.getAll();
     if (config.syncEnabled && config.couchdbUrl) {
-      this.startContinuousSync();
+      this.connections.forEach(connection => this.startReplication(connection));
     }
   }
 
@@ -334,21 +906,40 @@ class SyncService {
   handleOffline() {
     console.log('Network went offline');
     this.isOnline = false;
-    this.syncStatus = 'offline';
+    syncLogService.add('info', 'Network went offline');
+    this.connections.forEach(connection => {
+      connection.status = 'offline';
+    });
     this.notifyListeners();
   }
 
   /**
    * Get sync status information
+   * The top-level fields describe the primary remote, remotes lists each one.
    */
   getStatus() {
+    const primary = this.connections.get(PRIMARY_REMOTE);
     return {
-      status: this.syncStatus,
+      status: primary ? primary.status : (this.isOnline ? 'disconnected' : 'offline'),
       isOnline: this.isOnline,
-      lastSyncTime: this.lastSyncTime,
-      error: this.syncError,
+      lastSyncTime: primary ? primary.lastSyncTime : null,
+      error: primary ? primary.error : null,
       isConnected: !!this.remoteDB,
-      couchdbUrl: this.remoteDB ? this.remoteDB.name : null
+      isEncrypted: encryptionService.isEnabled(),
+      password: !configManager.hasSecret('couchdbPassword') ? 'none' : secretStore.isLocked() ? 'locked' : 'stored',
+      pushFilter: configManager.get('syncPushFilter'),
+      pullFilter: configManager.get('syncPullFilter'),
+      couchdbUrl: this.remoteDB ? this.remoteDB.name : null,
+      remotes: this.getRemotes().map(remote => {
+        const connection = this.connections.get(remote.name);
+        return {
+          ...remote,
+          status: connection ? connection.status : 'disconnected',
+          error: connection ? connection.error : null,
+          lastSyncTime: connection ? connection.lastSyncTime : null,
+          isConnected: Boolean(connection && connection.db)
+        };
+      })
     };
   }
 
@@ -408,6 +999,7 @@ class SyncService {
       }
       
       console.log(`Conflict resolved for document ${docId}`);
+      syncLogService.add('conflict', `Resolved by keeping revision ${winningRev}`, { documentIds: [docId] });
       return true;
     } catch (error) {
       console.error('Error resolving conflict:', error);
@@ -416,15 +1008,23 @@ class SyncService {
   }
 
   /**
-   * Auto-resolve conflicts by merging content
+   * Auto-resolve conflicts using the configured conflict policy
+   * @param {Object} options - Resolution options
+   * @param {boolean} options.dryRun - Only log what would be written, without saving anything
+   * @returns {Promise<number>} Number of conflicts found
    */
-  async autoResolveConflicts() {
+  async autoResolveConflicts({ dryRun = false } = {}) {
     try {
       const conflicts = await this.getConflicts();
       
       for (const conflict of conflicts) {
         try {
-          await this.autoResolveConflict(conflict);
+          if (dryRun) {
+            const plan = await this.planConflictResolution(conflict);
+            if (plan) console.log(`Would resolve ${conflict.id}:`, plan.summary);
+          } else {
+            await this.autoResolveConflict(conflict);
+          }
         } catch (error) {
           console.error(`Failed to auto-resolve conflict for ${conflict.id}:`, error);
         }
@@ -438,181 +1038,408 @@ class SyncService {
   }
 
   /**
-   * Auto-resolve a single conflict
+   * Compute the automatic resolution of every conflict without writing it
+   * @returns {Promise<Array<Object>>} Resolution plans, see planConflictResolution
    */
-  async autoResolveConflict(conflict) {
-    try {
-      // Get current version
-      const currentDoc = conflict.doc;
-      
-      // Get all conflicting versions
-      const conflictVersions = [];
-      for (const conflictRev of conflict.conflicts) {
-        try {
-          const conflictDoc = await this.localDB.get(conflict.id, { rev: conflictRev });
-          conflictVersions.push(conflictDoc);
-        } catch (error) {
-          console.warn(`Could not load conflict revision ${conflictRev}:`, error);
-        }
-      }
+  async previewConflictResolutions() {
+    const conflicts = await this.getConflicts();
+    const plans = [];
 
-      if (conflictVersions.length === 0) return;
+    for (const conflict of conflicts) {
+      try {
+        const plan = await this.planConflictResolution(conflict);
+        if (plan) plans.push(plan);
+      } catch (error) {
+        console.error(`Failed to preview conflict resolution for ${conflict.id}:`, error);
+      }
+    }
 
-      // Try to merge the content
-      const mergedContent = this.mergeContent(currentDoc, conflictVersions[0]);
-      
-      // Create resolved document
-      const resolvedDoc = {
-        ...currentDoc,
-        content: mergedContent,
-        updatedAt: new Date().toISOString()
-      };
+    return plans;
+  }
 
-      // Save merged document
-      await this.localDB.put(resolvedDoc);
-      
-      // Remove conflict revisions
-      for (const rev of conflict.conflicts) {
-        try {
-          await this.localDB.remove(conflict.id, rev);
-        } catch (error) {
-          console.warn(`Could not remove conflict revision ${rev}:`, error);
+  /**
+   * Load leaf revisions of a document together with their revision history
+   * @param {string} docId - Document ID
+   * @param {Array<string>} revs - Leaf revisions to load
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.attachments] - Load attachment data instead of stubs
+   * @returns {Promise<Array>} Documents that could be loaded in the order of revs, each with _revisions
+   */
+  async getLeafVersions(docId, revs, { attachments = false } = {}) {
+    const results = await this.localDB.get(docId, { open_revs: revs, revs: true, attachments });
+    return results
+      .filter(result => {
+        if (!result.ok) {
+          console.warn(`Could not load conflict revision ${result.missing}`);
         }
-      }
+        return result.ok;
+      })
+      .map(result => result.ok)
+      // open_revs does not keep the order revisions were asked for in, callers rely on it
+      .sort((a, b) => revs.indexOf(a._rev) - revs.indexOf(b._rev));
+  }
 
-      console.log(`Auto-resolved conflict for document: ${conflict.id}`);
-      
-      // Notify that specific document was updated
-      setTimeout(() => {
-        window.dispatchEvent(new CustomEvent('documentsUpdated', {
-          detail: { documentIds: [conflict.id] }
-        }));
-      }, 100);
-      
-      return true;
+  /**
+   * Find the most recent revision every leaf descends from
+   * @param {string} docId - Document ID
+   * @param {Array<Object>} leaves - Leaf documents loaded with revision history
+   * @returns {Promise<Object|null>} Ancestor document, or null if unknown or compacted
+   */
+  async findCommonAncestor(docId, leaves) {
+    const ancestries = leaves.map(leaf => {
+      const { start, ids } = leaf._revisions;
+      return ids.map((id, index) => `${start - index}-${id}`);
+    });
+
+    // Histories are listed newest first, so the first shared entry is the deepest
+    const ancestorRev = ancestries[0].find(rev => ancestries.every(ancestry => ancestry.includes(rev)));
+    if (!ancestorRev) {
+      return null;
+    }
+
+    try {
+      return await this.localDB.get(docId, { rev: ancestorRev });
     } catch (error) {
-      console.error('Error auto-resolving conflict:', error);
-      return false;
+      console.warn(`Common ancestor ${ancestorRev} of ${docId} is not available:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Merge content from two document versions
-   * Conservative approach - never lose any content
+   * Compute how a conflict would be resolved automatically, without writing anything
+   * @param {Object} conflict - Conflict from getConflicts
+   * @returns {Promise<Object|null>} Plan with { id, title, policy, doc, losingRevs, copies,
+   *   contentConflicts, fieldConflicts, summary }, or null if fewer than two leaves could be loaded.
+   *   summary describes the change against the winning revision as { added, removed,
+   *   changedFields, copies, contentConflicts }
    */
-  mergeContent(doc1, doc2) {
-    const content1 = doc1.content || '';
-    const content2 = doc2.content || '';
-    
-    // If contents are identical, return as-is
-    if (content1 === content2) {
-      return content1;
+  async planConflictResolution(conflict) {
+    // The winning revision comes first so it is preferred when labelling versions
+    const revs = [conflict.doc._rev, ...conflict.conflicts];
+    let leaves = await this.getLeafVersions(conflict.id, revs);
+    if (leaves.length < 2) return null;
+
+    const ancestor = await this.findCommonAncestor(conflict.id, leaves);
+    if (!ancestor) {
+      console.warn(`No common ancestor for ${conflict.id}, merging against shared lines`);
     }
 
-    // If one is empty, use the non-empty one
-    if (!content1.trim()) return content2;
-    if (!content2.trim()) return content1;
+    const policy = this.getConflictPolicy(leaves);
+    if (policy === 'conflicted-copy' && leaves.some(leaf => leaf._attachments)) {
+      // Copies get new ids, so their attachments must carry data rather than stubs
+      leaves = await this.getLeafVersions(conflict.id, revs, { attachments: true });
+    }
+    const resolution = this.resolveConflictVersions(ancestor, leaves, policy);
+    const winner = leaves[0];
+    const { added, removed } = diffStats(diffLines(winner.content || '', resolution.doc.content || ''));
+    const changedFields = Object.keys({ ...mergeableFields(winner), ...mergeableFields(resolution.doc) })
+      .filter(key => JSON.stringify(winner[key]) !== JSON.stringify(resolution.doc[key]));
+    if (JSON.stringify(winner.frontmatter || {}) !== JSON.stringify(resolution.doc.frontmatter || {})) {
+      changedFields.push('frontmatter');
+    }
 
-    // Split into lines for comparison
-    const lines1 = content1.split('\n');
-    const lines2 = content2.split('\n');
+    return {
+      id: conflict.id,
+      title: resolution.doc.title || conflict.id,
+      ...resolution,
+      summary: {
+        added,
+        removed,
+        changedFields,
+        copies: resolution.copies.map(copy => copy._id),
+        contentConflicts: resolution.contentConflicts
+      }
+    };
+  }
 
-    // Try intelligent merging - if one version contains all content of the other
-    if (lines1.every(line => lines2.includes(line))) {
-      return content2; // content2 is a superset
+  /**
+   * Write a resolution computed by planConflictResolution
+   * @param {Object} plan - Resolution plan
+   * @returns {Promise<Object>} Result of saving the resolved document
+   */
+  async applyConflictResolution(plan) {
+    if (plan.contentConflicts > 0) {
+      console.log(`Merged ${plan.id} with ${plan.contentConflicts} conflicting region(s)`);
     }
-    if (lines2.every(line => lines1.includes(line))) {
-      return content1; // content1 is a superset
+    plan.fieldConflicts.forEach(({ key, values }) => {
+      console.warn(`Field "${key}" of ${plan.id} was changed on several devices, keeping ${JSON.stringify(values[0])} over`, values.slice(1));
+    });
+
+    // Save the resolved document on top of the winning revision
+    const saved = await this.saveConflictResolution(plan.doc, plan.losingRevs, plan.copies, `Resolved automatically (${plan.policy})`);
+    console.log(`Auto-resolved conflict for document: ${plan.id} (${plan.policy})`);
+
+    // Notify that specific document was updated
+    setTimeout(() => {
+      window.dispatchEvent(new CustomEvent('documentsUpdated', {
+        detail: { documentIds: [plan.id] }
+      }));
+    }, 100);
+
+    return saved;
+  }
+
+  /**
+   * Auto-resolve a single conflict
+   */
+  async autoResolveConflict(conflict) {
+    try {
+      const plan = await this.planConflictResolution(conflict);
+      if (!plan) return false;
+
+      await this.applyConflictResolution(plan);
+      return true;
+    } catch (error) {
+      console.error('Error auto-resolving conflict:', error);
+      return false;
     }
+  }
 
-    // Try to merge by combining unique lines while preserving order
-    const mergedLines = this.mergeLinesByContent(lines1, lines2);
-    if (mergedLines) {
-      return mergedLines.join('\n');
+  /**
+   * Save a resolved document and delete the losing revisions
+   * Additional documents are written first, the losing revisions are only
+   * deleted once all of them are saved.
+   * @param {Object} resolvedDoc - Resolved document, with _rev set to the winning revision
+   * @param {Array<string>} losingRevs - Leaf revisions to delete
+   * @param {Array<Object>} newDocs - Additional documents to create, such as conflicted copies
+   * @param {string} description - How the conflict was resolved, for the sync log
+   * @returns {Promise<Object>} Result of saving the resolved document
+   */
+  async saveConflictResolution(resolvedDoc, losingRevs, newDocs = [], description = 'Resolved in the conflict review') {
+    const updatedAt = new Date().toISOString();
+    const updatedOn = configManager.getDeviceId();
+
+    if (newDocs.length > 0) {
+      // A copy that exists already was created by another device resolving the same conflict
+      const failed = (await this.localDB.bulkDocs(newDocs.map(doc => ({ ...doc, updatedAt, updatedOn }))))
+        .filter(result => result.error && result.status !== 409);
+      if (failed.length > 0) {
+        throw new Error(`Could not save ${failed.map(result => result.id).join(', ')} while resolving ${resolvedDoc._id}, no version was removed: ${failed[0].message || failed[0].name}`);
+      }
     }
 
-    // If we can't merge intelligently, preserve both versions
-    // Use timestamp to determine order
-    const time1 = new Date(doc1.updatedAt || doc1.createdAt || 0);
-    const time2 = new Date(doc2.updatedAt || doc2.createdAt || 0);
-    
-    let firstContent, secondContent, firstLabel, secondLabel;
-    if (time1 > time2) {
-      firstContent = content1;
-      secondContent = content2;
-      firstLabel = `Recent Version (${time1.toLocaleString()})`;
-      secondLabel = `Earlier Version (${time2.toLocaleString()})`;
-    } else {
-      firstContent = content2;
-      secondContent = content1;
-      firstLabel = `Recent Version (${time2.toLocaleString()})`;
-      secondLabel = `Earlier Version (${time1.toLocaleString()})`;
+    const results = await this.localDB.bulkDocs([
+      { ...resolvedDoc, updatedAt, updatedOn },
+      ...losingRevs.map(rev => ({ _id: resolvedDoc._id, _rev: rev, _deleted: true }))
+    ]);
+
+    const [saved, ...others] = results;
+    if (saved.error) {
+      throw new Error(`Could not save resolution for ${resolvedDoc._id}: ${saved.message || saved.name}`);
     }
+    others
+      .filter(result => result.error)
+      .forEach(result => console.warn(`Could not update ${result.id} while resolving a conflict:`, result.message || result.name));
+
+    syncLogService.add('conflict', `${description}, ${losingRevs.length} other version(s) removed`, {
+      documentIds: [resolvedDoc._id, ...newDocs.map(doc => doc._id)]
+    });
+    return saved;
+  }
 
-    // Combine both versions with clear markers
-    const mergedContent = [
-      `<<<<<<< ${firstLabel}`,
-      firstContent,
-      '=======',
-      secondContent,
-      `>>>>>>> ${secondLabel}`,
-      '',
-      '<!-- AUTO-MERGED: Both versions preserved above -->',
-      '<!-- Edit as needed and remove conflict markers -->'
-    ].join('\n');
+  /**
+   * Get the conflict policy that applies to a document
+   * A "conflictPolicy" frontmatter key on any version overrides the configured policy.
+   * @param {Array<Object>} leaves - Leaf documents, the winning revision first
+   * @returns {string} One of CONFLICT_POLICIES
+   */
+  getConflictPolicy(leaves) {
+    const override = leaves
+      .map(leaf => leaf.frontmatter && leaf.frontmatter.conflictPolicy)
+      .find(policy => policy);
 
-    return mergedContent;
+    if (override && CONFLICT_POLICIES.includes(override)) {
+      return override;
+    }
+    if (override) {
+      console.warn(`Unknown conflictPolicy "${override}" in frontmatter of ${leaves[0]._id}, using settings`);
+    }
+
+    const policy = configManager.get('conflictPolicy');
+    return CONFLICT_POLICIES.includes(policy) ? policy : 'merge';
   }
 
   /**
-   * Attempt to merge lines intelligently by content
+   * Compute how a conflict is resolved under a policy, without writing anything
+   * @param {Object|null} ancestor - Common ancestor document, or null if unknown
+   * @param {Array<Object>} leaves - Leaf documents, the winning revision first
+   * @param {string} policy - One of CONFLICT_POLICIES
+   * @returns {Object} Object with { policy, doc, losingRevs, copies, contentConflicts,
+   *   fieldConflicts } where doc is written on top of the winning revision, losingRevs are
+   *   deleted and copies are created as separate documents
    */
-  mergeLinesByContent(lines1, lines2) {
-    // If one list is much shorter, it might be a subset
-    if (lines1.length < 5 && lines2.length > lines1.length * 2) {
-      // Check if lines1 is mostly contained in lines2
-      const contained = lines1.filter(line => line.trim() && lines2.includes(line)).length;
-      if (contained >= lines1.length * 0.8) {
-        return lines2; // Use the longer version
+  resolveConflictVersions(ancestor, leaves, policy) {
+    const [winner, ...losers] = leaves;
+    const keep = (leaf) => ({
+      policy,
+      doc: { ...withoutRevisionInfo(leaf), _rev: winner._rev, ...mergeAttachments(leaf, leaves) },
+      losingRevs: losers.map(loser => loser._rev),
+      copies: [],
+      contentConflicts: 0,
+      fieldConflicts: []
+    });
+    const byUpdatedAt = (a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+
+    switch (policy) {
+      case 'last-writer-wins':
+        return keep([...leaves].sort(byUpdatedAt)[0]);
+
+      case 'keep-local': {
+        const deviceId = configManager.getDeviceId();
+        const [localLeaf] = leaves.filter(leaf => leaf.updatedOn === deviceId).sort(byUpdatedAt);
+        if (!localLeaf) {
+          console.log(`No version of ${winner._id} was written on this device, keeping the winning revision`);
+        }
+        return keep(localLeaf || winner);
       }
-    }
-    
-    if (lines2.length < 5 && lines1.length > lines2.length * 2) {
-      // Check if lines2 is mostly contained in lines1
-      const contained = lines2.filter(line => line.trim() && lines1.includes(line)).length;
-      if (contained >= lines2.length * 0.8) {
-        return lines1; // Use the longer version
+
+      case 'conflicted-copy':
+        // Every copy keeps its own attachments
+        return {
+          ...keep(winner),
+          doc: { ...withoutRevisionInfo(winner), _rev: winner._rev },
+          copies: losers.map(leaf => this.createConflictedCopy(leaf))
+        };
+
+      default: {
+        const { doc, contentConflicts, fieldConflicts } = this.mergeDocuments(ancestor, leaves);
+        return {
+          policy: 'merge',
+          doc,
+          losingRevs: losers.map(loser => loser._rev),
+          copies: [],
+          contentConflicts,
+          fieldConflicts
+        };
       }
     }
+  }
 
-    // Try simple append detection - if one version starts with the other
-    const lines1Str = lines1.join('\n');
-    const lines2Str = lines2.join('\n');
-    
-    if (lines1Str.startsWith(lines2Str) || lines2Str.startsWith(lines1Str)) {
-      // One is likely an extension of the other
-      return lines1.length > lines2.length ? lines1 : lines2;
-    }
+  /**
+   * Turn a losing revision into a separate "conflicted copy" document
+   * The id is derived from the revision so that devices resolving the same
+   * conflict independently create the same copy.
+   * @param {Object} leaf - Losing leaf document
+   * @returns {Object} New document
+   */
+  createConflictedCopy(leaf) {
+    const id = `${leaf._id}-conflict-${leaf._rev}`;
+    const date = new Date(leaf.updatedAt || leaf.createdAt || Date.now()).toLocaleString();
 
-    // Check if they have a common beginning and different endings
-    let commonStart = 0;
-    while (commonStart < Math.min(lines1.length, lines2.length) && 
-           lines1[commonStart] === lines2[commonStart]) {
-      commonStart++;
-    }
+    return {
+      ...withoutRevisionInfo(leaf),
+      _id: id,
+      id,
+      title: `${leaf.title || leaf._id} (conflicted copy from ${date})`,
+      conflictedCopyOf: leaf._id
+    };
+  }
 
-    if (commonStart > 0 && commonStart >= Math.min(lines1.length, lines2.length) * 0.5) {
-      // They share a significant common beginning
-      const commonLines = lines1.slice(0, commonStart);
-      const unique1 = lines1.slice(commonStart);
-      const unique2 = lines2.slice(commonStart);
-      
-      // Combine: common part + unique parts
-      return [...commonLines, ...unique1, ...unique2];
+  /**
+   * Get everything needed to resolve a conflict by hand
+   * @param {string} docId - Document ID
+   * @returns {Promise<Object|null>} Object with { id, title, leaves, ancestorRev, merged,
+   *   fieldConflicts, chunks } or null if the document has no conflicts; merged is the
+   *   automatically merged document and changed chunks carry their automatic resolution
+   */
+  async getConflictDetails(docId) {
+    const doc = await this.localDB.get(docId, { conflicts: true });
+    if (!doc._conflicts || doc._conflicts.length === 0) {
+      return null;
     }
 
-    // No clear merge pattern found
-    return null;
+    const leaves = await this.getLeafVersions(docId, [doc._rev, ...doc._conflicts]);
+    const ancestor = await this.findCommonAncestor(docId, leaves);
+    const contents = leaves.map(leaf => leaf.content || '');
+    const base = ancestor ? ancestor.content || '' : commonLines(contents);
+
+    const { doc: merged, fieldConflicts } = this.mergeDocuments(ancestor, leaves);
+
+    return {
+      id: docId,
+      title: doc.title || docId,
+      leaves: leaves.map(leaf => {
+        const { _revisions, ...leafDoc } = leaf;
+        return leafDoc;
+      }),
+      ancestorRev: ancestor ? ancestor._rev : null,
+      merged,
+      fieldConflicts,
+      chunks: mergeChunks(base, contents).map(chunk => (
+        chunk.type === 'stable' ? chunk : { ...chunk, ...resolveChunk(chunk) }
+      ))
+    };
+  }
+
+  /**
+   * Merge several leaf revisions of a document into one
+   * Content is merged line by line, frontmatter and the other top-level fields
+   * (such as title) key by key, all against the common ancestor.
+   * @param {Object|null} ancestor - Common ancestor document, or null if unknown
+   * @param {Array<Object>} leaves - Leaf documents, the winning revision first
+   * @returns {Object} Object with { doc, contentConflicts, fieldConflicts } where doc is
+   *   based on the winning revision and fieldConflicts lists { key, base, values }, with
+   *   frontmatter keys prefixed by "frontmatter."
+   */
+  mergeDocuments(ancestor, leaves) {
+    const [winner] = leaves;
+    const { content, conflicts } = this.mergeContent(ancestor, leaves);
+    const fields = mergeFields(
+      ancestor ? mergeableFields(ancestor) : null,
+      leaves.map(mergeableFields)
+    );
+    const { frontmatter, conflicts: frontmatterConflicts } = mergeFrontmatter(
+      ancestor ? ancestor.frontmatter : null,
+      leaves.map(leaf => leaf.frontmatter)
+    );
+
+    const createdAt = leaves
+      .map(leaf => leaf.createdAt)
+      .filter(Boolean)
+      .sort()[0];
+
+    // Keep the frontmatter formatting of the first version that has it
+    const sourceLeaf = leaves.find(leaf => leaf.frontmatterSource);
+
+    const doc = {
+      ...fields.merged,
+      _id: winner._id,
+      _rev: winner._rev,
+      content,
+      frontmatter,
+      ...(sourceLeaf ? { frontmatterSource: updateFrontmatterSource(sourceLeaf.frontmatterSource, frontmatter) } : {}),
+      ...(createdAt ? { createdAt } : {}),
+      ...mergeAttachments(winner, leaves)
+    };
+
+    return {
+      doc,
+      contentConflicts: conflicts,
+      fieldConflicts: [
+        ...fields.conflicts,
+        ...frontmatterConflicts.map(conflict => ({ ...conflict, key: `frontmatter.${conflict.key}` }))
+      ]
+    };
+  }
+
+  /**
+   * Merge the content of several leaf revisions against their common ancestor
+   * Only regions edited differently on more than one side get conflict markers.
+   * @param {Object|null} ancestor - Common ancestor document, or null if unknown
+   * @param {Array<Object>} leaves - Leaf documents, the winning revision first
+   * @returns {Object} Object with { content, conflicts }
+   */
+  mergeContent(ancestor, leaves) {
+    const labels = leaves.map(leaf => {
+      const time = new Date(leaf.updatedAt || leaf.createdAt || 0);
+      return `Version ${leaf._rev.split('-')[0]} (${time.toLocaleString()})`;
+    });
+
+    return mergeText(
+      ancestor ? ancestor.content || '' : null,
+      leaves.map(leaf => leaf.content || ''),
+      { labels }
+    );
   }
 
   /**
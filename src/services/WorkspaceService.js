@@ -0,0 +1,236 @@
+/**
+ * WorkspaceService - Service for managing named workspaces
+ *
+ * Each workspace (for example "personal" and "work") has its own local PouchDB
+ * database and its own settings, so its own CouchDB URL and credentials, search
+ * index and settings document. The "default" workspace keeps the storage names
+ * used before workspaces existed, so existing data stays where it is.
+ */
+import PouchDB from 'pouchdb';
+import secretStore from './SecretStore.js';
+import { encryptionKeyId } from '../utils/encryption.js';
+
+export const DEFAULT_WORKSPACE = 'default';
+
+// Storage keys of the workspace list and the active workspace, shared by all workspaces
+const WORKSPACES_STORAGE_KEY = 'commad-workspaces';
+const ACTIVE_WORKSPACE_STORAGE_KEY = 'commad-active-workspace';
+
+// Storage key of the encryption settings, whose salts identify the keys SecretStore keeps in IndexedDB
+const ENCRYPTION_STORAGE_KEY = 'commad-encryption-key';
+
+// Storage keys services keep per workspace (see storageKey), removed with the workspace
+const WORKSPACE_STORAGE_KEYS = [
+  'commad-config', 'commad-search-index', 'commad-settings-document', ENCRYPTION_STORAGE_KEY, 'commad-sync-log',
+  'commad-secrets'
+];
+
+// Local database of the default workspace, other workspaces add their name
+const DATABASE_NAME = 'commad-documents';
+
+// Workspace names end up in database names and storage keys
+const WORKSPACE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+class WorkspaceManager {
+  constructor() {
+    this.workspaces = this.loadWorkspaces();
+    this.active = localStorage.getItem(ACTIVE_WORKSPACE_STORAGE_KEY);
+    if (!this.workspaces.includes(this.active)) {
+      this.active = DEFAULT_WORKSPACE;
+    }
+    this.databases = new Map(); // workspace name -> PouchDB instance
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load the list of workspaces from localStorage
+   * @returns {Array<string>} Workspace names, the default workspace first
+   */
+  loadWorkspaces() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(WORKSPACES_STORAGE_KEY) || '[]');
+      return [DEFAULT_WORKSPACE, ...stored.filter(name => name !== DEFAULT_WORKSPACE)];
+    } catch (error) {
+      console.warn('Error loading workspaces from localStorage:', error);
+      return [DEFAULT_WORKSPACE];
+    }
+  }
+
+  /**
+   * Save the list of workspaces to localStorage
+   */
+  saveWorkspaces() {
+    localStorage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify(this.workspaces));
+  }
+
+  /**
+   * Get all workspace names
+   * @returns {Array<string>} Workspace names, the default workspace first
+   */
+  getWorkspaces() {
+    return [...this.workspaces];
+  }
+
+  /**
+   * Get the name of the active workspace
+   * @returns {string} Workspace name
+   */
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Get the localStorage key a service uses in a workspace
+   * @param {string} baseKey - Key used by the default workspace, e.g. "commad-config"
+   * @param {string} [name] - Workspace name, the active workspace by default
+   * @returns {string} Storage key
+   */
+  storageKey(baseKey, name = this.active) {
+    return name === DEFAULT_WORKSPACE ? baseKey : `${baseKey}:${name}`;
+  }
+
+  /**
+   * Get the name of a workspace's local database
+   * @param {string} [name] - Workspace name, the active workspace by default
+   * @returns {string} PouchDB database name
+   */
+  databaseName(name = this.active) {
+    return name === DEFAULT_WORKSPACE ? DATABASE_NAME : `${DATABASE_NAME}-${name}`;
+  }
+
+  /**
+   * Get the local database of the active workspace
+   * @returns {PouchDB} Database shared by all services
+   */
+  getDatabase() {
+    if (!this.databases.has(this.active)) {
+      this.databases.set(this.active, new PouchDB(this.databaseName()));
+    }
+    return this.databases.get(this.active);
+  }
+
+  /**
+   * Check and normalize a workspace name
+   * @param {string} name - Workspace name as typed
+   * @returns {string} Lowercase name
+   */
+  normalizeName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    if (!WORKSPACE_NAME_PATTERN.test(normalized)) {
+      throw new Error('Workspace names may only contain letters, digits and "-"');
+    }
+    return normalized;
+  }
+
+  /**
+   * Switch to a workspace, creating it if it does not exist
+   * Services listening for workspace changes reload their data right away.
+   * @param {string} name - Workspace name
+   * @returns {string} Name of the active workspace
+   */
+  switchWorkspace(name) {
+    const workspace = this.normalizeName(name);
+    if (!this.workspaces.includes(workspace)) {
+      this.workspaces.push(workspace);
+      this.saveWorkspaces();
+      console.log(`🗂️ Created workspace "${workspace}"`);
+    }
+    if (workspace === this.active) {
+      return workspace;
+    }
+
+    this.active = workspace;
+    localStorage.setItem(ACTIVE_WORKSPACE_STORAGE_KEY, workspace);
+    console.log(`🗂️ Switched to workspace "${workspace}"`);
+    this.notifyListeners();
+    return workspace;
+  }
+
+  /**
+   * Delete a workspace's local database and settings
+   * The default workspace is emptied but kept. Clearing the active workspace
+   * makes the default workspace active the next time the app loads.
+   * @param {string} name - Workspace name
+   * @returns {Promise<void>} Promise resolving when the data is gone
+   */
+  async clearWorkspace(name) {
+    const workspace = this.normalizeName(name);
+    if (!this.workspaces.includes(workspace)) {
+      throw new Error(`Workspace "${workspace}" does not exist`);
+    }
+
+    const database = this.databases.get(workspace) || new PouchDB(this.databaseName(workspace));
+    await database.destroy();
+    this.databases.delete(workspace);
+
+    await this.forgetEncryptionKeys(workspace);
+    WORKSPACE_STORAGE_KEYS.forEach(key => localStorage.removeItem(this.storageKey(key, workspace)));
+
+    if (workspace !== DEFAULT_WORKSPACE) {
+      this.workspaces = this.workspaces.filter(other => other !== workspace);
+      this.saveWorkspaces();
+      if (this.active === workspace) {
+        localStorage.removeItem(ACTIVE_WORKSPACE_STORAGE_KEY);
+      }
+    }
+    console.log(`🗑️ Cleared workspace "${workspace}"`);
+  }
+
+  /**
+   * Delete the encryption keys of a workspace from IndexedDB
+   * Its encryption settings hold the salt of the key, and of the new key while a passphrase change is unfinished.
+   * @param {string} workspace - Workspace name
+   * @returns {Promise<void>} Promise resolving once the keys are deleted
+   */
+  async forgetEncryptionKeys(workspace) {
+    const storageKey = this.storageKey(ENCRYPTION_STORAGE_KEY, workspace);
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    } catch (error) {
+      console.warn('Error reading encryption settings, keeping their keys:', error);
+    }
+    if (!stored) {
+      return;
+    }
+
+    const salts = [stored.salt, stored.pending && stored.pending.salt].filter(Boolean);
+    for (const salt of salts) {
+      await secretStore.deleteCryptoKey(encryptionKeyId(storageKey, salt));
+    }
+  }
+
+  /**
+   * Add a listener for workspace switches
+   * @param {Function} listener - Callback called with the new workspace name
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove a workspace switch listener
+   * @param {Function} listener - Listener function to remove
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners of a workspace switch
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.active);
+      } catch (error) {
+        console.error('Error calling workspace listener:', error);
+      }
+    });
+  }
+}
+
+// Create a singleton instance
+const workspaceService = new WorkspaceManager();
+
+export default workspaceService;
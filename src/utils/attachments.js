@@ -0,0 +1,100 @@
+/**
+ * Attachment utilities
+ *
+ * Files pasted or dropped into a document are stored as PouchDB attachments of
+ * that document and referenced from markdown as "attachment:<file name>", so
+ * links keep working on every device the document syncs to.
+ */
+
+export const ATTACHMENT_SCHEME = 'attachment:';
+
+/**
+ * Build the markdown URL of an attachment
+ * @param {string} name - Attachment name
+ * @returns {string} URL like attachment:diagram.png
+ */
+export function attachmentUrl(name) {
+  return `${ATTACHMENT_SCHEME}${encodeURIComponent(name)}`;
+}
+
+/**
+ * Get the attachment name a URL refers to
+ * @param {string} url - URL from a markdown link or image
+ * @returns {string|null} Attachment name, or null for other URLs
+ */
+export function parseAttachmentUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith(ATTACHMENT_SCHEME)) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(url.slice(ATTACHMENT_SCHEME.length)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Choose a name for a new attachment that does not replace an existing one
+ * @param {string} fileName - Name of the pasted or dropped file, '' for unnamed clipboard data
+ * @param {string} contentType - MIME type of the file
+ * @param {Array<string>} existingNames - Names of the document's attachments
+ * @returns {string} Unique attachment name
+ */
+export function uniqueAttachmentName(fileName, contentType, existingNames) {
+  const extension = (contentType || '').startsWith('image/') ? `.${contentType.slice(6).replace(/\+.*$/, '')}` : '';
+  const cleaned = (fileName || '')
+    .replace(/[/\\?%*:|"<>#]/g, '-')
+    .replace(/[()[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const name = cleaned || `pasted-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}${extension}`;
+
+  if (!existingNames.includes(name)) {
+    return name;
+  }
+
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const suffix = dot > 0 ? name.slice(dot) : '';
+  let counter = 2;
+  while (existingNames.includes(`${base}-${counter}${suffix}`)) {
+    counter++;
+  }
+  return `${base}-${counter}${suffix}`;
+}
+
+/**
+ * Build the markdown that references an attachment
+ * @param {string} name - Attachment name
+ * @param {string} contentType - MIME type, images are embedded
+ * @returns {string} Markdown image or link
+ */
+export function attachmentMarkdown(name, contentType) {
+  const prefix = (contentType || '').startsWith('image/') ? '!' : '';
+  return `${prefix}[${name}](${attachmentUrl(name)})`;
+}
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size like "1.5 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Read a blob as a data: URL
+ * @param {Blob} blob - File content
+ * @returns {Promise<string>} Promise resolving to the data URL
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
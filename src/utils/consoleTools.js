@@ -6,6 +6,11 @@ import configManager from '../services/ConfigService';
 import syncService from '../services/SyncService.js';
 import { DatabaseService } from '../services/DatabaseService.js';
 import settingsDocumentService from '../services/SettingsDocumentService.js';
+import DocumentManager from '../services/DocumentManager.js';
+import workspaceService from '../services/WorkspaceService.js';
+import syncLogService from '../services/SyncLogService.js';
+import sessionService from '../services/SessionService.js';
+import secretStore from '../services/SecretStore.js';
 
 // Console tools object that will be exposed globally
 const consoleTools = {
@@ -36,7 +41,7 @@ const consoleTools = {
         console.error('Please provide a configuration key');
         return;
       }
-      configManager.set(key, value);
+      return configManager.set(key, value);
     },
 
     /**
@@ -63,7 +68,7 @@ const consoleTools = {
     },
 
     /**
-     * Set CouchDB authentication
+     * Log in to CouchDB, same as commad.sync.login
      * @param {string} username - Username
      * @param {string} password - Password
      */
@@ -72,19 +77,14 @@ const consoleTools = {
         console.log(`
 Usage: commad.config.setAuth("username", "password")
 
-Note: Credentials are stored in localStorage. Only use this in development!
-For production, consider using environment variables or secure credential storage.
+Logs in through CouchDB's _session endpoint and starts syncing with the session cookie.
+The password is kept encrypted to log in again when the session expires;
+set couchdbKeepPassword to false to forget it after logging in.
         `);
         return;
       }
 
-      configManager.set('couchdbUsername', username);
-      configManager.set('couchdbPassword', password);
-      console.log('✅ CouchDB authentication credentials set');
-      console.log('⚠️  Warning: Credentials stored in localStorage');
-      
-      // Test connection with new credentials
-      consoleTools.utils.testCouchDB();
+      return consoleTools.sync.login(username, password);
     },
 
     /**
@@ -121,12 +121,12 @@ This will:
         configManager.set('couchdbUrl', url);
         console.log(`✅ CouchDB URL: ${url}`);
         
-        // Set auth if provided
+        // Log in if credentials are provided, which enables sync
         if (username && password) {
-          configManager.set('couchdbUsername', username);
-          configManager.set('couchdbPassword', password);
-          console.log(`✅ Authentication: ${username}`);
-          console.log('⚠️  Credentials stored in localStorage');
+          consoleTools.sync.login(username, password).then(user => {
+            if (user) console.log('✅ Setup complete! Check the sync status in the UI.');
+          });
+          return;
         }
         
         // Test connection
@@ -146,11 +146,11 @@ This will:
     },
 
     /**
-     * Clear CouchDB authentication
+     * Log out of CouchDB and clear the stored user name
      */
-    clearAuth: () => {
+    clearAuth: async () => {
+      await consoleTools.sync.logout();
       configManager.set('couchdbUsername', '');
-      configManager.set('couchdbPassword', '');
       console.log('✅ CouchDB authentication credentials cleared');
     },
 
@@ -166,9 +166,9 @@ This will:
     /**
      * Reset configuration to defaults
      */
-    reset: () => {
+    reset: async () => {
       if (confirm('Are you sure you want to reset all configuration to defaults?')) {
-        configManager.reset();
+        await configManager.reset();
         console.log('✅ Configuration reset to defaults');
       }
     },
@@ -206,19 +206,86 @@ This will:
      * Import configuration from JSON
      * @param {string} jsonString - JSON configuration string
      */
-    import: (jsonString) => {
+    import: async (jsonString) => {
       if (!jsonString) {
         console.log('Usage: commad.config.import(\'{"couchdbUrl": "http://example.com"}\')');
         return;
       }
       try {
-        configManager.import(jsonString);
+        await configManager.import(jsonString);
         console.log('✅ Configuration imported successfully');
       } catch (error) {
         console.error('❌ Error importing configuration:', error.message);
       }
     },
 
+    /**
+     * Show which secrets are stored and how they are protected
+     * @returns {Object} { names, protection, locked }
+     */
+    secrets: () => {
+      const status = {
+        names: secretStore.getNames(),
+        protection: secretStore.usesPassphrase() ? 'passphrase' : 'device key',
+        locked: secretStore.isLocked()
+      };
+      console.log(`🔐 Secrets: ${status.names.join(', ') || 'none'}, protected by the ${status.protection}${status.locked ? ' (locked)' : ''}`);
+      return status;
+    },
+
+    /**
+     * Protect stored secrets with a passphrase instead of the device key, or change it
+     * @param {string} passphrase - Passphrase
+     */
+    setSecretPassphrase: async (passphrase) => {
+      if (!passphrase) {
+        console.log('Usage: commad.config.setSecretPassphrase("passphrase") - asked for with unlockSecrets after every reload');
+        return;
+      }
+      try {
+        await secretStore.setPassphrase(passphrase);
+        console.log('✅ Secrets are encrypted with the passphrase');
+      } catch (error) {
+        console.error('❌ Could not set the passphrase:', error.message);
+      }
+    },
+
+    /**
+     * Enter the passphrase of the stored secrets for this session
+     * @param {string} passphrase - Passphrase
+     */
+    unlockSecrets: async (passphrase) => {
+      if (!passphrase) {
+        console.log('Usage: commad.config.unlockSecrets("passphrase")');
+        return;
+      }
+      try {
+        await secretStore.unlock(passphrase);
+        console.log('✅ Secrets unlocked');
+      } catch (error) {
+        console.error('❌ Could not unlock secrets:', error.message);
+      }
+    },
+
+    /**
+     * Forget the passphrase until it is entered again
+     */
+    lockSecrets: () => {
+      secretStore.lock();
+    },
+
+    /**
+     * Protect stored secrets with the device key again
+     */
+    removeSecretPassphrase: async () => {
+      try {
+        await secretStore.removePassphrase();
+        console.log('✅ Secrets are encrypted with the device key');
+      } catch (error) {
+        console.error('❌ Could not remove the passphrase:', error.message);
+      }
+    },
+
     /**
      * Show help for configuration commands
      */
@@ -232,7 +299,7 @@ Available commands:
 • commad.config.set(key, value) - Set a configuration value
 • commad.config.setup(url, user, pass) - Quick setup with authentication
 • commad.config.setCouchDB(url) - Set CouchDB URL with validation
-• commad.config.setAuth(user, pass) - Set CouchDB authentication
+• commad.config.setAuth(user, pass) - Log in to CouchDB with a session
 • commad.config.clearAuth()     - Clear CouchDB credentials
 • commad.config.getAll()        - Display all config in a table
 • commad.config.reset()         - Reset to default configuration
@@ -240,6 +307,11 @@ Available commands:
 • commad.config.exportYAML()    - Export config as YAML string
 • commad.config.openSettings()  - Open settings document in editor
 • commad.config.import(json)    - Import config from JSON string
+• commad.config.secrets()       - Show stored secrets and how they are protected
+• commad.config.setSecretPassphrase(pass) - Encrypt secrets with a passphrase
+• commad.config.unlockSecrets(pass) - Enter the passphrase after a reload
+• commad.config.lockSecrets()   - Forget the passphrase until it is entered again
+• commad.config.removeSecretPassphrase() - Encrypt secrets with the device key again
 • commad.config.help()          - Show this help
 
 Examples:
@@ -263,11 +335,26 @@ commad.config.setup("/db", "username", "password")
 Available config keys:
 • couchdbUrl      - CouchDB server URL (use "/db" for Vite proxy)
 • couchdbUsername - CouchDB username (optional)
-• couchdbPassword - CouchDB password (optional)
+• couchdbPassword - CouchDB password (optional), stored encrypted and shown redacted
+• couchdbKeepPassword - Keep the password to renew expired sessions
 • syncEnabled     - Enable/disable synchronization
 • syncInterval  - Sync interval in milliseconds
+• conflictPolicy - merge, last-writer-wins, keep-local or conflicted-copy
+• autoResolveOnSync - Resolve conflicts automatically after sync
+• syncPushFilter - Documents sent to CouchDB, e.g. "-folder:private"
+• syncPullFilter - Documents received from CouchDB, e.g. "folder:shared"
+• syncDirection - both, push or pull with couchdbUrl
+• syncMode      - live, or periodic to sync every syncInterval
+• syncRemotes   - More remotes, see commad.sync.addRemote()
 • appName       - Application name
 • theme         - UI theme preference
+• maxAttachmentSize - Largest attachment in bytes
+• trashRetentionDays - Days before trashed documents are deleted (0 = never)
+• schemaValidation - off, warn or reject documents that do not match their schemas
+• dailyNoteFolder - Folder new daily notes are created in
+• dailyNoteIdFormat - Document id of a day's note (YYYY, MM and DD required)
+• dailyNoteTitleFormat - Title of a day's note
+• dailyNoteTemplate - Id or title of the daily note template
       `);
     }
   },
@@ -275,16 +362,42 @@ Available config keys:
   // Utility functions
   utils: {
     /**
-     * Clear all application data
+     * Clear all application data, or the data of one workspace
+     * @param {string} [workspace] - Workspace to clear, every workspace when omitted
      */
-    clearData: () => {
+    clearData: async (workspace) => {
+      if (workspace) {
+        if (confirm(`Are you sure you want to clear the documents and settings of workspace "${workspace}"? This cannot be undone.`)) {
+          await workspaceService.clearWorkspace(workspace);
+          location.reload();
+        }
+        return;
+      }
+
       if (confirm('Are you sure you want to clear ALL application data? This cannot be undone.')) {
+        for (const name of workspaceService.getWorkspaces()) {
+          await workspaceService.clearWorkspace(name);
+        }
+        await secretStore.forgetKeys();
         localStorage.clear();
-        indexedDB.deleteDatabase('commad-documents');
         location.reload();
       }
     },
 
+    /**
+     * List workspaces
+     * @returns {Array<string>} Workspace names
+     */
+    workspaces: () => {
+      const active = workspaceService.getActive();
+      console.table(workspaceService.getWorkspaces().map(name => ({
+        name,
+        active: name === active,
+        database: workspaceService.databaseName(name)
+      })));
+      return workspaceService.getWorkspaces();
+    },
+
     /**
      * Show application info
      */
@@ -294,6 +407,7 @@ Available config keys:
 =========================
 Version: ${process.env.NODE_ENV === 'development' ? 'Development' : 'Production'}
 Storage: LocalStorage + PouchDB
+Workspace: ${workspaceService.getActive()} (${workspaceService.databaseName()})
 Config: ${Object.keys(configManager.getAll()).length} keys configured
       `);
     },
@@ -303,21 +417,19 @@ Config: ${Object.keys(configManager.getAll()).length} keys configured
      */
     testCouchDB: async () => {
       const config = configManager.getAll();
-      const { couchdbUrl, couchdbUsername, couchdbPassword } = config;
+      const { couchdbUrl, couchdbUsername } = config;
+      const couchdbPassword = await secretStore.get('couchdbPassword');
       
       console.log(`Testing connection to: ${couchdbUrl}`);
       
       try {
-        const headers = {};
-        
-        // Add authentication if provided
-        if (couchdbUsername && couchdbPassword) {
-          const credentials = btoa(`${couchdbUsername}:${couchdbPassword}`);
-          headers['Authorization'] = `Basic ${credentials}`;
-          console.log(`Using authentication for user: ${couchdbUsername}`);
+        // Requests carry the session cookie, see SessionService
+        if (couchdbUsername) {
+          console.log(`Using a session for user: ${couchdbUsername}`);
+          await sessionService.ensureSession(couchdbUrl, couchdbUsername, couchdbPassword);
         }
         
-        const response = await fetch(couchdbUrl, { headers });
+        const response = await fetch(couchdbUrl, { credentials: 'include' });
         
         if (response.ok) {
           const info = await response.json();
@@ -325,7 +437,7 @@ Config: ${Object.keys(configManager.getAll()).length} keys configured
           
           // Test database access
           const dbUrl = `${couchdbUrl}/commad-documents`;
-          const dbResponse = await fetch(dbUrl, { headers });
+          const dbResponse = await fetch(dbUrl, { credentials: 'include' });
           
           if (dbResponse.ok) {
             const dbInfo = await dbResponse.json();
@@ -370,19 +482,48 @@ Status & Info:
 • commad.sync.info()        - Show detailed sync information
 
 Manual Sync:
-• commad.sync.force()       - Force a full sync
-• commad.sync.push()        - Push local changes to remote
-• commad.sync.pull()        - Pull changes from remote
+• commad.sync.force()       - Force a full sync with every remote
+• commad.sync.push()        - Push local changes to every remote that is pushed to
+• commad.sync.pull()        - Pull changes from every remote that is pulled from
+• commad.sync.force(name)   - Same with one remote, e.g. force("backup"); "primary" is couchdbUrl
+
+Remotes:
+• commad.sync.remotes()     - List remotes with their status
+• commad.sync.addRemote(name, url, options) - Add a remote, e.g. a backup server
+• commad.sync.updateRemote(name, changes)   - Change direction, mode, url or username
+• commad.sync.enableRemote(name, enabled)   - Turn sync with a remote on or off
+• commad.sync.setRemotePassword(name, pass) - Store a remote's password encrypted
+• commad.sync.removeRemote(name)            - Stop syncing with a remote and forget it
 
 Connection Management:
 • commad.sync.start()       - Start continuous sync
 • commad.sync.stop()        - Stop sync
 • commad.sync.reconnect()   - Reconnect to remote
+• commad.sync.login(user, password) - Log in with a CouchDB session and start syncing
+• commad.sync.logout()      - Stop syncing, end the session and forget the password
+
+Activity Log:
+• commad.sync.log()                        - Show recent sync events, newest first
+• commad.sync.log({ types: ['error', 'denied'], search: 'doc-id' }) - Filter by type or text
+• commad.sync.exportLog(filters)           - Get the log as JSON to attach to a bug report
+• commad.sync.clearLog()                   - Clear the log of this workspace
+
+Sync Filters:
+• commad.sync.applyFilters()               - Evict documents the filters exclude, restore ones they include again
+• commad.sync.applyFilters({ dryRun: true }) - Only log what would change
+
+Encryption:
+• commad.sync.setPassphrase(passphrase)    - Encrypt synced documents, or read an encrypted database
+• commad.sync.changePassphrase(passphrase) - Re-encrypt the remote database with a new passphrase
 
 Conflict Resolution:
-• commad.sync.conflicts()   - List documents with conflicts
+• commad.sync.conflicts()   - List conflicts with the proposed automatic resolution
+• commad.sync.autoResolve() - Apply the proposed resolutions
+• commad.sync.autoResolve({ dryRun: true }) - Only log the proposals
 • commad.sync.resolve(id, winningRev, losingRevs) - Manual conflict resolution
 
+Set autoResolveOnSync to false to leave conflicts for review after sync.
+
 Examples:
   commad.sync.status()
   commad.sync.force()
@@ -416,32 +557,276 @@ CouchDB URL: ${config.couchdbUrl}
 Sync Enabled: ${config.syncEnabled ? '✅' : '❌'}
 Last Sync: ${status.lastSyncTime || 'Never'}
 Error: ${status.error || 'None'}
+Encrypted: ${status.isEncrypted ? '🔒' : '❌'}
+Push Filter: ${status.pushFilter || 'All documents'}
+Pull Filter: ${status.pullFilter || 'All documents'}
 Sync Interval: ${config.syncInterval}ms
+Remotes:
+${status.remotes.map(remote => `  ${remote.name}: ${remote.url} (${remote.direction}, ${remote.mode}${remote.enabled ? '' : ', disabled'}) - ${remote.status}${remote.error ? `: ${remote.error}` : ''}`).join('\n')}
       `);
       
       return status;
     },
 
+    /**
+     * Log in to CouchDB with a session cookie
+     * @param {string} username - CouchDB user name
+     * @param {string} password - Password
+     */
+    login: async (username, password) => {
+      if (!username || !password) {
+        console.log('Usage: commad.sync.login("username", "password")');
+        return;
+      }
+      try {
+        const user = await syncService.login(username, password);
+        console.log(`✅ Logged in to CouchDB as ${user.name}`);
+        if (configManager.get('couchdbKeepPassword')) {
+          console.log('🔐 Password stored encrypted to renew the session, set couchdbKeepPassword to false to forget it');
+        }
+        return user;
+      } catch (error) {
+        console.error('❌ Login failed:', error.message);
+      }
+    },
+
+    /**
+     * Log out of CouchDB
+     */
+    logout: async () => {
+      try {
+        await syncService.logout();
+        console.log('✅ Logged out of CouchDB, sync is off');
+      } catch (error) {
+        console.error('❌ Logout failed:', error.message);
+      }
+    },
+
+    /**
+     * Show the sync activity log
+     * @param {Object} filters - Filters, see SyncLogService.getEntries
+     */
+    log: (filters = {}) => {
+      const entries = syncLogService.getEntries(filters);
+      if (entries.length === 0) {
+        console.log('📭 No sync activity recorded');
+        return entries;
+      }
+      console.table(entries.map(entry => ({
+        time: new Date(entry.time).toLocaleString(),
+        type: entry.type,
+        message: entry.message,
+        documents: entry.documentIds.join(', ')
+      })));
+      return entries;
+    },
+
+    /**
+     * Export the sync activity log as JSON
+     * @param {Object} filters - Filters, see SyncLogService.getEntries
+     */
+    exportLog: (filters = {}) => {
+      const json = syncLogService.export(filters);
+      console.log('📋 Sync log exported, copy it with copy(commad.sync.exportLog())');
+      return json;
+    },
+
+    /**
+     * Clear the sync activity log
+     */
+    clearLog: () => {
+      syncLogService.clear();
+      console.log('🗑️ Sync log cleared');
+    },
+
+    /**
+     * Apply changed sync filters to documents that already replicated
+     */
+    applyFilters: async ({ dryRun = false } = {}) => {
+      console.log(dryRun ? '🔍 Previewing sync filters...' : '🔀 Applying sync filters...');
+      try {
+        const result = await syncService.applySyncFilters({ dryRun });
+        console.table({
+          'Evict from this device': result.evictedLocal.length,
+          'Evict from CouchDB': result.evictedRemote.length,
+          'Restore on this device': result.restoredLocal.length,
+          'Restore in CouchDB': result.restoredRemote.length,
+          'Changed on both sides, kept': result.skipped.length
+        });
+        if (result.skipped.length > 0) {
+          console.log('💡 Sync, then apply the filters again to evict:', result.skipped.join(', '));
+        }
+        return result;
+      } catch (error) {
+        console.error('❌ Error applying sync filters:', error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * Set the end-to-end encryption passphrase
+     * @param {string} passphrase - Passphrase
+     */
+    setPassphrase: async (passphrase) => {
+      if (!passphrase) {
+        console.log('Usage: commad.sync.setPassphrase("a long passphrase")');
+        return;
+      }
+      try {
+        await syncService.setEncryptionPassphrase(passphrase);
+        console.log('✅ Passphrase set, documents are encrypted before they are synced');
+      } catch (error) {
+        console.error('❌ Could not set the passphrase:', error.message);
+      }
+    },
+
+    /**
+     * Change the end-to-end encryption passphrase
+     * @param {string} passphrase - New passphrase
+     */
+    changePassphrase: async (passphrase) => {
+      if (!passphrase) {
+        console.log('Usage: commad.sync.changePassphrase("a new long passphrase")');
+        return;
+      }
+      try {
+        const count = await syncService.changeEncryptionPassphrase(passphrase);
+        console.log(`✅ Passphrase changed, ${count} document(s) re-encrypted. Set it on your other devices too.`);
+      } catch (error) {
+        console.error('❌ Could not change the passphrase:', error.message);
+      }
+    },
+
+    /**
+     * List the remotes with their sync status
+     * @returns {Array<Object>} Remotes from the sync status
+     */
+    remotes: () => {
+      const { remotes } = syncService.getStatus();
+      console.table(remotes.map(remote => ({
+        name: remote.name,
+        url: remote.url,
+        direction: remote.direction,
+        mode: remote.mode,
+        enabled: remote.enabled,
+        status: remote.status,
+        lastSync: remote.lastSyncTime || 'Never',
+        error: remote.error || ''
+      })));
+      return remotes;
+    },
+
+    /**
+     * Add a remote to sync with besides the primary CouchDB
+     * @param {string} name - Remote name, e.g. "backup"
+     * @param {string} url - Database URL
+     * @param {Object} [options] - { username, password, direction, mode, enabled }
+     */
+    addRemote: async (name, url, options = {}) => {
+      if (!name || !url) {
+        console.log(`
+Usage: commad.sync.addRemote(name, url, { username, password, direction, mode, enabled })
+
+direction: "both" (default), "push" or "pull"
+mode:      "live" (default) or "periodic" (every syncInterval)
+
+Example:
+  commad.sync.addRemote("backup", "https://backup.example.com/commad", { username: "me", password: "secret", direction: "push", mode: "periodic" })
+        `);
+        return;
+      }
+      const { password = '', ...settings } = options;
+      try {
+        await syncService.addRemote({ ...settings, name, url }, password);
+        console.log(`✅ Remote "${name}" added${configManager.get('syncEnabled') ? '' : ', it syncs once sync is enabled'}`);
+      } catch (error) {
+        console.error('❌ Could not add the remote:', error.message);
+      }
+    },
+
+    /**
+     * Change settings of a remote
+     * @param {string} name - Remote name
+     * @param {Object} changes - e.g. { direction: "push" } or { mode: "live" }
+     */
+    updateRemote: async (name, changes) => {
+      if (!name || !changes) {
+        console.log('Usage: commad.sync.updateRemote("backup", { direction: "push", mode: "periodic" })');
+        return;
+      }
+      try {
+        await syncService.updateRemote(name, changes);
+        console.log(`✅ Remote "${name}" updated`);
+      } catch (error) {
+        console.error('❌ Could not update the remote:', error.message);
+      }
+    },
+
+    /**
+     * Turn sync with a remote on or off
+     * @param {string} name - Remote name
+     * @param {boolean} [enabled] - False to stop syncing with it
+     */
+    enableRemote: (name, enabled = true) => consoleTools.sync.updateRemote(name, { enabled }),
+
+    /**
+     * Store the password of a remote
+     * @param {string} name - Remote name, "primary" for couchdbUrl
+     * @param {string} password - Password, kept encrypted
+     */
+    setRemotePassword: async (name, password) => {
+      if (!name || password === undefined) {
+        console.log('Usage: commad.sync.setRemotePassword("backup", "password")');
+        return;
+      }
+      try {
+        await syncService.setRemotePassword(name, password);
+        console.log(`✅ Password of remote "${name}" ${password ? 'stored encrypted' : 'removed'}`);
+      } catch (error) {
+        console.error('❌ Could not set the password:', error.message);
+      }
+    },
+
+    /**
+     * Stop syncing with a remote and forget it
+     * @param {string} name - Remote name
+     */
+    removeRemote: async (name) => {
+      if (!name) {
+        console.log('Usage: commad.sync.removeRemote("backup")');
+        return;
+      }
+      try {
+        await syncService.removeRemote(name);
+        console.log(`✅ Remote "${name}" removed, its database is left as it is`);
+      } catch (error) {
+        console.error('❌ Could not remove the remote:', error.message);
+      }
+    },
+
     /**
      * Force a full sync
+     * @param {string} [remote] - Remote name, every connected remote when omitted
      */
-    force: async () => {
-      console.log('🔄 Starting forced sync...');
+    force: async (remote) => {
+      console.log(`🔄 Starting forced sync${remote ? ` with ${remote}` : ''}...`);
       try {
-        const result = await DatabaseService.forceSync();
+        const result = await DatabaseService.forceSync(remote);
         console.log('✅ Sync completed successfully:', result);
         
         // Auto-resolve any conflicts that occurred during sync
-        setTimeout(async () => {
-          try {
-            const resolved = await DatabaseService.autoResolveConflicts();
-            if (resolved > 0) {
-              console.log(`🤖 Auto-resolved ${resolved} conflict(s) after sync`);
+        if (configManager.get('autoResolveOnSync')) {
+          setTimeout(async () => {
+            try {
+              const resolved = await DatabaseService.autoResolveConflicts();
+              if (resolved > 0) {
+                console.log(`🤖 Auto-resolved ${resolved} conflict(s) after sync`);
+              }
+            } catch (error) {
+              console.warn('⚠️ Could not auto-resolve conflicts after sync:', error.message);
             }
-          } catch (error) {
-            console.warn('⚠️ Could not auto-resolve conflicts after sync:', error.message);
-          }
-        }, 1000);
+          }, 1000);
+        }
         
         return result;
       } catch (error) {
@@ -452,11 +837,12 @@ Sync Interval: ${config.syncInterval}ms
 
     /**
      * Push local changes to remote
+     * @param {string} [remote] - Remote name, every remote that is pushed to when omitted
      */
-    push: async () => {
-      console.log('⬆️ Pushing local changes...');
+    push: async (remote) => {
+      console.log(`⬆️ Pushing local changes${remote ? ` to ${remote}` : ''}...`);
       try {
-        const result = await syncService.pushToRemote();
+        const result = await syncService.pushToRemote(remote);
         console.log('✅ Push completed successfully:', result);
         return result;
       } catch (error) {
@@ -467,24 +853,27 @@ Sync Interval: ${config.syncInterval}ms
 
     /**
      * Pull changes from remote
+     * @param {string} [remote] - Remote name, every remote that is pulled from when omitted
      */
-    pull: async () => {
-      console.log('⬇️ Pulling remote changes...');
+    pull: async (remote) => {
+      console.log(`⬇️ Pulling remote changes${remote ? ` from ${remote}` : ''}...`);
       try {
-        const result = await syncService.pullFromRemote();
+        const result = await syncService.pullFromRemote(remote);
         console.log('✅ Pull completed successfully:', result);
         
         // Auto-resolve any conflicts that occurred during pull
-        setTimeout(async () => {
-          try {
-            const resolved = await DatabaseService.autoResolveConflicts();
-            if (resolved > 0) {
-              console.log(`🤖 Auto-resolved ${resolved} conflict(s) after pull`);
+        if (configManager.get('autoResolveOnSync')) {
+          setTimeout(async () => {
+            try {
+              const resolved = await DatabaseService.autoResolveConflicts();
+              if (resolved > 0) {
+                console.log(`🤖 Auto-resolved ${resolved} conflict(s) after pull`);
+              }
+            } catch (error) {
+              console.warn('⚠️ Could not auto-resolve conflicts after pull:', error.message);
             }
-          } catch (error) {
-            console.warn('⚠️ Could not auto-resolve conflicts after pull:', error.message);
-          }
-        }, 1000);
+          }, 1000);
+        }
         
         return result;
       } catch (error) {
@@ -550,18 +939,48 @@ Sync Interval: ${config.syncInterval}ms
         }
         
         console.log(`⚠️ Found ${conflicts.length} document(s) with conflicts:`);
+        const plans = await DatabaseService.previewConflictResolutions();
         conflicts.forEach(conflict => {
           console.log(`- Document: ${conflict.id}`);
           console.log(`  Conflicts: ${conflict.conflicts.length} revision(s)`);
+
+          const plan = plans.find(item => item.id === conflict.id);
+          if (!plan) return;
+          const { added, removed, changedFields, copies, contentConflicts } = plan.summary;
+          console.log(`  Proposed (${plan.policy}): +${added} −${removed} line(s)` +
+            (changedFields.length > 0 ? `, fields: ${changedFields.join(', ')}` : '') +
+            (contentConflicts > 0 ? `, ${contentConflicts} region(s) with conflict markers` : '') +
+            (copies.length > 0 ? `, copies: ${copies.join(', ')}` : ''));
         });
+        console.log('💡 Apply with commad.sync.autoResolve() or review with "Resolve sync conflicts" in the command palette');
         
-        return conflicts;
+        return conflicts.map(conflict => ({
+          ...conflict,
+          proposal: plans.find(plan => plan.id === conflict.id) || null
+        }));
       } catch (error) {
         console.error('❌ Error checking conflicts:', error.message);
         throw error;
       }
     },
 
+    /**
+     * Resolve all conflicts with the configured conflict policy
+     */
+    autoResolve: async ({ dryRun = false } = {}) => {
+      console.log(dryRun ? '🔍 Previewing conflict resolution...' : '🤖 Resolving conflicts...');
+      try {
+        const count = await DatabaseService.autoResolveConflicts({ dryRun });
+        console.log(count === 0
+          ? '✅ No conflicts found'
+          : `✅ ${dryRun ? 'Previewed' : 'Resolved'} ${count} conflict(s)`);
+        return count;
+      } catch (error) {
+        console.error('❌ Error resolving conflicts:', error.message);
+        throw error;
+      }
+    },
+
     /**
      * Resolve a document conflict
      */
@@ -594,6 +1013,73 @@ Example:
     }
   },
 
+  // Document tools
+  docs: {
+    /**
+     * Show document tools help
+     */
+    help: () => {
+      console.log(`
+📄 Document Tools
+=================
+
+• commad.docs.validate()    - Check every document against its frontmatter schemas
+• commad.docs.validate(id)  - Check one document
+• commad.docs.schemas()     - List the schemas and what they apply to
+
+Schemas are documents with a "schema" frontmatter key, see CONFIG.md.
+The schemaValidation setting (off/warn/reject) controls what saving an invalid document does.
+      `);
+    },
+
+    /**
+     * Check documents against their frontmatter schemas
+     * @param {string} [id] - Document ID, every document when omitted
+     */
+    validate: async (id) => {
+      try {
+        const results = await DocumentManager.validateDocuments(id);
+        const invalid = results.filter(result => result.problems.length > 0);
+
+        if (invalid.length === 0) {
+          console.log(`✅ ${results.length} document(s) match their schemas`);
+          return results;
+        }
+
+        console.log(`⚠️ ${invalid.length} of ${results.length} document(s) do not match their schemas:`);
+        invalid.forEach(({ id: docId, title, problems }) => {
+          console.log(`- ${title || docId} (${docId})`);
+          problems.forEach(problem => console.log(`  ${problem.severity === 'error' ? '❌' : '⚠️'} ${problem.message}`));
+        });
+        return results;
+      } catch (error) {
+        console.error('❌ Error validating documents:', error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * List the frontmatter schemas
+     */
+    schemas: async () => {
+      const schemas = await DocumentManager.getSchemas();
+      if (schemas.length === 0) {
+        console.log('No schemas defined. Add a "schema" key to the frontmatter of a document to declare one.');
+        return [];
+      }
+
+      console.table(schemas.map(schema => ({
+        name: schema.name,
+        document: schema.id,
+        folder: schema.appliesTo.folder === undefined ? '(all)' : schema.appliesTo.folder,
+        type: schema.appliesTo.type === undefined ? '(all)' : schema.appliesTo.type,
+        fields: Object.keys(schema.fields).join(', '),
+        errors: schema.errors.length
+      })));
+      return schemas;
+    }
+  },
+
   /**
    * Show general help
    */
@@ -605,12 +1091,14 @@ Example:
 Available tool categories:
 • commad.config.*  - Configuration management
 • commad.sync.*    - Sync & CouchDB management
+• commad.docs.*    - Document validation
 • commad.utils.*   - Utility functions
 • commad.help()    - Show this help
 
 Quick start:
 • commad.config.help()     - Configuration help
 • commad.sync.help()       - Sync management help
+• commad.docs.help()       - Document tools help
 • commad.config.getAll()   - View current config
 • commad.sync.status()     - Check sync status
 • commad.utils.info()      - Application info
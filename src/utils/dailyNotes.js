@@ -0,0 +1,79 @@
+/**
+ * Daily notes
+ *
+ * Each day has at most one daily note. Its id and title come from the
+ * dailyNoteIdFormat and dailyNoteTitleFormat settings (formatDate tokens, see
+ * utils/templates.js), so every device opening "today" writes to the same
+ * document and sync merges their edits instead of creating duplicates.
+ */
+import { formatDate } from './templates.js';
+
+// Tokens whose output depends on the device's language, not allowed in ids
+const LOCALIZED_TOKENS = ['MMMM', 'MMM', 'dddd', 'ddd'];
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Get the local calendar day of a date as "YYYY-MM-DD"
+ * @param {Date} date - Date
+ * @returns {string} Day key, stored on daily notes as dailyNote
+ */
+export function dateKey(date) {
+  return formatDate(date, 'YYYY-MM-DD');
+}
+
+/**
+ * Read a day key back as a local date at midnight
+ * @param {string} key - Day key as returned by dateKey
+ * @returns {Date|null} Date, or null if the key is not a valid day
+ */
+export function parseDateKey(key) {
+  const match = DATE_KEY_PATTERN.exec(key || '');
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return dateKey(date) === key ? date : null;
+}
+
+/**
+ * Add days to a date, keeping the local time of day across daylight saving changes
+ * @param {Date} date - Date
+ * @param {number} days - Days to add, negative for earlier days
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Check a daily note id format
+ * @param {string} format - formatDate format
+ * @returns {string|null} Problem description, or null if every day gets its own
+ *   id that is the same on every device
+ */
+export function checkIdFormat(format) {
+  if (typeof format !== 'string' || !format.trim()) {
+    return 'dailyNoteIdFormat must not be empty';
+  }
+  // Bracketed text is copied as is, only the tokens outside it can be localized
+  const tokens = format.replace(/\[[^\]]*\]/g, '');
+  if (LOCALIZED_TOKENS.some(token => tokens.includes(token))) {
+    return `dailyNoteIdFormat must not contain ${LOCALIZED_TOKENS.join(', ')}: month and day names depend on the device's language`;
+  }
+
+  const day = new Date(2001, 0, 1);
+  const otherDays = [addDays(day, 1), new Date(2001, 1, 1), new Date(2002, 0, 1)];
+  if (otherDays.some(other => formatDate(other, format) === formatDate(day, format))) {
+    return 'dailyNoteIdFormat must contain the year (YYYY), month (MM) and day (DD)';
+  }
+  if (formatDate(new Date(2001, 0, 1, 13, 30, 30), format) !== formatDate(day, format)) {
+    return 'dailyNoteIdFormat must not contain the time of day, put letters in [brackets] to keep them as text';
+  }
+  if (formatDate(new Date(2000, 0, 1), format).startsWith('_')) {
+    return 'dailyNoteIdFormat must not start with "_"';
+  }
+  return null;
+}
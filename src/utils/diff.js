@@ -0,0 +1,168 @@
+/**
+ * Line diff utilities based on the Myers O(ND) difference algorithm
+ */
+
+/**
+ * Split text into lines
+ * @param {string|Array<string>} text - Text or already split lines
+ * @returns {Array<string>} Lines
+ */
+export function splitLines(text) {
+  if (Array.isArray(text)) return text;
+  return (text || '').split('\n');
+}
+
+/**
+ * Run the forward pass of the Myers algorithm, keeping the furthest reaching
+ * x for every diagonal at each edit distance so the path can be recovered
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Int32Array>} Trace of diagonal states, one per edit distance
+ */
+function shortestEditTrace(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d can be read while backtracking from step d
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return trace;
+      }
+    }
+  }
+
+  return trace;
+}
+
+/**
+ * Match the lines of two texts along a longest common subsequence
+ * @param {string|Array<string>} oldText - Old text or lines
+ * @param {string|Array<string>} newText - New text or lines
+ * @returns {Array<number>} For every old line, the index of the matching new line or -1
+ */
+export function matchLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const matches = new Array(a.length).fill(-1);
+
+  // Common prefix and suffix never need to go through the diff
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    matches[prefix] = prefix;
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    matches[a.length - 1 - suffix] = b.length - 1 - suffix;
+    suffix++;
+  }
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  if (middleA.length === 0 || middleB.length === 0) {
+    return matches;
+  }
+
+  const trace = shortestEditTrace(middleA, middleB);
+  let x = middleA.length;
+  let y = middleB.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = v[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches[prefix + x] = prefix + y;
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    matches[prefix + x] = prefix + y;
+  }
+
+  return matches;
+}
+
+/**
+ * Compute a line diff between two texts
+ * @param {string|Array<string>} oldText - Old text or lines
+ * @param {string|Array<string>} newText - New text or lines
+ * @returns {Array<Object>} Runs of { type: 'equal'|'delete'|'insert', lines, oldStart, newStart }
+ *   with 0-based start lines in the old and new text
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const matches = matchLines(a, b);
+  const ops = [];
+
+  const push = (type, line, oldIndex, newIndex) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      ops.push({ type, lines: [line], oldStart: oldIndex, newStart: newIndex });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && matches[i] === -1) {
+      push('delete', a[i], i, j);
+      i++;
+    } else if (j < b.length && (i >= a.length || matches[i] > j)) {
+      push('insert', b[j], i, j);
+      j++;
+    } else {
+      push('equal', a[i], i, j);
+      i++;
+      j++;
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * Summarize a diff
+ * @param {Array<Object>} ops - Result of diffLines
+ * @returns {Object} Object with { added, removed } line counts
+ */
+export function diffStats(ops) {
+  return ops.reduce((stats, op) => {
+    if (op.type === 'insert') stats.added += op.lines.length;
+    if (op.type === 'delete') stats.removed += op.lines.length;
+    return stats;
+  }, { added: 0, removed: 0 });
+}
@@ -0,0 +1,190 @@
+/**
+ * Encryption of document fields with WebCrypto
+ *
+ * A 256-bit AES-GCM key is derived from a passphrase with PBKDF2. Encrypted
+ * documents keep their id, revision, attachments and bookkeeping fields; the
+ * fields in ENCRYPTED_FIELDS are replaced by
+ *
+ *   encrypted: { key: <salt of the key>, iv: <base64>, data: <base64> }
+ *
+ * so a device can tell which passphrase a document was encrypted with.
+ */
+
+// Fields that hold what people write, the frontmatter source repeats the frontmatter
+export const ENCRYPTED_FIELDS = ['title', 'content', 'frontmatter', 'frontmatterSource'];
+
+// PBKDF2 iterations for new keys, stored with the salt so it can be raised later
+export const KEY_ITERATIONS = 310000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Known text encrypted with a key, to tell whether a passphrase is right
+const KEY_CHECK_TEXT = 'commad-encryption-check';
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+  const array = new Uint8Array(bytes);
+  let binary = '';
+  for (let index = 0; index < array.length; index += 0x8000) {
+    binary += String.fromCharCode(...array.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Get the id a derived key is kept under on this device
+ * The salt is part of the id, so a key never pairs with another salt.
+ * @param {string} storageKey - Storage key of the workspace's encryption settings
+ * @param {string} salt - Salt the key was derived with
+ * @returns {string} Key id
+ */
+export function encryptionKeyId(storageKey, salt) {
+  return `${storageKey}:${salt}`;
+}
+
+/**
+ * Create a random salt for a new key
+ * @returns {string} Base64 salt, also used to identify the key
+ */
+export function createSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive an encryption key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {string} salt - Base64 salt from createSalt
+ * @param {number} [iterations] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Promise resolving to a non-extractable AES-GCM key
+ */
+export async function deriveKey(passphrase, salt, iterations = KEY_ITERATIONS) {
+  if (!passphrase) {
+    throw new Error('The passphrase must not be empty');
+  }
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Import a key stored as JWK by earlier versions
+ * @param {Object} jwk - Key as JWK
+ * @returns {Promise<CryptoKey>} Promise resolving to a non-extractable AES-GCM key
+ */
+export function importKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt text
+ * @param {string} text - Plain text
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Object>} Promise resolving to { iv, data } in base64
+ */
+export async function encryptText(text, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt text
+ * @param {Object} encrypted - Object with { iv, data } from encryptText
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<string>} Promise resolving to the plain text, rejects for a wrong key
+ */
+export async function decryptText({ iv, data }, key) {
+  const text = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(text);
+}
+
+/**
+ * Create the check that tells whether a passphrase derives a key
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Object>} Promise resolving to { iv, data }
+ */
+export function createKeyCheck(key) {
+  return encryptText(KEY_CHECK_TEXT, key);
+}
+
+/**
+ * Verify a key against a check from createKeyCheck
+ * @param {Object} check - Key check
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<boolean>} Promise resolving to true if the key is the one the check was made with
+ */
+export async function verifyKeyCheck(check, key) {
+  try {
+    return await decryptText(check, key) === KEY_CHECK_TEXT;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a stored document has encrypted fields
+ * @param {Object} doc - Stored document
+ * @returns {boolean} True for encrypted documents
+ */
+export function isEncrypted(doc) {
+  return Boolean(doc && doc.encrypted && doc.encrypted.data);
+}
+
+/**
+ * Encrypt the fields of a document that hold what people write
+ * @param {Object} doc - Stored document
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} salt - Salt the key was derived with, recorded in the document
+ * @returns {Promise<Object>} Promise resolving to the document with an encrypted field
+ *   instead of ENCRYPTED_FIELDS, or the document itself if it has none of them
+ */
+export async function encryptDocument(doc, key, salt) {
+  const present = ENCRYPTED_FIELDS.filter(field => doc[field] !== undefined);
+  if (present.length === 0 || isEncrypted(doc)) {
+    return doc;
+  }
+
+  const encrypted = {};
+  const rest = { ...doc };
+  present.forEach(field => {
+    encrypted[field] = doc[field];
+    delete rest[field];
+  });
+  return { ...rest, encrypted: { key: salt, ...await encryptText(JSON.stringify(encrypted), key) } };
+}
+
+/**
+ * Decrypt a document encrypted with encryptDocument
+ * @param {Object} doc - Stored document
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Object>} Promise resolving to the document with its fields restored,
+ *   or the document itself if it is not encrypted
+ */
+export async function decryptDocument(doc, key) {
+  if (!isEncrypted(doc)) {
+    return doc;
+  }
+  const { encrypted, ...rest } = doc;
+  return { ...rest, ...JSON.parse(await decryptText(encrypted, key)) };
+}
@@ -0,0 +1,91 @@
+/**
+ * Folder path utilities
+ *
+ * Documents store the folder they belong to as a slash separated path
+ * ("Work/Projects"); an empty path is the top level.
+ */
+
+/**
+ * Normalize a folder path: trim every segment and drop empty ones
+ * @param {string} path - Folder path as typed or stored
+ * @returns {string} Normalized path, '' for the top level
+ */
+export function normalizeFolderPath(path) {
+  if (typeof path !== 'string') {
+    return '';
+  }
+
+  return path
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment.length > 0)
+    .join('/');
+}
+
+/**
+ * Get the last segment of a folder path
+ * @param {string} path - Normalized folder path
+ * @returns {string} Folder name
+ */
+export function folderName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Get the parent of a folder path
+ * @param {string} path - Normalized folder path
+ * @returns {string} Parent path, '' for top level folders
+ */
+export function parentFolder(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Join a parent path and a child name
+ * @param {string} parent - Parent folder path
+ * @param {string} name - Child folder name or relative path
+ * @returns {string} Normalized path
+ */
+export function joinFolderPath(parent, name) {
+  return normalizeFolderPath(`${parent || ''}/${name || ''}`);
+}
+
+/**
+ * Check whether a path is a folder or one of its subfolders
+ * @param {string} path - Path to check
+ * @param {string} folder - Folder path, '' matches everything
+ * @returns {boolean} True if path lies inside folder
+ */
+export function isInFolder(path, folder) {
+  const normalized = normalizeFolderPath(path);
+  return !folder || normalized === folder || normalized.startsWith(`${folder}/`);
+}
+
+/**
+ * Rewrite a path after its folder (or an ancestor) moved
+ * @param {string} path - Path to rewrite
+ * @param {string} from - Old folder path
+ * @param {string} to - New folder path
+ * @returns {string} Rewritten path, unchanged if it is not inside from
+ */
+export function moveFolderPath(path, from, to) {
+  const normalized = normalizeFolderPath(path);
+  if (!isInFolder(normalized, from)) {
+    return normalized;
+  }
+  return joinFolderPath(to, normalized.slice(from.length));
+}
+
+/**
+ * List a path and all of its ancestors, top level first
+ * @param {string} path - Normalized folder path
+ * @returns {Array<string>} Paths from the top level folder down to path
+ */
+export function folderAncestors(path) {
+  if (!path) {
+    return [];
+  }
+  const segments = path.split('/');
+  return segments.map((segment, index) => segments.slice(0, index + 1).join('/'));
+}
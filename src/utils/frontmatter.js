@@ -2,20 +2,24 @@
  * Frontmatter utilities for parsing and reconstructing YAML frontmatter
  * in thoughts documents
  */
+import { mergeFields } from './merge.js';
+import { parseYaml, stringifyYaml, updateYaml } from './yaml.js';
 
 /**
  * Parse frontmatter from document content
  * @param {string} content - The full document content
- * @returns {Object} Object with { frontmatter: {}, content: string }
+ * @returns {Object} Object with { frontmatter: {}, content: string, source: string|null }
+ *   where source is the frontmatter block exactly as written, so that
+ *   source + content is the original text
  */
 export function parseFrontmatter(content) {
   if (typeof content !== 'string') {
-    return { frontmatter: {}, content: content || '' };
+    return { frontmatter: {}, content: content || '', source: null };
   }
 
   // Check if content starts with ---
   if (!content.startsWith('---\n')) {
-    return { frontmatter: {}, content };
+    return { frontmatter: {}, content, source: null };
   }
 
   // Find the second --- (closing frontmatter)
@@ -31,12 +35,11 @@ export function parseFrontmatter(content) {
 
   // If no closing --- found, treat as regular content
   if (closingIndex === -1) {
-    return { frontmatter: {}, content };
+    return { frontmatter: {}, content, source: null };
   }
 
   // Extract frontmatter YAML (between the --- markers)
-  const frontmatterLines = lines.slice(1, closingIndex);
-  const frontmatterYaml = frontmatterLines.join('\n');
+  const frontmatterYaml = lines.slice(1, closingIndex).join('\n');
   
   // Extract content after frontmatter (skip the closing --- and any empty line)
   let contentStartIndex = closingIndex + 1;
@@ -47,147 +50,103 @@ export function parseFrontmatter(content) {
   }
   
   const remainingContent = lines.slice(contentStartIndex).join('\n');
+  const source = content.slice(0, content.length - remainingContent.length);
 
   // Parse YAML frontmatter
-  let frontmatter = {};
-  if (frontmatterYaml.trim()) {
-    try {
-      // Simple YAML parser for key: value pairs
-      frontmatter = parseSimpleYaml(frontmatterYaml);
-    } catch (error) {
-      console.warn('Error parsing frontmatter YAML:', error);
-      // If parsing fails, return empty frontmatter but keep the content
-      return { frontmatter: {}, content };
-    }
+  let frontmatter;
+  try {
+    frontmatter = parseYaml(frontmatterYaml);
+  } catch (error) {
+    console.warn('Error parsing frontmatter YAML:', error);
+    // If parsing fails, return empty frontmatter but keep the content
+    return { frontmatter: {}, content, source: null };
+  }
+
+  if (frontmatter === null) {
+    frontmatter = {};
+  } else if (typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+    console.warn('Frontmatter is not a mapping, keeping it as content');
+    return { frontmatter: {}, content, source: null };
   }
 
   return {
     frontmatter,
-    content: remainingContent
+    content: remainingContent,
+    source
   };
 }
 
 /**
- * Reconstruct document content with frontmatter
- * @param {Object} frontmatter - The frontmatter object
- * @param {string} content - The document content
- * @returns {string} Full document content with frontmatter
+ * Split a frontmatter block into its markers and YAML
+ * @param {string} source - Frontmatter block as returned by parseFrontmatter
+ * @returns {Object|null} Object with { opening, yaml, closing }, null if it is not a frontmatter block
  */
-export function reconstructWithFrontmatter(frontmatter, content) {
-  // If no frontmatter or empty frontmatter, return content as-is
-  if (!frontmatter || Object.keys(frontmatter).length === 0) {
-    return content || '';
+function splitSource(source) {
+  const closing = source.startsWith('---\n') && source.match(/\n[ \t]*---[ \t]*(?:\n\n?|$)$/);
+  if (!closing) {
+    return null;
   }
-
-  // Convert frontmatter object to YAML
-  const yamlLines = [];
-  for (const [key, value] of Object.entries(frontmatter)) {
-    yamlLines.push(`${key}: ${formatYamlValue(value)}`);
-  }
-
-  // Construct full document with frontmatter
-  const parts = [
-    '---',
-    ...yamlLines,
-    '',  // Empty line before closing ---
-    '---',
-    '',  // Empty line after closing ---
-    content || ''
-  ];
-
-  return parts.join('\n');
+  const yamlEnd = source.length - closing[0].length;
+  return {
+    opening: '---\n',
+    yaml: yamlEnd > 4 ? source.slice(4, yamlEnd) : '',
+    closing: yamlEnd >= 4 ? closing[0] : source.slice(3)
+  };
 }
 
 /**
- * Simple YAML parser for key: value pairs
- * @param {string} yamlString - YAML string to parse
- * @returns {Object} Parsed object
+ * Apply changed frontmatter to a frontmatter block, keeping comments,
+ * formatting and untouched keys as they were written
+ * @param {string} source - Frontmatter block as returned by parseFrontmatter
+ * @param {Object} frontmatter - New frontmatter object
+ * @returns {string} Updated frontmatter block
  */
-function parseSimpleYaml(yamlString) {
-  const result = {};
-  const lines = yamlString.split('\n');
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    if (!trimmedLine || trimmedLine.startsWith('#')) {
-      continue; // Skip empty lines and comments
-    }
-
-    const colonIndex = trimmedLine.indexOf(':');
-    if (colonIndex === -1) {
-      continue; // Skip lines without colons
-    }
-
-    const key = trimmedLine.slice(0, colonIndex).trim();
-    const valueStr = trimmedLine.slice(colonIndex + 1).trim();
-
-    // Parse value
-    let value = valueStr;
-
-    // Handle different value types
-    if (value === '') {
-      value = '';
-    } else if (value === 'true') {
-      value = true;
-    } else if (value === 'false') {
-      value = false;
-    } else if (value === 'null') {
-      value = null;
-    } else if (/^-?\d+$/.test(value)) {
-      value = parseInt(value, 10);
-    } else if (/^-?\d*\.\d+$/.test(value)) {
-      value = parseFloat(value);
-    } else if ((value.startsWith('"') && value.endsWith('"')) || 
-               (value.startsWith("'") && value.endsWith("'"))) {
-      // Remove quotes
-      value = value.slice(1, -1);
-    }
-    // Otherwise keep as string
-
-    result[key] = value;
+export function updateFrontmatterSource(source, frontmatter) {
+  const parts = splitSource(source || '');
+  if (!parts) {
+    return `---\n${stringifyYaml(frontmatter || {})}---\n\n`;
   }
 
-  return result;
+  const { opening, yaml, closing } = parts;
+  const updated = updateYaml(yaml, frontmatter || {});
+  if (updated === yaml) {
+    return source;
+  }
+  return `${opening}${updated}${updated === '' || updated.endsWith('\n') ? closing.slice(1) : closing}`;
 }
 
 /**
- * Format a value for YAML output
- * @param {*} value - Value to format
- * @returns {string} YAML-formatted value
+ * Reconstruct document content with frontmatter
+ * @param {Object} frontmatter - The frontmatter object
+ * @param {string} content - The document content
+ * @param {string|null} source - Frontmatter block as originally written, if known
+ * @returns {string} Full document content with frontmatter
  */
-function formatYamlValue(value) {
-  if (value === null) {
-    return 'null';
-  }
-  if (typeof value === 'boolean') {
-    return value.toString();
-  }
-  if (typeof value === 'number') {
-    return value.toString();
+export function reconstructWithFrontmatter(frontmatter, content, source = null) {
+  // Keep the frontmatter as the user wrote it, only patching changed keys
+  if (source) {
+    return updateFrontmatterSource(source, frontmatter) + (content || '');
   }
-  if (typeof value === 'string') {
-    // Quote strings that contain special characters or are empty
-    if (value === '' || value.includes(':') || value.includes('\n') || 
-        value.includes('#') || /^\s/.test(value) || /\s$/.test(value)) {
-      return `"${value.replace(/"/g, '\\"')}"`;
-    }
-    return value;
+
+  // If no frontmatter or empty frontmatter, return content as-is
+  if (!frontmatter || Object.keys(frontmatter).length === 0) {
+    return content || '';
   }
-  
-  // For other types, convert to JSON string
-  return JSON.stringify(value);
+
+  return `---\n${stringifyYaml(frontmatter)}---\n\n${content || ''}`;
 }
 
 /**
  * Extract frontmatter for storage in PouchDB
  * @param {string} content - Full document content
- * @returns {Object} Object with { frontmatter: {}, contentWithoutFrontmatter: string }
+ * @returns {Object} Object with { frontmatter: {}, contentWithoutFrontmatter: string, frontmatterSource: string|null }
  */
 export function extractFrontmatterForStorage(content) {
-  const { frontmatter, content: contentWithoutFrontmatter } = parseFrontmatter(content);
+  const { frontmatter, content: contentWithoutFrontmatter, source } = parseFrontmatter(content);
   return {
     frontmatter,
-    contentWithoutFrontmatter
+    contentWithoutFrontmatter,
+    frontmatterSource: source
   };
 }
 
@@ -195,8 +154,20 @@ export function extractFrontmatterForStorage(content) {
  * Reconstruct content for display in editor
  * @param {Object} frontmatter - Frontmatter object from PouchDB
  * @param {string} content - Content without frontmatter from PouchDB
+ * @param {string|null} source - Frontmatter block as written, from PouchDB
  * @returns {string} Full content with frontmatter for display
  */
-export function reconstructForDisplay(frontmatter, content) {
-  return reconstructWithFrontmatter(frontmatter, content);
-}
\ No newline at end of file
+export function reconstructForDisplay(frontmatter, content, source = null) {
+  return reconstructWithFrontmatter(frontmatter, content, source);
+}
+
+/**
+ * Merge frontmatter objects of conflicting revisions key by key
+ * @param {Object|null} base - Frontmatter of the common ancestor, or null if unknown
+ * @param {Array<Object>} versions - Frontmatter of every revision, the preferred one first
+ * @returns {Object} Object with { frontmatter, conflicts } (see mergeFields)
+ */
+export function mergeFrontmatter(base, versions) {
+  const { merged, conflicts } = mergeFields(base || {}, versions.map(version => version || {}));
+  return { frontmatter: merged, conflicts };
+}
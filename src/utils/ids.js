@@ -0,0 +1,60 @@
+/**
+ * Document ids
+ *
+ * New documents get an id made of a slug of their title and a random suffix,
+ * e.g. "meeting-notes-k3x9q2ab": readable in CouchDB, and unlikely to collide
+ * when two devices create documents with the same title while offline.
+ */
+
+// Longest slug kept from a title, so ids stay readable
+const MAX_SLUG_LENGTH = 48;
+
+const SUFFIX_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const SUFFIX_LENGTH = 8;
+
+// Slug, "-" and a suffix as created by createDocumentId
+const GENERATED_ID_PATTERN = new RegExp(`^(.+)-[a-z0-9]{${SUFFIX_LENGTH}}$`);
+
+/**
+ * Turn a title into a slug of lowercase letters, digits and dashes
+ * @param {string} title - Document title
+ * @returns {string} Slug such as "meeting-notes", "untitled" if nothing is left
+ */
+export function slugify(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '') // Accents split off by NFKD
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'untitled';
+}
+
+/**
+ * Create a random id suffix
+ * @returns {string} SUFFIX_LENGTH lowercase letters and digits
+ */
+export function randomSuffix() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SUFFIX_LENGTH));
+  return Array.from(bytes, byte => SUFFIX_ALPHABET[byte % SUFFIX_ALPHABET.length]).join('');
+}
+
+/**
+ * Create an id for a new document
+ * @param {string} title - Document title
+ * @returns {string} Id such as "meeting-notes-k3x9q2ab"
+ */
+export function createDocumentId(title) {
+  return `${slugify(title)}-${randomSuffix()}`;
+}
+
+/**
+ * Get the slug part of a document id
+ * @param {string} id - Document id
+ * @returns {string|null} Slug of an id created by createDocumentId, null for other ids
+ */
+export function idSlug(id) {
+  const match = GENERATED_ID_PATTERN.exec(id || '');
+  return match ? match[1] : null;
+}
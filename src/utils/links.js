@@ -0,0 +1,79 @@
+/**
+ * Wiki link utilities
+ *
+ * Documents link to each other with [[Document Title]] or [[id|alias]]. The
+ * target is matched against document ids first (including the old ids of
+ * renamed documents, listed in their redirectedFrom), then case-insensitively
+ * against titles.
+ */
+import { forEachProseLine } from './markdown.js';
+
+// [[target]] or [[target|alias]], targets cannot contain brackets, "|" or line breaks
+export const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g;
+
+/**
+ * Normalize a link target or title for comparison
+ * @param {string} target - Link target or document title
+ * @returns {string} Lowercase target with collapsed whitespace
+ */
+export function normalizeLinkTarget(target) {
+  return String(target || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Find wiki links in markdown, skipping code blocks and inline code
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} Links with { target, alias, line, from, to } where line is
+ *   0-based and from/to are column offsets of the whole link including brackets
+ */
+export function findWikiLinks(content) {
+  const links = [];
+
+  forEachProseLine(content, (line, lineIndex) => {
+    for (const match of line.matchAll(WIKI_LINK_PATTERN)) {
+      const target = match[1].trim();
+      if (!target) continue;
+      links.push({
+        target,
+        alias: match[2] ? match[2].trim() : null,
+        line: lineIndex,
+        from: match.index,
+        to: match.index + match[0].length
+      });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Check whether a link target is a document's id, current or from before a rename
+ */
+const hasId = (document, target) => document.id === target
+  || (Array.isArray(document.redirectedFrom) && document.redirectedFrom.includes(target));
+
+/**
+ * Find the document a link target points to
+ * @param {string} target - Link target (document id or title)
+ * @param {Array<Object>} documents - Documents with id, title and optionally redirectedFrom
+ * @returns {Object|null} Linked document, or null if it does not exist
+ */
+export function resolveWikiLink(target, documents) {
+  const trimmed = String(target || '').trim();
+  const byId = documents.find(doc => hasId(doc, trimmed));
+  if (byId) return byId;
+
+  const normalized = normalizeLinkTarget(trimmed);
+  return documents.find(doc => normalizeLinkTarget(doc.title) === normalized) || null;
+}
+
+/**
+ * Check whether a link target points to a document
+ * @param {string} target - Link target
+ * @param {Object} document - Document with id and title
+ * @returns {boolean} True if the target is the document's id or title
+ */
+export function linksTo(target, document) {
+  const trimmed = String(target || '').trim();
+  return hasId(document, trimmed) || normalizeLinkTarget(trimmed) === normalizeLinkTarget(document.title);
+}
@@ -0,0 +1,25 @@
+/**
+ * Markdown text helpers shared by the tag and link parsers
+ */
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Visit every line of markdown that is prose, skipping fenced code blocks
+ * Inline code spans are replaced by spaces so column offsets stay valid.
+ * @param {string} content - Markdown content
+ * @param {Function} callback - Called with (text, lineIndex) for every prose line
+ */
+export function forEachProseLine(content, callback) {
+  let inFence = false;
+
+  (content || '').split('\n').forEach((line, lineIndex) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    callback(line.replace(/`[^`]*`/g, code => ' '.repeat(code.length)), lineIndex);
+  });
+}
@@ -0,0 +1,391 @@
+/**
+ * Markdown to HTML rendering for the preview pane
+ *
+ * Documents are parsed with the same lezer markdown parser the editor uses, so
+ * the preview agrees with the editor's highlighting. Block elements carry a
+ * data-line attribute with their 1-based source line for scroll syncing, and
+ * the resulting HTML is sanitized because synced documents are untrusted.
+ */
+import DOMPurify from 'dompurify';
+import { markdownLanguage } from '@codemirror/lang-markdown';
+import { classHighlighter, highlightCode } from '@lezer/highlight';
+import { WIKI_LINK_PATTERN } from './links.js';
+
+// Syntax nodes that only mark up their parent and render nothing themselves
+const MARK_NODES = new Set([
+  'HeaderMark', 'EmphasisMark', 'CodeMark', 'LinkMark', 'QuoteMark', 'ListMark',
+  'StrikethroughMark', 'SubscriptMark', 'SuperscriptMark', 'TaskMarker', 'TableDelimiter'
+]);
+
+// DOMPurify's default URL check plus blob: URLs of loaded attachments and unresolved attachment: links
+const ALLOWED_URI_REGEXP = /^(?:(?:https?|mailto|tel|blob|attachment):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+const INLINE_TAGS = {
+  Emphasis: 'em',
+  StrongEmphasis: 'strong',
+  Strikethrough: 'del',
+  Subscript: 'sub',
+  Superscript: 'sup'
+};
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Find where the body starts after a frontmatter block
+ * @param {string} source - Full document content
+ * @returns {number} Offset of the first body character, 0 without frontmatter
+ */
+const frontmatterEnd = (source) => {
+  if (!source.startsWith('---\n')) return 0;
+  const closing = source.slice(4).search(/^---[ \t]*$/m);
+  if (closing === -1) return 0;
+  const end = source.indexOf('\n', 4 + closing);
+  return end === -1 ? source.length : end + 1;
+};
+
+class HtmlRenderer {
+  constructor(source, options) {
+    this.source = source;
+    this.options = options;
+    this.references = new Map();
+    this.lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') this.lineStarts.push(i + 1);
+    }
+  }
+
+  /**
+   * Get the 1-based line number of an offset
+   */
+  lineOf(pos) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.lineStarts[middle] <= pos) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  }
+
+  text(from, to) {
+    return this.source.slice(from, to);
+  }
+
+  children(node) {
+    const children = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      children.push(child);
+    }
+    return children;
+  }
+
+  /**
+   * Render a block element with its source line
+   */
+  block(tag, node, inner, attributes = '') {
+    return `<${tag} data-line="${this.lineOf(node.from)}"${attributes}>${inner}</${tag}>`;
+  }
+
+  render(tree, from) {
+    // Reference definitions may follow the links using them
+    tree.topNode.cursor().iterate(node => {
+      if (node.name !== 'LinkReference') return;
+      const label = node.node.getChild('LinkLabel');
+      const url = node.node.getChild('URL');
+      if (label && url) {
+        this.references.set(this.referenceKey(this.text(label.from, label.to)), {
+          url: this.text(url.from, url.to),
+          title: this.linkTitle(node.node)
+        });
+      }
+      return false;
+    });
+
+    return this.children(tree.topNode)
+      .filter(node => node.from >= from)
+      .map(node => this.renderBlock(node))
+      .join('\n');
+  }
+
+  renderBlocks(node) {
+    return this.children(node)
+      .filter(child => !MARK_NODES.has(child.name))
+      .map(child => this.renderBlock(child))
+      .join('\n');
+  }
+
+  renderBlock(node) {
+    const heading = node.name.match(/^(?:ATX|Setext)Heading(\d)$/);
+    if (heading) {
+      return this.block(`h${heading[1]}`, node, this.renderInline(node).trim());
+    }
+
+    switch (node.name) {
+      case 'Paragraph':
+        return this.block('p', node, this.renderInline(node).trim());
+      case 'Blockquote':
+        return this.block('blockquote', node, this.renderBlocks(node));
+      case 'BulletList':
+        return this.block('ul', node, this.renderBlocks(node));
+      case 'OrderedList': {
+        const mark = node.getChild('ListItem')?.getChild('ListMark');
+        const start = mark ? parseInt(this.text(mark.from, mark.to), 10) : 1;
+        return this.block('ol', node, this.renderBlocks(node), start !== 1 ? ` start="${start}"` : '');
+      }
+      case 'ListItem':
+        return this.block('li', node, this.renderBlocks(node));
+      case 'Task': {
+        const marker = node.getChild('TaskMarker');
+        const checked = marker && /x/i.test(this.text(marker.from, marker.to));
+        return `<input type="checkbox" disabled${checked ? ' checked' : ''}> ${this.renderInline(node).trim()}`;
+      }
+      case 'HorizontalRule':
+        return `<hr data-line="${this.lineOf(node.from)}">`;
+      case 'FencedCode':
+      case 'CodeBlock':
+        return this.renderCode(node);
+      case 'Table':
+        return this.renderTable(node);
+      case 'HTMLBlock':
+        return this.text(node.from, node.to);
+      case 'LinkReference':
+      case 'CommentBlock':
+      case 'ProcessingInstructionBlock':
+        return '';
+      default:
+        return this.block('p', node, escapeHtml(this.text(node.from, node.to)));
+    }
+  }
+
+  renderCode(node) {
+    const info = node.getChild('CodeInfo');
+    const language = info ? this.text(info.from, info.to).trim().split(/\s+/)[0] : '';
+
+    let code;
+    if (node.name === 'FencedCode') {
+      const text = node.getChild('CodeText');
+      code = text ? this.text(text.from, text.to) : '';
+    } else {
+      // Indented code: strip up to four columns of indentation from every line
+      code = this.text(node.from, node.to).split('\n').map(line => line.replace(/^( {1,4}|\t)/, '')).join('\n');
+    }
+
+    const className = language ? ` class="language-${escapeHtml(language)}"` : '';
+    return this.block('pre', node, `<code${className}>${this.highlight(code, language)}</code>`);
+  }
+
+  /**
+   * Highlight code with a CodeMirror language, plain escaped text if it is not loaded
+   */
+  highlight(code, languageName) {
+    const language = languageName && this.options.codeLanguage ? this.options.codeLanguage(languageName) : null;
+    if (!language) {
+      return escapeHtml(code);
+    }
+
+    let html = '';
+    highlightCode(
+      code,
+      language.parser.parse(code),
+      classHighlighter,
+      (text, classes) => {
+        html += classes ? `<span class="${classes}">${escapeHtml(text)}</span>` : escapeHtml(text);
+      },
+      () => {
+        html += '\n';
+      }
+    );
+    return html;
+  }
+
+  renderTable(node) {
+    const row = (rowNode, cellTag) => {
+      const cells = rowNode.getChildren('TableCell')
+        .map(cell => `<${cellTag}>${this.renderInline(cell).trim()}</${cellTag}>`)
+        .join('');
+      return `<tr>${cells}</tr>`;
+    };
+
+    const header = node.getChild('TableHeader');
+    const rows = node.getChildren('TableRow');
+    const head = header ? `<thead>${row(header, 'th')}</thead>` : '';
+    const body = rows.length > 0 ? `<tbody>${rows.map(rowNode => row(rowNode, 'td')).join('')}</tbody>` : '';
+    return this.block('table', node, `${head}${body}`);
+  }
+
+  /**
+   * Render the inline content of a node, text between child nodes included
+   */
+  renderInline(node, from = node.from, to = node.to) {
+    const children = this.children(node).filter(child => child.to > from && child.from < to);
+    // The parser reads [[target]] as brackets around a reference link, wiki links replace those nodes
+    const links = this.findWikiLinks(from, to, children);
+    const items = [
+      ...children.filter(child => !links.some(link => child.from < link.to && child.to > link.from)),
+      ...links
+    ].sort((a, b) => a.from - b.from);
+
+    let html = '';
+    let position = from;
+    items.forEach(item => {
+      if (item.from > position) {
+        html += escapeHtml(this.text(position, item.from));
+      }
+      html += item.target !== undefined ? this.renderWikiLink(item) : this.renderInlineNode(item);
+      position = item.to;
+    });
+
+    if (position < to) {
+      html += escapeHtml(this.text(position, to));
+    }
+    return html;
+  }
+
+  findWikiLinks(from, to, children) {
+    const code = children.filter(child => child.name === 'InlineCode');
+    return [...this.text(from, to).matchAll(new RegExp(WIKI_LINK_PATTERN.source, 'g'))]
+      .map(match => ({
+        from: from + match.index,
+        to: from + match.index + match[0].length,
+        target: match[1].trim(),
+        label: match[2] ? match[2].trim() : match[1].trim()
+      }))
+      .filter(link => !code.some(child => child.from < link.to && child.to > link.from));
+  }
+
+  renderWikiLink({ target, label }) {
+    const missing = this.options.resolveWikiLink && !this.options.resolveWikiLink(target);
+    return `<a href="#" class="wikilink${missing ? ' wikilink-missing' : ''}" data-wikilink="${escapeHtml(target)}">${escapeHtml(label)}</a>`;
+  }
+
+  renderInlineNode(node) {
+    if (MARK_NODES.has(node.name)) {
+      return '';
+    }
+    if (INLINE_TAGS[node.name]) {
+      const tag = INLINE_TAGS[node.name];
+      return `<${tag}>${this.renderInline(node)}</${tag}>`;
+    }
+
+    switch (node.name) {
+      case 'InlineCode': {
+        const marks = node.getChildren('CodeMark');
+        const from = marks.length > 0 ? marks[0].to : node.from;
+        const to = marks.length > 1 ? marks[marks.length - 1].from : node.to;
+        return `<code>${escapeHtml(this.text(from, to).trim() || this.text(from, to))}</code>`;
+      }
+      case 'Link':
+      case 'Image':
+        return this.renderLink(node);
+      case 'Autolink': {
+        const url = node.getChild('URL');
+        return url ? this.renderUrl(this.text(url.from, url.to)) : escapeHtml(this.text(node.from, node.to));
+      }
+      case 'URL':
+        return this.renderUrl(this.text(node.from, node.to));
+      case 'Escape':
+        return escapeHtml(this.text(node.from + 1, node.to));
+      case 'Entity':
+      case 'HTMLTag':
+        return this.text(node.from, node.to);
+      case 'HardBreak':
+        return '<br>';
+      case 'Comment':
+        return '';
+      default:
+        return this.renderInline(node);
+    }
+  }
+
+  renderUrl(url) {
+    const href = /^[\w.+-]+@[\w-]+\.[\w.-]+$/.test(url) ? `mailto:${url}` : url;
+    return `<a href="${escapeHtml(this.resolveUrl(/^www\./.test(href) ? `https://${href}` : href))}">${escapeHtml(url)}</a>`;
+  }
+
+  renderLink(node) {
+    const marks = node.getChildren('LinkMark');
+    const labelFrom = marks.length > 0 ? marks[0].to : node.from;
+    const labelTo = marks.length > 1 ? marks[1].from : node.to;
+
+    let url = null;
+    let title = null;
+    const urlNode = node.getChild('URL');
+    if (urlNode) {
+      url = this.text(urlNode.from, urlNode.to).replace(/^<|>$/g, '');
+      title = this.linkTitle(node);
+    } else {
+      const label = node.getChild('LinkLabel');
+      const key = this.referenceKey(label ? this.text(label.from, label.to) : this.text(labelFrom, labelTo));
+      const reference = this.references.get(key);
+      if (!reference) {
+        return escapeHtml(this.text(node.from, node.to));
+      }
+      ({ url, title } = reference);
+    }
+
+    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+    const href = escapeHtml(this.resolveUrl(url));
+    if (node.name === 'Image') {
+      const alt = this.text(labelFrom, labelTo);
+      return `<img src="${href}" alt="${escapeHtml(alt)}"${titleAttribute}>`;
+    }
+    return `<a href="${href}"${titleAttribute}>${this.renderInline(node, labelFrom, labelTo)}</a>`;
+  }
+
+  resolveUrl(url) {
+    return this.options.resolveUrl ? this.options.resolveUrl(url) : url;
+  }
+
+  linkTitle(node) {
+    const title = node.getChild('LinkTitle');
+    return title ? this.text(title.from + 1, title.to - 1) : null;
+  }
+
+  referenceKey(label) {
+    return label.replace(/^\[|\]$/g, '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+}
+
+/**
+ * Convert markdown to HTML without sanitizing it
+ * @param {string} source - Markdown content, frontmatter is skipped
+ * @param {Object} options - Rendering options
+ * @param {Function} options.codeLanguage - Called with a fenced code info string, returns a
+ *   loaded CodeMirror Language to highlight with, or null for plain text
+ * @param {Function} options.resolveWikiLink - Called with a [[link]] target, returns falsy for missing documents
+ * @param {Function} options.resolveUrl - Called with link and image URLs, returns the URL to use
+ * @returns {string} HTML
+ */
+export function markdownToHtml(source, options = {}) {
+  const text = source || '';
+  const renderer = new HtmlRenderer(text, options);
+  return renderer.render(markdownLanguage.parser.parse(text), frontmatterEnd(text));
+}
+
+/**
+ * Render markdown to sanitized HTML that is safe to insert into the page
+ * Scripts, event handlers and javascript: URLs are removed.
+ * @param {string} source - Markdown content
+ * @param {Object} options - Rendering options (see markdownToHtml)
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(source, options = {}) {
+  return DOMPurify.sanitize(markdownToHtml(source, options), {
+    FORBID_TAGS: ['style', 'form'],
+    FORBID_ATTR: ['style'],
+    ALLOWED_URI_REGEXP
+  });
+}
@@ -0,0 +1,221 @@
+/**
+ * Merge utilities for resolving document conflicts
+ *
+ * Implements a diff3 style merge that works on any number of versions
+ * derived from a common ancestor: regions where every version agrees with
+ * the ancestor are stable, everything in between is a change that either
+ * merges cleanly (only one distinct edit) or becomes a conflict.
+ */
+import { matchLines, splitLines } from './diff.js';
+
+/**
+ * Check whether two line arrays are identical
+ * @param {Array<string>} a - First lines
+ * @param {Array<string>} b - Second lines
+ * @returns {boolean} True if equal
+ */
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Split a common ancestor and its derived versions into stable and changed chunks
+ * @param {string|Array<string>} base - Common ancestor text
+ * @param {Array<string|Array<string>>} versions - Derived versions
+ * @returns {Array<Object>} Chunks of { type: 'stable', lines } or
+ *   { type: 'change', base, versions } where versions holds the lines of every version
+ */
+export function mergeChunks(base, versions) {
+  const baseLines = splitLines(base);
+  const versionLines = versions.map(splitLines);
+  const matches = versionLines.map(lines => matchLines(baseLines, lines));
+  const chunks = [];
+
+  let b = 0;
+  let positions = versionLines.map(() => 0);
+
+  for (;;) {
+    // Extend the stable region while every version keeps matching the base
+    let length = 0;
+    while (b + length < baseLines.length &&
+           matches.every((match, i) => match[b + length] === positions[i] + length)) {
+      length++;
+    }
+    if (length > 0) {
+      chunks.push({ type: 'stable', lines: baseLines.slice(b, b + length) });
+      b += length;
+      positions = positions.map(position => position + length);
+    }
+
+    if (b >= baseLines.length && positions.every((position, i) => position >= versionLines[i].length)) {
+      break;
+    }
+
+    // The next base line present in every version ends the changed region
+    let next = b;
+    while (next < baseLines.length && !matches.every(match => match[next] !== -1)) {
+      next++;
+    }
+    const ends = next < baseLines.length
+      ? matches.map(match => match[next])
+      : versionLines.map(lines => lines.length);
+
+    chunks.push({
+      type: 'change',
+      base: baseLines.slice(b, next),
+      versions: versionLines.map((lines, i) => lines.slice(positions[i], ends[i]))
+    });
+    b = next;
+    positions = ends;
+  }
+
+  return chunks;
+}
+
+/**
+ * Resolve a changed chunk if all edits agree
+ * @param {Object} chunk - Changed chunk from mergeChunks
+ * @returns {Object} Object with { resolved: boolean, lines, variants } where variants lists
+ *   the indexes of versions holding each distinct edit
+ */
+export function resolveChunk(chunk) {
+  const variants = [];
+
+  chunk.versions.forEach((lines, index) => {
+    if (sameLines(lines, chunk.base)) return;
+
+    const variant = variants.find(item => sameLines(chunk.versions[item[0]], lines));
+    if (variant) {
+      variant.push(index);
+    } else {
+      variants.push([index]);
+    }
+  });
+
+  if (variants.length === 0) {
+    return { resolved: true, lines: chunk.base, variants };
+  }
+  if (variants.length === 1) {
+    return { resolved: true, lines: chunk.versions[variants[0][0]], variants };
+  }
+  return { resolved: false, lines: null, variants };
+}
+
+/**
+ * Compute the lines shared by several texts, in order
+ * Used as a stand-in ancestor when the real one is no longer available.
+ * @param {Array<string|Array<string>>} versions - Texts to intersect
+ * @returns {Array<string>} Common lines
+ */
+export function commonLines(versions) {
+  return versions.map(splitLines).reduce((common, lines) => {
+    const matches = matchLines(common, lines);
+    return common.filter((line, i) => matches[i] !== -1);
+  });
+}
+
+/**
+ * Merge several versions of a text derived from a common ancestor
+ * @param {string|null} base - Common ancestor text, or null if unknown
+ * @param {Array<string>} versions - Versions to merge, the first one is preferred
+ * @param {Object} options - Merge options
+ * @param {Array<string>} options.labels - Label for every version, used in conflict markers
+ * @returns {Object} Object with { content, conflicts } where conflicts is the number of
+ *   regions wrapped in conflict markers
+ */
+export function mergeText(base, versions, { labels = [] } = {}) {
+  const texts = versions.map(version => version || '');
+  if (texts.every(text => text === texts[0])) {
+    return { content: texts[0], conflicts: 0 };
+  }
+
+  // Without an ancestor, treat the lines all versions share as the base so
+  // that text added on either side is kept rather than guessed away
+  const baseText = base === null || base === undefined ? commonLines(texts) : base;
+  const lines = [];
+  let conflicts = 0;
+
+  mergeChunks(baseText, texts).forEach(chunk => {
+    if (chunk.type === 'stable') {
+      lines.push(...chunk.lines);
+      return;
+    }
+
+    const resolution = resolveChunk(chunk);
+    if (resolution.resolved) {
+      lines.push(...resolution.lines);
+      return;
+    }
+
+    conflicts++;
+    resolution.variants.forEach((variant, index) => {
+      const label = variant.map(i => labels[i] || `Version ${i + 1}`).join(', ');
+      if (index === 0) {
+        lines.push(`<<<<<<< ${label}`);
+      } else {
+        lines.push(index === resolution.variants.length - 1 ? '=======' : `======= ${label}`);
+      }
+      lines.push(...chunk.versions[variant[0]]);
+      if (index === resolution.variants.length - 1) {
+        lines.push(`>>>>>>> ${label}`);
+      }
+    });
+  });
+
+  return { content: lines.join('\n'), conflicts };
+}
+
+/**
+ * Compare two field values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Merge flat objects key by key against their common ancestor
+ * Keys from every version are kept; a key changed (or removed) on one side only
+ * takes that change, and a key changed differently on several sides keeps the
+ * value of the first version and is reported as a conflict.
+ * @param {Object|null} base - Common ancestor object, or null if unknown
+ * @param {Array<Object>} versions - Versions to merge, the first one is preferred
+ * @returns {Object} Object with { merged, conflicts } where every conflict is
+ *   { key, base, values } with one value per version (undefined when absent)
+ */
+export function mergeFields(base, versions) {
+  const baseObject = base || {};
+  const objects = versions.map(version => version || {});
+  const keys = [];
+  [...objects, baseObject].forEach(object => {
+    Object.keys(object).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+
+  const merged = {};
+  const conflicts = [];
+
+  keys.forEach(key => {
+    const baseValue = baseObject[key];
+    const values = objects.map(object => object[key]);
+    const changed = [];
+    values.forEach(value => {
+      if (!sameValue(value, baseValue) && !changed.some(item => sameValue(item, value))) {
+        changed.push(value);
+      }
+    });
+
+    let value = baseValue;
+    if (changed.length === 1) {
+      value = changed[0];
+    } else if (changed.length > 1) {
+      value = values[0];
+      conflicts.push({ key, base: baseValue, values });
+    }
+
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+
+  return { merged, conflicts };
+}
@@ -0,0 +1,276 @@
+/**
+ * Frontmatter schemas
+ *
+ * A schema is a document whose frontmatter has a "schema" key:
+ *
+ *   schema: Meeting notes
+ *   appliesTo:
+ *     folder: meetings   # documents in this folder and its subfolders
+ *     type: meeting      # documents with "type: meeting" in their frontmatter
+ *   additionalFields: false
+ *   fields:
+ *     date: {type: date, required: true}
+ *     status: {type: string, values: [planned, done]}
+ *     attendees: {type: list, items: string}
+ *
+ * Without appliesTo a schema applies to every document. A document is checked
+ * against all schemas that apply to it: a field is unknown when none of them
+ * declares it, and required when any of them requires it.
+ */
+import { isInFolder, normalizeFolderPath } from './folders.js';
+
+// Types a field can be declared with
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'list', 'map', 'any'];
+
+// Frontmatter keys the app itself reads, allowed in every document
+const RESERVED_FIELDS = ['tags', 'conflictPolicy'];
+
+const FIELD_OPTIONS = ['type', 'required', 'values', 'items', 'description'];
+
+// Dates as written in YAML, with an optional time
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:?\d{2})?)?$/;
+
+const isMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check whether a value has a field type
+ * @param {*} value - Frontmatter value
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'date': return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value.slice(0, 10)));
+    case 'list': return Array.isArray(value);
+    case 'map': return isMap(value);
+    default: return true;
+  }
+}
+
+/**
+ * Describe a value's type for messages
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'object') return 'map';
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) return 'date';
+  return typeof value;
+}
+
+const formatValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Check whether a document declares a schema
+ * @param {Object} doc - Document with frontmatter
+ * @returns {boolean} True for schema documents
+ */
+export function isSchemaDocument(doc) {
+  return Boolean(doc && isMap(doc.frontmatter) && doc.frontmatter.schema !== undefined);
+}
+
+/**
+ * Read the schema declared by a schema document
+ * @param {Object} doc - Schema document with frontmatter
+ * @returns {Object} Schema with { id, name, appliesTo: { folder, type }, additionalFields,
+ *   fields, errors } where fields maps names to { type, required, values, items } and
+ *   errors lists { key, message } for parts of the declaration that were ignored
+ */
+export function parseSchema(doc) {
+  const frontmatter = doc.frontmatter || {};
+  const id = doc._id || doc.id;
+  const errors = [];
+  const schema = {
+    id,
+    name: typeof frontmatter.schema === 'string' && frontmatter.schema.trim() ? frontmatter.schema.trim() : (doc.title || id),
+    appliesTo: {},
+    additionalFields: frontmatter.additionalFields === true,
+    fields: {},
+    errors
+  };
+
+  if ('additionalFields' in frontmatter && typeof frontmatter.additionalFields !== 'boolean') {
+    errors.push({ key: 'additionalFields', message: 'additionalFields must be true or false' });
+  }
+
+  const { appliesTo } = frontmatter;
+  if (isMap(appliesTo)) {
+    Object.entries(appliesTo).forEach(([key, value]) => {
+      if (key === 'folder' && typeof value === 'string') {
+        schema.appliesTo.folder = normalizeFolderPath(value);
+      } else if (key === 'type' && typeof value === 'string') {
+        schema.appliesTo.type = value;
+      } else {
+        errors.push({ key: 'appliesTo', message: `appliesTo.${key} must be a folder or type name` });
+      }
+    });
+  } else if (appliesTo !== undefined && appliesTo !== null) {
+    errors.push({ key: 'appliesTo', message: 'appliesTo must map "folder" and/or "type" to a name' });
+  }
+
+  const { fields } = frontmatter;
+  if (fields !== undefined && fields !== null && !isMap(fields)) {
+    errors.push({ key: 'fields', message: 'fields must map field names to types' });
+  }
+
+  Object.entries(isMap(fields) ? fields : {}).forEach(([name, definition]) => {
+    // "date: date" is short for "date: {type: date}"
+    const field = typeof definition === 'string' ? { type: definition } : definition;
+    if (!isMap(field)) {
+      errors.push({ key: 'fields', message: `fields.${name} must be a type or a map with a type` });
+      return;
+    }
+
+    const type = field.type === undefined ? 'any' : field.type;
+    if (!FIELD_TYPES.includes(type)) {
+      errors.push({ key: 'fields', message: `fields.${name}: unknown type ${formatValue(type)}, use one of: ${FIELD_TYPES.join(', ')}` });
+      return;
+    }
+    Object.keys(field)
+      .filter(option => !FIELD_OPTIONS.includes(option))
+      .forEach(option => errors.push({ key: 'fields', message: `fields.${name}: unknown option "${option}"` }));
+    if (field.values !== undefined && !Array.isArray(field.values)) {
+      errors.push({ key: 'fields', message: `fields.${name}.values must be a list` });
+    }
+    if (field.items !== undefined && !FIELD_TYPES.includes(field.items)) {
+      errors.push({ key: 'fields', message: `fields.${name}.items: unknown type ${formatValue(field.items)}` });
+    }
+
+    schema.fields[name] = {
+      type,
+      required: field.required === true,
+      values: Array.isArray(field.values) ? field.values : null,
+      items: FIELD_TYPES.includes(field.items) ? field.items : null
+    };
+  });
+
+  return schema;
+}
+
+/**
+ * Read the schemas declared by a list of documents
+ * @param {Array<Object>} documents - Documents with frontmatter
+ * @returns {Array<Object>} Schemas (see parseSchema)
+ */
+export function findSchemas(documents) {
+  return documents.filter(isSchemaDocument).map(parseSchema);
+}
+
+/**
+ * Get the schemas that apply to a document
+ * @param {Object} doc - Document with folder and frontmatter
+ * @param {Array<Object>} schemas - All schemas
+ * @returns {Array<Object>} Schemas whose appliesTo matches the document
+ */
+export function schemasForDocument(doc, schemas) {
+  if (isSchemaDocument(doc)) {
+    return [];
+  }
+  const frontmatter = doc.frontmatter || {};
+  return schemas.filter(({ appliesTo }) => (
+    (appliesTo.folder === undefined || isInFolder(doc.folder || '', appliesTo.folder))
+    && (appliesTo.type === undefined || frontmatter.type === appliesTo.type)
+  ));
+}
+
+/**
+ * Check a field value against its declaration
+ * @returns {string|null} Problem description, or null if the value is fine
+ */
+function checkField(name, value, field) {
+  // Empty values count as missing, which only matters for required fields
+  if (value === null) {
+    return null;
+  }
+  if (!matchesType(value, field.type)) {
+    return `"${name}" must be a ${field.type}, not a ${typeOf(value)}`;
+  }
+
+  const items = Array.isArray(value) ? value : [value];
+  if (field.items && Array.isArray(value)) {
+    const wrong = value.find(item => !matchesType(item, field.items));
+    if (wrong !== undefined) {
+      return `"${name}" must only contain ${field.items} values, not ${formatValue(wrong)}`;
+    }
+  }
+  if (field.values) {
+    const invalid = items.find(item => !field.values.some(allowed => JSON.stringify(allowed) === JSON.stringify(item)));
+    if (invalid !== undefined) {
+      return `"${name}" must be one of: ${field.values.map(formatValue).join(', ')} (not ${formatValue(invalid)})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check frontmatter against schemas
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {Array<Object>} schemas - Schemas that apply to the document
+ * @returns {Array<Object>} Problems with { key, kind, severity, message }, where kind is
+ *   "type", "value", "missing" or "unknown" and key is the frontmatter key concerned
+ */
+export function validateFrontmatter(frontmatter, schemas) {
+  const problems = [];
+  if (schemas.length === 0) {
+    return problems;
+  }
+
+  const values = frontmatter || {};
+  const allowsAdditional = schemas.some(schema => schema.additionalFields);
+  const typeKeys = schemas.some(schema => schema.appliesTo.type !== undefined) ? ['type'] : [];
+
+  Object.entries(values).forEach(([name, value]) => {
+    const declarations = schemas.filter(schema => schema.fields[name]);
+    if (declarations.length === 0) {
+      if (!allowsAdditional && !RESERVED_FIELDS.includes(name) && !typeKeys.includes(name)) {
+        problems.push({
+          key: name,
+          kind: 'unknown',
+          severity: 'warning',
+          message: `Unknown field "${name}", not declared by ${schemas.map(schema => `schema "${schema.name}"`).join(' or ')}`
+        });
+      }
+      return;
+    }
+
+    declarations.forEach(schema => {
+      const message = checkField(name, value, schema.fields[name]);
+      if (message) {
+        const kind = matchesType(value, schema.fields[name].type) ? 'value' : 'type';
+        problems.push({ key: name, kind, severity: 'error', message: `${message} (schema "${schema.name}")` });
+      }
+    });
+  });
+
+  schemas.forEach(schema => {
+    Object.entries(schema.fields)
+      .filter(([name, field]) => field.required && (values[name] === undefined || values[name] === null))
+      .forEach(([name]) => {
+        problems.push({
+          key: name,
+          kind: 'missing',
+          severity: 'error',
+          message: `Missing required field "${name}" (schema "${schema.name}")`
+        });
+      });
+  });
+
+  return problems;
+}
+
+/**
+ * Check a document: schema documents against the rules for declaring schemas,
+ * other documents against the schemas that apply to them
+ * @param {Object} doc - Document with folder and frontmatter
+ * @param {Array<Object>} schemas - All schemas
+ * @returns {Array<Object>} Problems (see validateFrontmatter)
+ */
+export function validateDocument(doc, schemas) {
+  if (isSchemaDocument(doc)) {
+    return parseSchema(doc).errors.map(error => ({ ...error, kind: 'schema', severity: 'error' }));
+  }
+  return validateFrontmatter(doc.frontmatter, schemasForDocument(doc, schemas));
+}
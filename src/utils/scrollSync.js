@@ -0,0 +1,96 @@
+/**
+ * Scroll syncing between the editor and the markdown preview
+ *
+ * The preview marks its block elements with data-line (the 1-based source
+ * line they start on). Positions between two marked blocks are interpolated,
+ * so long paragraphs and code blocks scroll smoothly.
+ */
+
+/**
+ * Get the marked blocks of a preview with their offsets, in document order
+ * @param {HTMLElement} container - Scrolling preview element
+ * @returns {Array<Object>} Blocks with { line, top }
+ */
+const lineBlocks = (container) => {
+  const containerTop = container.getBoundingClientRect().top - container.scrollTop;
+  const blocks = [];
+
+  container.querySelectorAll('[data-line]').forEach(element => {
+    const line = parseInt(element.dataset.line, 10);
+    const top = element.getBoundingClientRect().top - containerTop;
+    // Nested blocks share lines with their parents, keep lines increasing
+    if (blocks.length > 0 && line <= blocks[blocks.length - 1].line) return;
+    blocks.push({ line, top });
+  });
+
+  return blocks;
+};
+
+/**
+ * Find the source line shown at the top of the preview
+ * @param {HTMLElement} container - Scrolling preview element
+ * @returns {number} 1-based line, possibly fractional
+ */
+export function previewLineAtTop(container) {
+  const blocks = lineBlocks(container);
+  const scrollTop = container.scrollTop;
+  if (blocks.length === 0) return 1;
+
+  let index = blocks.findIndex(block => block.top > scrollTop);
+  if (index === -1) index = blocks.length;
+  if (index === 0) return blocks[0].line;
+
+  const previous = blocks[index - 1];
+  const next = blocks[index];
+  if (!next) return previous.line;
+
+  const progress = (scrollTop - previous.top) / Math.max(1, next.top - previous.top);
+  return previous.line + progress * (next.line - previous.line);
+}
+
+/**
+ * Scroll the preview so a source line is at the top
+ * @param {HTMLElement} container - Scrolling preview element
+ * @param {number} line - 1-based line, possibly fractional
+ */
+export function scrollPreviewToLine(container, line) {
+  const blocks = lineBlocks(container);
+  if (blocks.length === 0) return;
+
+  let index = blocks.findIndex(block => block.line > line);
+  if (index === -1) index = blocks.length;
+  if (index === 0) {
+    container.scrollTop = 0;
+    return;
+  }
+
+  const previous = blocks[index - 1];
+  const next = blocks[index];
+  const bottom = next ? next.top : container.scrollHeight;
+  const nextLine = next ? next.line : previous.line + 1;
+  const progress = Math.min(1, (line - previous.line) / Math.max(1, nextLine - previous.line));
+  container.scrollTop = previous.top + progress * (bottom - previous.top);
+}
+
+/**
+ * Find the source line shown at the top of the editor
+ * @param {EditorView} view - CodeMirror view
+ * @returns {number} 1-based line, possibly fractional
+ */
+export function editorLineAtTop(view) {
+  const scrollTop = view.scrollDOM.scrollTop;
+  const block = view.lineBlockAtHeight(scrollTop);
+  const line = view.state.doc.lineAt(block.from).number;
+  return line + Math.max(0, Math.min(1, (scrollTop - block.top) / Math.max(1, block.height)));
+}
+
+/**
+ * Scroll the editor so a source line is at the top
+ * @param {EditorView} view - CodeMirror view
+ * @param {number} line - 1-based line, possibly fractional
+ */
+export function scrollEditorToLine(view, line) {
+  const number = Math.min(view.state.doc.lines, Math.max(1, Math.floor(line)));
+  const block = view.lineBlockAt(view.state.doc.line(number).from);
+  view.scrollDOM.scrollTop = block.top + (line - number) * block.height;
+}
@@ -0,0 +1,195 @@
+/**
+ * Sync filter utilities
+ *
+ * A sync filter chooses which documents replicate in one direction. It is
+ * written either as a Mango selector in JSON or as space separated terms:
+ *
+ *   folder:shared     documents in "shared" and its subfolders
+ *   tag:work          documents with "work" in their frontmatter tags
+ *   status:draft      documents whose frontmatter "status" is "draft"
+ *   -tag:private      documents that do not match the term
+ *
+ * Terms with the same key match any of their values, different keys must all
+ * match. Values with spaces are quoted: folder:"Work notes".
+ */
+import { normalizeFolderPath } from './folders.js';
+
+// Document type of folder records, which refer to their folder by path
+const FOLDER_TYPE = 'folder';
+
+// Term: optional "-", a key, ":" and a value that is quoted or ends at whitespace
+const TERM_PATTERN = /(-?)([\p{L}\p{N}_-]+):(?:"([^"]*)"|(\S+))/gu;
+
+/**
+ * Escape text for use in a $regex
+ * @param {string} text - Literal text
+ * @returns {string} Regular expression source matching the text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Selector for a folder and its subfolders, matching folder records too
+ * @param {string} folder - Folder path
+ * @returns {Object} Mango selector
+ */
+function folderSelector(folder) {
+  const path = normalizeFolderPath(folder);
+  const inFolder = (field) => [{ [field]: path }, { [field]: { $regex: `^${escapeRegex(path)}/` } }];
+  return {
+    $or: [
+      ...inFolder('folder'),
+      ...inFolder('path').map(selector => ({ type: FOLDER_TYPE, ...selector }))
+    ]
+  };
+}
+
+/**
+ * Selector for a frontmatter tag, written as a list or as a "a, b" string
+ * @param {string} tag - Tag with or without "#"
+ * @returns {Object} Mango selector
+ */
+function tagSelector(tag) {
+  const name = tag.replace(/^#+/, '');
+  return {
+    $or: [
+      { 'frontmatter.tags': { $elemMatch: { $eq: name } } },
+      { 'frontmatter.tags': { $regex: `(^|[\\s,\\["'#])${escapeRegex(name)}($|[\\s,\\]"'])` } }
+    ]
+  };
+}
+
+/**
+ * Selector for a frontmatter value, matching numbers and booleans written as text
+ * @param {string} key - Frontmatter key
+ * @param {string} value - Value as typed
+ * @returns {Object} Mango selector
+ */
+function frontmatterSelector(key, value) {
+  const values = [value];
+  if (value === 'true' || value === 'false') {
+    values.push(value === 'true');
+  } else if (value.trim() !== '' && !isNaN(value)) {
+    values.push(Number(value));
+  }
+  return { [`frontmatter.${key}`]: values.length > 1 ? { $in: values } : value };
+}
+
+/**
+ * Build the selector of one term
+ * @param {string} key - Term key
+ * @param {string} value - Term value
+ * @returns {Object} Mango selector
+ */
+function termSelector(key, value) {
+  if (key === 'folder') {
+    return folderSelector(value);
+  }
+  if (key === 'tag') {
+    return tagSelector(value);
+  }
+  return frontmatterSelector(key, value);
+}
+
+/**
+ * Parse a sync filter
+ * @param {string} text - Filter as terms or as a JSON Mango selector, '' for none
+ * @returns {Object|null} Mango selector, null when every document syncs
+ */
+export function parseSyncFilter(text) {
+  const filter = String(text || '').trim();
+  if (!filter) {
+    return null;
+  }
+
+  if (filter.startsWith('{')) {
+    let selector;
+    try {
+      selector = JSON.parse(filter);
+    } catch (error) {
+      throw new Error(`Sync filter is not valid JSON: ${error.message}`);
+    }
+    if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+      throw new Error('Sync filter selectors must be JSON objects');
+    }
+    return selector;
+  }
+
+  const included = new Map(); // key -> selectors, any of which matches
+  const excluded = [];
+  const unmatched = filter.replace(TERM_PATTERN, (match, negated, key, quoted, plain) => {
+    const selector = termSelector(key, quoted ?? plain);
+    if (negated) {
+      excluded.push(selector);
+    } else {
+      included.set(key, [...(included.get(key) || []), selector]);
+    }
+    return '';
+  }).trim();
+
+  if (unmatched) {
+    throw new Error(`Sync filter terms must look like "folder:name", "tag:name" or "key:value", not "${unmatched.split(/\s+/)[0]}"`);
+  }
+
+  const selectors = [...included.values()].map(any => (any.length === 1 ? any[0] : { $or: any }));
+  if (excluded.length > 0) {
+    selectors.push({ $nor: excluded });
+  }
+  return selectors.length === 1 ? selectors[0] : { $and: selectors };
+}
+
+/**
+ * Check a sync filter
+ * @param {string} text - Filter as written in the settings
+ * @returns {string|null} Problem description, or null if the filter can be used
+ */
+export function checkSyncFilter(text) {
+  if (typeof text !== 'string') {
+    return 'Sync filters must be text';
+  }
+  try {
+    parseSyncFilter(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Build the selector a replication uses
+ * Deletions always replicate so documents removed on one device disappear
+ * everywhere, except tombstones marked "evicted" which only remove a document
+ * from one side (see SyncService.applySyncFilters).
+ * @param {Object|null} selector - Selector from parseSyncFilter
+ * @returns {Object} Mango selector
+ */
+export function replicationSelector(selector) {
+  const notEvicted = { evicted: { $exists: false } };
+  return selector
+    ? { $and: [notEvicted, { $or: [{ _deleted: true }, selector] }] }
+    : notEvicted;
+}
+
+/**
+ * List the top-level document fields a selector reads
+ * @param {Object|Array} selector - Mango selector
+ * @returns {Array<string>} Field names, "frontmatter" for "frontmatter.tags"
+ */
+export function selectorFields(selector) {
+  const fields = new Set();
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, nested]) => {
+        // Conditions on a field ($regex, $elemMatch...) name no further document fields
+        if (key.startsWith('$')) {
+          visit(nested);
+        } else {
+          fields.add(key.split('.')[0]);
+        }
+      });
+    }
+  };
+  visit(selector);
+  return [...fields];
+}
@@ -0,0 +1,151 @@
+/**
+ * Sync remote utilities
+ *
+ * Besides the primary CouchDB (couchdbUrl), documents can replicate to more
+ * remotes listed in the syncRemotes setting, e.g. a backup server:
+ *
+ *   { "name": "backup", "url": "https://backup.example.com/commad",
+ *     "username": "me", "direction": "push", "mode": "periodic", "enabled": true }
+ *
+ * Passwords are not part of the list, they are kept in SecretStore under
+ * remotePasswordKey(name).
+ */
+
+// Name of the remote configured by couchdbUrl, couchdbUsername and couchdbPassword
+export const PRIMARY_REMOTE = 'primary';
+
+// Which way documents replicate: both ways, only to the remote or only from it
+export const SYNC_DIRECTIONS = ['both', 'push', 'pull'];
+
+// Continuous replication, or one replication every syncInterval
+export const SYNC_MODES = ['live', 'periodic'];
+
+// Remote names end up in log messages, console commands and secret names
+const REMOTE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Fill in the defaults of a remote from the syncRemotes setting
+ * @param {Object} remote - Remote with at least name and url
+ * @returns {Object} Remote with { name, url, username, direction, mode, enabled }
+ */
+export function normalizeRemote(remote) {
+  return {
+    name: remote.name,
+    url: remote.url,
+    username: remote.username || '',
+    direction: remote.direction || 'both',
+    mode: remote.mode || 'live',
+    enabled: remote.enabled !== false
+  };
+}
+
+/**
+ * Get the SecretStore name of a remote's password
+ * @param {string} name - Remote name
+ * @returns {string} Secret name, couchdbPassword for the primary remote
+ */
+export function remotePasswordKey(name) {
+  return name === PRIMARY_REMOTE ? 'couchdbPassword' : `syncRemotes.${name}.password`;
+}
+
+/**
+ * Check whether a URL can be used for a remote database
+ * @param {string} url - URL
+ * @returns {boolean} True for relative paths and http(s) URLs
+ */
+function isRemoteUrl(url) {
+  if (url.startsWith('/')) {
+    return true;
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the host whose cookies hold a remote's CouchDB session
+ * Browsers keep cookies per host whatever the port, so remotes on one host share the AuthSession cookie.
+ * @param {string} url - Remote URL, relative paths are on the app's host
+ * @returns {string|null} Host name, null for an invalid URL
+ */
+function cookieHost(url) {
+  try {
+    return new URL(url, window.location.href).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a remote does not log in to the same server as another user
+ * Each login would replace the other remote's session cookie, so they would keep logging each other out.
+ * @param {Object} remote - Remote from syncRemotes with name, url, username and enabled
+ * @param {Array<Object>} others - Remotes it must not conflict with, the remote itself is skipped
+ * @returns {string|null} Error message, or null if the remote can keep its own session
+ */
+export function checkSessionConflict(remote, others) {
+  if (!remote.username || remote.enabled === false) {
+    return null;
+  }
+  const host = cookieHost(remote.url);
+  const conflict = others.find(other => (
+    other.name !== remote.name && other.enabled !== false && other.url && other.username &&
+    other.username !== remote.username && cookieHost(other.url) === host
+  ));
+  if (!conflict) {
+    return null;
+  }
+  const other = conflict.name === PRIMARY_REMOTE ? 'couchdbUrl' : `remote "${conflict.name}"`;
+  return `Remote "${remote.name}" logs in to ${host} as ${remote.username}, but ${other} logs in there as ${conflict.username}; the browser keeps one session per server, so use the same user for both`;
+}
+
+/**
+ * Check the syncRemotes setting
+ * @param {*} remotes - Setting value
+ * @param {Object} [primary] - Primary remote with url and username, to check sessions against
+ * @returns {string|null} Error message, or null if the list is valid
+ */
+export function checkSyncRemotes(remotes, primary = null) {
+  if (!Array.isArray(remotes)) {
+    return 'syncRemotes must be a list of remotes in JSON, e.g. [{"name": "backup", "url": "https://backup.example.com/commad"}]';
+  }
+  const names = new Set();
+  for (const remote of remotes) {
+    if (!remote || typeof remote !== 'object') {
+      return 'Each remote in syncRemotes must be an object with a name and url';
+    }
+    if (typeof remote.name !== 'string' || !REMOTE_NAME_PATTERN.test(remote.name)) {
+      return `Remote name "${remote.name}" must use lowercase letters, digits and dashes`;
+    }
+    if (remote.name === PRIMARY_REMOTE || names.has(remote.name)) {
+      return `Remote name "${remote.name}" is already used`;
+    }
+    names.add(remote.name);
+    if (typeof remote.url !== 'string' || !isRemoteUrl(remote.url)) {
+      return `Remote "${remote.name}" needs an HTTP or HTTPS url`;
+    }
+    if ('direction' in remote && !SYNC_DIRECTIONS.includes(remote.direction)) {
+      return `Remote "${remote.name}": direction must be one of ${SYNC_DIRECTIONS.join(', ')}`;
+    }
+    if ('mode' in remote && !SYNC_MODES.includes(remote.mode)) {
+      return `Remote "${remote.name}": mode must be one of ${SYNC_MODES.join(', ')}`;
+    }
+    if ('enabled' in remote && typeof remote.enabled !== 'boolean') {
+      return `Remote "${remote.name}": enabled must be true or false`;
+    }
+    if ('password' in remote) {
+      return `Remote "${remote.name}": set its password with commad.sync.setRemotePassword("${remote.name}", "password")`;
+    }
+  }
+
+  const others = primary && primary.url ? [{ ...primary, name: PRIMARY_REMOTE }, ...remotes] : remotes;
+  for (const remote of remotes) {
+    const error = checkSessionConflict(remote, others);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
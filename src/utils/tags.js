@@ -0,0 +1,208 @@
+/**
+ * Tag utilities
+ *
+ * Documents are tagged through a "tags" frontmatter key (a list or a comma or
+ * space separated string) and through inline #hashtags in the body. Tags are
+ * compared case-insensitively and stored without the leading "#".
+ */
+import { forEachProseLine } from './markdown.js';
+
+// Inline hashtag preceded by start of line or a character that cannot be part of a word or URL
+const INLINE_TAG_PATTERN = /(^|[^\p{L}\p{N}_&#/\\])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+
+// A valid tag contains at least one letter, so "#1" or "#2024" are not tags
+const TAG_LETTER = /\p{L}/u;
+
+/**
+ * Normalize a tag for comparison and indexing
+ * @param {string} tag - Tag with or without leading "#"
+ * @returns {string} Lowercase tag without "#", '' if it is not a valid tag
+ */
+export function normalizeTag(tag) {
+  const normalized = String(tag || '').trim().replace(/^#+/, '').toLowerCase();
+  if (!normalized || !TAG_LETTER.test(normalized) || !/^[\p{L}\p{N}_][\p{L}\p{N}_/-]*$/u.test(normalized)) {
+    return '';
+  }
+  return normalized;
+}
+
+/**
+ * Parse the value of a "tags" frontmatter key
+ * @param {*} value - Array of tags, or a string like "a, b", "a b" or "[a, b]"
+ * @returns {Array<string>} Tags as written, without quotes or "#"
+ */
+export function parseTagList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim().replace(/^#+/, '')).filter(Boolean);
+  }
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  return value
+    .trim()
+    .replace(/^\[|\]$/g, '')
+    .split(/[,\s]+/)
+    .map(item => item.replace(/^["']|["']$/g, '').replace(/^#+/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Find inline hashtags in markdown, skipping code blocks and inline code
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} Matches with { tag, line, from, to } where line is 0-based and
+ *   from/to are column offsets of the hashtag including "#"
+ */
+export function findInlineTags(content) {
+  const matches = [];
+
+  forEachProseLine(content, (line, lineIndex) => {
+    for (const match of line.matchAll(INLINE_TAG_PATTERN)) {
+      // Trailing "-" or "/" belong to the sentence, not the tag
+      const raw = match[2].replace(/[/-]+$/, '');
+      const tag = normalizeTag(raw);
+      if (!tag) continue;
+      const from = match.index + match[1].length;
+      matches.push({ tag, line: lineIndex, from, to: from + 1 + raw.length });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Collect the tags of a document
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} content - Body without frontmatter
+ * @returns {Array<string>} Unique normalized tags, frontmatter tags first
+ */
+export function extractTags(frontmatter, content) {
+  const tags = new Set();
+  parseTagList(frontmatter && frontmatter.tags).forEach(tag => {
+    const normalized = normalizeTag(tag);
+    if (normalized) tags.add(normalized);
+  });
+  findInlineTags(content).forEach(({ tag }) => tags.add(tag));
+  return [...tags];
+}
+
+/**
+ * Rename inline hashtags in markdown
+ * @param {string} content - Markdown content
+ * @param {string} from - Normalized tag to rename
+ * @param {string} to - Normalized new tag
+ * @returns {string} Content with renamed hashtags
+ */
+export function renameTagInContent(content, from, to) {
+  const matches = findInlineTags(content).filter(match => match.tag === from);
+  if (matches.length === 0) {
+    return content;
+  }
+
+  const lines = content.split('\n');
+  // Replace from the end of each line so earlier offsets stay valid
+  [...matches].reverse().forEach(({ line, from: start, to: end }) => {
+    lines[line] = `${lines[line].slice(0, start)}#${to}${lines[line].slice(end)}`;
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Rename a tag in the "tags" frontmatter key, keeping the way the list is written
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} from - Normalized tag to rename
+ * @param {string} to - Normalized new tag
+ * @returns {Object} Frontmatter with the renamed tag (the same object if unchanged)
+ */
+export function renameTagInFrontmatter(frontmatter, from, to) {
+  if (!frontmatter || frontmatter.tags === undefined) {
+    return frontmatter;
+  }
+
+  const tags = parseTagList(frontmatter.tags);
+  if (!tags.some(tag => normalizeTag(tag) === from)) {
+    return frontmatter;
+  }
+
+  const renamed = [];
+  tags.forEach(tag => {
+    const next = normalizeTag(tag) === from ? to : tag;
+    if (!renamed.some(item => normalizeTag(item) === normalizeTag(next))) {
+      renamed.push(next);
+    }
+  });
+
+  let value = renamed;
+  if (typeof frontmatter.tags === 'string') {
+    const written = frontmatter.tags.trim();
+    if (written.startsWith('[')) {
+      value = `[${renamed.join(', ')}]`;
+    } else {
+      value = renamed.join(written.includes(',') ? ', ' : ' ');
+    }
+  }
+
+  return { ...frontmatter, tags: value };
+}
+
+/**
+ * Remove a tag from the "tags" frontmatter key, keeping the way the list is written
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} tag - Normalized tag to remove
+ * @returns {Object} Frontmatter without the tag, without "tags" if it was the only one
+ *   (the same object if unchanged)
+ */
+export function removeTagFromFrontmatter(frontmatter, tag) {
+  if (!frontmatter || frontmatter.tags === undefined) {
+    return frontmatter;
+  }
+
+  const tags = parseTagList(frontmatter.tags);
+  const remaining = tags.filter(item => normalizeTag(item) !== tag);
+  if (remaining.length === tags.length) {
+    return frontmatter;
+  }
+
+  const { tags: _tags, ...rest } = frontmatter;
+  if (remaining.length === 0) {
+    return rest;
+  }
+
+  let value = remaining;
+  if (typeof frontmatter.tags === 'string') {
+    const written = frontmatter.tags.trim();
+    if (written.startsWith('[')) {
+      value = `[${remaining.join(', ')}]`;
+    } else {
+      value = remaining.join(written.includes(',') ? ', ' : ' ');
+    }
+  }
+
+  return { ...frontmatter, tags: value };
+}
+
+/**
+ * Remove inline hashtags from markdown, with the space before them
+ * @param {string} content - Markdown content
+ * @param {string} tag - Normalized tag to remove
+ * @returns {string} Content without the hashtags
+ */
+export function removeTagFromContent(content, tag) {
+  const matches = findInlineTags(content).filter(match => match.tag === tag);
+  if (matches.length === 0) {
+    return content;
+  }
+
+  const lines = content.split('\n');
+  // Remove from the end of each line so earlier offsets stay valid
+  [...matches].reverse().forEach(({ line, from: start, to: end }) => {
+    const before = lines[line].slice(0, start);
+    const after = lines[line].slice(end);
+    if (before === '') {
+      lines[line] = after.replace(/^[ \t]+/, '');
+    } else {
+      lines[line] = (after === '' || /^\s/.test(after) ? before.replace(/[ \t]+$/, '') : before) + after;
+    }
+  });
+  return lines.join('\n');
+}
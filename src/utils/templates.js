@@ -0,0 +1,145 @@
+/**
+ * Document templates
+ *
+ * Documents in the "templates" folder (or its subfolders) and documents tagged
+ * #template are offered when creating a document. Their text is copied with
+ * these variables replaced:
+ *
+ *   {{title}}              title of the new document
+ *   {{date}}               current date as YYYY-MM-DD, {{date:D MMMM YYYY}} for other formats
+ *   {{time}}               current time as HH:mm, {{time:HH:mm:ss}} for other formats
+ *   {{cursor}}             where the cursor is placed in the new document
+ *
+ * In the frontmatter, values are filled in after the YAML is parsed and written
+ * back as YAML strings, so a title such as "Meeting: Q3 #2" stays intact.
+ * The #template tag itself is not copied, so new documents are not templates.
+ */
+import { isInFolder, normalizeFolderPath } from './folders.js';
+import { extractTags, removeTagFromContent, removeTagFromFrontmatter } from './tags.js';
+import { parseFrontmatter, reconstructWithFrontmatter } from './frontmatter.js';
+
+export const TEMPLATES_FOLDER = 'templates';
+export const TEMPLATE_TAG = 'template';
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g;
+
+// Date format tokens, longest first so "MMMM" is not read as "MM" twice
+const DATE_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g;
+
+// Stands for a variable while the frontmatter is parsed, a plain YAML scalar
+const PLACEHOLDER_PATTERN = /__commad_variable_(\d+)__/g;
+
+// Marks the cursor while the template is processed, removed afterwards
+const CURSOR_MARK = '\u0000';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format a date with moment-style tokens
+ * @param {Date} date - Date to format
+ * @param {string} format - Format such as "YYYY-MM-DD" or "dddd, D MMMM"; text in [brackets] is kept
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, format) {
+  return format.replace(DATE_TOKEN_PATTERN, (token, literal) => {
+    if (literal !== undefined) return literal;
+
+    const hours12 = date.getHours() % 12 || 12;
+    switch (token) {
+      case 'YYYY': return String(date.getFullYear());
+      case 'YY': return String(date.getFullYear()).slice(-2);
+      case 'MMMM': return date.toLocaleString(undefined, { month: 'long' });
+      case 'MMM': return date.toLocaleString(undefined, { month: 'short' });
+      case 'MM': return pad(date.getMonth() + 1);
+      case 'M': return String(date.getMonth() + 1);
+      case 'DD': return pad(date.getDate());
+      case 'D': return String(date.getDate());
+      case 'dddd': return date.toLocaleString(undefined, { weekday: 'long' });
+      case 'ddd': return date.toLocaleString(undefined, { weekday: 'short' });
+      case 'HH': return pad(date.getHours());
+      case 'H': return String(date.getHours());
+      case 'hh': return pad(hours12);
+      case 'h': return String(hours12);
+      case 'mm': return pad(date.getMinutes());
+      case 'ss': return pad(date.getSeconds());
+      case 'A': return date.getHours() < 12 ? 'AM' : 'PM';
+      default: return date.getHours() < 12 ? 'am' : 'pm';
+    }
+  });
+}
+
+/**
+ * Check whether a stored document is a template
+ * @param {Object} doc - Stored document with folder, frontmatter and body content
+ * @returns {boolean} True for documents in the templates folder or tagged #template
+ */
+export function isTemplate(doc) {
+  const folder = normalizeFolderPath(doc.folder).toLowerCase();
+  return (folder !== '' && isInFolder(folder, TEMPLATES_FOLDER))
+    || extractTags(doc.frontmatter, doc.content || '').includes(TEMPLATE_TAG);
+}
+
+/**
+ * Create the text of a new document from a template
+ * @param {string} template - Template text, possibly with frontmatter
+ * @param {Object} values - Variable values
+ * @param {string} values.title - Title of the new document
+ * @param {Date} values.now - Date and time to insert, the current time by default
+ * @returns {Object} Object with { content, cursor } where cursor is { line, column }
+ *   (1-based line, 0-based column) of {{cursor}}, or null without one
+ */
+export function applyTemplate(template, { title, now = new Date() }) {
+  const variables = [];
+  const marked = template.replace(VARIABLE_PATTERN, (match, name, format) => {
+    variables.push({ match, name, format });
+    return `__commad_variable_${variables.length - 1}__`;
+  });
+
+  let hasCursor = false;
+  const fill = (text, inFrontmatter) => text.replace(PLACEHOLDER_PATTERN, (placeholder, index) => {
+    if (!variables[index]) return placeholder;
+
+    const { match, name, format } = variables[index];
+    switch (name) {
+      case 'title': return title;
+      case 'date': return formatDate(now, format ? format.trim() : 'YYYY-MM-DD');
+      case 'time': return formatDate(now, format ? format.trim() : 'HH:mm');
+      case 'cursor':
+        // The cursor can only be placed in the body
+        if (hasCursor || inFrontmatter) return '';
+        hasCursor = true;
+        return CURSOR_MARK;
+      default: return match;
+    }
+  });
+  const fillValue = (value) => {
+    if (typeof value === 'string') return fill(value, true);
+    if (Array.isArray(value)) return value.map(fillValue);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [fill(key, true), fillValue(item)]));
+    }
+    return value;
+  };
+
+  // Drop the #template tag so the new document is not a template itself
+  const { frontmatter, content: body, source } = parseFrontmatter(marked);
+  const filled = fillValue(frontmatter);
+  const cleaned = removeTagFromFrontmatter(filled, TEMPLATE_TAG);
+  const onlyTagged = cleaned !== filled && Object.keys(cleaned).length === 0;
+  const text = reconstructWithFrontmatter(
+    cleaned,
+    removeTagFromContent(fill(body, false), TEMPLATE_TAG),
+    onlyTagged ? null : source
+  );
+
+  const offset = text.indexOf(CURSOR_MARK);
+  if (offset === -1) {
+    return { content: text, cursor: null };
+  }
+
+  const before = text.slice(0, offset).split('\n');
+  return {
+    content: text.slice(0, offset) + text.slice(offset + 1),
+    cursor: { line: before.length, column: before[before.length - 1].length }
+  };
+}
@@ -0,0 +1,910 @@
+/**
+ * YAML subset parser and emitter for frontmatter
+ *
+ * Supported: block mappings and sequences, flow collections ([a, b] and
+ * {a: 1}), plain, single- and double-quoted scalars (also over several lines),
+ * literal (|) and folded (>) block scalars with chomping indicators, comments,
+ * and null, boolean, number and date scalars. Anchors, aliases, tags,
+ * complex keys and multiple documents are rejected with an error.
+ *
+ * Dates (2024-01-15, 2024-01-15T10:30:00Z) stay strings, so parsed frontmatter
+ * can be stored in PouchDB as plain JSON and is written back unquoted.
+ *
+ * updateYaml applies a changed value to the source it was parsed from and only
+ * rewrites the top-level keys whose value changed, keeping comments, key
+ * order, quoting and spacing of everything else exactly as typed.
+ */
+
+// Plain scalars that resolve to something other than a string (YAML 1.2 core schema)
+const NULL_PATTERN = /^(?:~|null|Null|NULL)?$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE)$/;
+const INT_PATTERN = /^[-+]?\d+$/;
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+const OCTAL_PATTERN = /^0o[0-7]+$/;
+const FLOAT_PATTERN = /^[-+]?(?:\.\d+|\d+\.\d*|\d+(?:\.\d*)?[eE][-+]?\d+|\.\d+[eE][-+]?\d+)$/;
+
+// Characters a plain scalar cannot start with
+const INDICATOR_PATTERN = /^[-?:,[\]{}#&*!|>'"%@`]/;
+
+const DOUBLE_QUOTE_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+  e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: ' ', P: ' '
+};
+
+/**
+ * Resolve a plain scalar to null, a boolean, a number or a string
+ * @param {string} text - Scalar text without comments or surrounding whitespace
+ * @returns {*} Resolved value
+ */
+function resolvePlain(text) {
+  if (NULL_PATTERN.test(text)) return null;
+  if (TRUE_PATTERN.test(text)) return true;
+  if (FALSE_PATTERN.test(text)) return false;
+  if (INT_PATTERN.test(text)) {
+    const number = parseInt(text, 10);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (HEX_PATTERN.test(text)) return parseInt(text.slice(2), 16);
+  if (OCTAL_PATTERN.test(text)) return parseInt(text.slice(2), 8);
+  if (FLOAT_PATTERN.test(text)) return parseFloat(text);
+  return text;
+}
+
+/**
+ * Find where a comment starts in a line, ignoring "#" inside quotes
+ * @param {string} text - Line text
+ * @returns {number} Index of "#", or -1 without comment
+ */
+function findComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      if (i === 0 || /[\s[{,:]/.test(text[i - 1])) quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Remove a trailing comment and whitespace from a line
+ */
+function stripComment(text) {
+  const index = findComment(text);
+  return (index === -1 ? text : text.slice(0, index)).trim();
+}
+
+const indentOf = (line) => line.length - line.trimStart().length;
+
+const isBlankOrComment = (line) => {
+  const trimmed = line.trim();
+  return trimmed === '' || trimmed.startsWith('#');
+};
+
+const isSequenceItem = (text) => text === '-' || text.startsWith('- ') || text.startsWith('-\t');
+
+/**
+ * Fold the lines of a folded block scalar or a multi-line flow scalar
+ * Single line breaks become spaces, empty lines become line breaks.
+ * @param {Array<string>} lines - Lines without indentation
+ * @param {boolean} keepIndented - Keep line breaks around more-indented lines
+ * @returns {string} Folded text
+ */
+function foldLines(lines, keepIndented) {
+  let text = '';
+  let breaks = 0;
+  let previous = null;
+
+  lines.forEach((line) => {
+    if (line === '') {
+      breaks++;
+      return;
+    }
+    if (previous !== null) {
+      const indented = keepIndented && (/^\s/.test(line) || /^\s/.test(previous));
+      if (breaks > 0) text += '\n'.repeat(breaks + (indented ? 1 : 0));
+      else text += indented ? '\n' : ' ';
+    }
+    text += line;
+    previous = line;
+    breaks = 0;
+  });
+
+  return text;
+}
+
+class Parser {
+  constructor(source) {
+    this.lines = source.split('\n');
+    this.index = 0;
+    this.entries = null;
+  }
+
+  error(message, lineIndex = this.index) {
+    const error = new Error(`${message} (line ${lineIndex + 1})`);
+    error.line = Math.min(lineIndex, this.lines.length - 1) + 1;
+    return error;
+  }
+
+  /**
+   * Advance past blank and comment lines
+   * @returns {boolean} True if a content line follows
+   */
+  skipBlank() {
+    while (this.index < this.lines.length && isBlankOrComment(this.lines[this.index])) {
+      this.index++;
+    }
+    return this.index < this.lines.length;
+  }
+
+  parseDocument() {
+    if (!this.skipBlank()) return null;
+
+    const line = this.lines[this.index];
+    if (line.trim() === '---' || line.trim() === '...') {
+      throw this.error('Multiple YAML documents are not supported');
+    }
+
+    this.entries = [];
+    const value = this.parseBlock(indentOf(line), -1, true);
+    if (this.skipBlank()) {
+      throw this.error('Unexpected content');
+    }
+    return value;
+  }
+
+  /**
+   * Parse the node starting at the current line
+   * @param {number} indent - Indentation of the node
+   * @param {number} parentIndent - Indentation of the parent node, scalars continue on deeper lines
+   * @param {boolean} isTop - Whether the node is the document root
+   */
+  parseBlock(indent, parentIndent, isTop = false) {
+    const line = this.lines[this.index];
+    if (/^\s*\t/.test(line.slice(0, indent + 1)) && line.trimStart() !== line.slice(indent)) {
+      throw this.error('Tabs cannot be used for indentation');
+    }
+
+    const text = line.slice(indent);
+    if (isSequenceItem(text)) {
+      return this.parseSequence(indent);
+    }
+    if (this.splitKey(text)) {
+      return this.parseMapping(indent, isTop);
+    }
+
+    this.index++;
+    return this.parseValue(text, parentIndent, this.index - 1);
+  }
+
+  /**
+   * Split "key: rest" into its parts
+   * @returns {Object|null} { key, keyText, rest } or null if the line is not a mapping entry
+   */
+  splitKey(text) {
+    if (text.startsWith('"') || text.startsWith("'")) {
+      const end = this.findClosingQuote(text, 0);
+      if (end === -1) return null;
+      const after = text.slice(end + 1);
+      const match = after.match(/^\s*:(?:\s|$)/);
+      if (!match) return null;
+      const keyText = text.slice(0, end + 1);
+      return { key: this.unquote(keyText), keyText, rest: after.slice(match[0].length) };
+    }
+
+    if (text.startsWith('? ')) {
+      throw this.error('Complex mapping keys are not supported');
+    }
+    if (/^[[{]/.test(text)) return null;
+
+    const match = text.match(/^([^#]*?)\s*:(?:\s|$)/);
+    if (!match || match[1] === '' || /\s#/.test(match[1])) return null;
+    return { key: match[1], keyText: match[1], rest: text.slice(match[0].length) };
+  }
+
+  findClosingQuote(text, start) {
+    const quote = text[start];
+    for (let i = start + 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  unquote(text) {
+    if (text.startsWith("'")) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+
+    const inner = text.slice(1, -1);
+    let result = '';
+    for (let i = 0; i < inner.length; i++) {
+      if (inner[i] !== '\\') {
+        result += inner[i];
+        continue;
+      }
+
+      const next = inner[++i];
+      const hexLength = { x: 2, u: 4, U: 8 }[next];
+      if (hexLength) {
+        const hex = inner.slice(i + 1, i + 1 + hexLength);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLength) {
+          throw this.error(`Invalid escape "\\${next}${hex}"`);
+        }
+        result += String.fromCodePoint(parseInt(hex, 16));
+        i += hexLength;
+      } else if (next in DOUBLE_QUOTE_ESCAPES) {
+        result += DOUBLE_QUOTE_ESCAPES[next];
+      } else {
+        throw this.error(`Invalid escape "\\${next}"`);
+      }
+    }
+    return result;
+  }
+
+  parseMapping(indent, isTop) {
+    const result = {};
+
+    for (;;) {
+      const mark = this.index;
+      if (!this.skipBlank() || indentOf(this.lines[this.index]) < indent) {
+        this.index = mark;
+        break;
+      }
+
+      const start = this.index;
+      const line = this.lines[start];
+      if (indentOf(line) > indent) {
+        throw this.error('Unexpected indentation');
+      }
+
+      const entry = this.splitKey(line.slice(indent));
+      if (!entry) {
+        if (isSequenceItem(line.slice(indent))) {
+          throw this.error('Expected a "key: value" entry, not a list item');
+        }
+        throw this.error('Expected a "key: value" entry');
+      }
+      if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+        throw this.error(`Duplicate key "${entry.key}"`);
+      }
+
+      this.index++;
+      result[entry.key] = this.parseValue(entry.rest, indent, start, true);
+
+      if (isTop) {
+        this.entries.push({
+          key: entry.key,
+          keyText: entry.keyText,
+          start,
+          end: this.index,
+          ...this.describeValue(entry.rest)
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Describe how a top-level value was written so changes can be written the same way
+   */
+  describeValue(rest) {
+    const text = stripComment(rest);
+    const commentIndex = findComment(rest);
+    return {
+      style: text.startsWith('[') || text.startsWith('{') ? 'flow' : (text === '' || /^[|>]/.test(text) ? 'block' : 'scalar'),
+      quote: /^["']/.test(text) ? text[0] : null,
+      comment: commentIndex === -1 ? '' : rest.slice(rest.slice(0, commentIndex).trimEnd().length)
+    };
+  }
+
+  parseSequence(indent) {
+    const result = [];
+
+    for (;;) {
+      const mark = this.index;
+      if (!this.skipBlank() || indentOf(this.lines[this.index]) < indent) {
+        this.index = mark;
+        break;
+      }
+
+      const line = this.lines[this.index];
+      if (indentOf(line) > indent) {
+        throw this.error('Unexpected indentation');
+      }
+      const text = line.slice(indent);
+      if (!isSequenceItem(text)) {
+        this.index = mark;
+        break;
+      }
+
+      const rest = text.slice(1);
+      if (stripComment(rest) === '') {
+        this.index++;
+        result.push(this.parseNested(indent));
+        continue;
+      }
+
+      // Parse the item as if it started on its own line at the column after "- "
+      const itemIndent = indent + 1 + indentOf(rest);
+      this.lines[this.index] = ' '.repeat(itemIndent) + rest.trimStart();
+      result.push(this.parseBlock(itemIndent, indent));
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the block nested under a key or list item whose value is on the following lines
+   */
+  parseNested(parentIndent, allowCompactSequence = false) {
+    const mark = this.index;
+    if (this.skipBlank()) {
+      const line = this.lines[this.index];
+      const indent = indentOf(line);
+      if (indent > parentIndent) {
+        return this.parseBlock(indent, parentIndent);
+      }
+      // A list may start at the same indentation as its key
+      if (allowCompactSequence && indent === parentIndent && isSequenceItem(line.slice(indent))) {
+        return this.parseSequence(indent);
+      }
+    }
+    this.index = mark;
+    return null;
+  }
+
+  /**
+   * Parse a value that starts on a line after a key or list item indicator
+   * @param {string} rest - Text after "key:" or "- "
+   * @param {number} parentIndent - Indentation of the key or list item
+   * @param {number} lineIndex - Index of the line the value starts on
+   * @param {boolean} afterKey - Whether the value belongs to a mapping key
+   */
+  parseValue(rest, parentIndent, lineIndex, afterKey = false) {
+    const text = rest.trim();
+
+    if (text === '' || text.startsWith('#')) {
+      return this.parseNested(parentIndent, afterKey);
+    }
+    if (text.startsWith('|') || text.startsWith('>')) {
+      return this.parseBlockScalar(stripComment(text), parentIndent, lineIndex);
+    }
+    if (text.startsWith('[') || text.startsWith('{')) {
+      return this.parseFlowValue(text, lineIndex);
+    }
+    if (text.startsWith('"') || text.startsWith("'")) {
+      return this.parseQuoted(text, parentIndent, lineIndex);
+    }
+    if (/^[&*!]/.test(text)) {
+      throw this.error('Anchors, aliases and tags are not supported', lineIndex);
+    }
+    if (/^[%@`]/.test(text)) {
+      throw this.error(`A value cannot start with "${text[0]}", quote it`, lineIndex);
+    }
+    // Unlike strict YAML, "title: Meeting: notes" is read as a string, as
+    // earlier versions of the frontmatter parser did
+    return this.parsePlain(text, parentIndent);
+  }
+
+  parsePlain(text, parentIndent) {
+    const lines = [stripComment(text)];
+
+    // Plain scalars continue on more indented lines, blank lines become line breaks
+    if (findComment(text) === -1) {
+      let lookahead = this.index;
+      let blanks = 0;
+      while (lookahead < this.lines.length) {
+        const line = this.lines[lookahead];
+        if (line.trim() === '') {
+          blanks++;
+          lookahead++;
+          continue;
+        }
+        const trimmed = line.trim();
+        if (indentOf(line) <= parentIndent || trimmed.startsWith('#') || this.splitKey(trimmed) || isSequenceItem(trimmed)) {
+          break;
+        }
+        for (let i = 0; i < blanks; i++) lines.push('');
+        blanks = 0;
+        lines.push(stripComment(trimmed));
+        lookahead++;
+        this.index = lookahead;
+        if (findComment(trimmed) !== -1) break;
+      }
+    }
+
+    return lines.length === 1 ? resolvePlain(lines[0]) : foldLines(lines, false);
+  }
+
+  parseQuoted(text, parentIndent, lineIndex) {
+    let raw = text;
+    let end = this.findClosingQuote(raw, 0);
+
+    // Quoted scalars may continue on the following lines
+    while (end === -1) {
+      if (this.index >= this.lines.length) {
+        throw this.error('Unterminated quoted string', lineIndex);
+      }
+      raw += `\n${this.lines[this.index].trim()}`;
+      this.index++;
+      end = this.findClosingQuote(raw, 0);
+    }
+
+    if (stripComment(raw.slice(end + 1)) !== '') {
+      throw this.error('Unexpected text after quoted string', this.index - 1);
+    }
+
+    const quoted = raw.slice(0, end + 1);
+    if (!quoted.includes('\n')) {
+      return this.unquote(quoted);
+    }
+
+    // Fold line breaks, keeping escaped line breaks in double quotes joined
+    const quote = quoted[0];
+    const inner = quoted.slice(1, -1).replace(/\\\n/g, quote === '"' ? '' : '\\\n');
+    const folded = foldLines(inner.split('\n').map((line, index) => (index === 0 ? line.trimEnd() : line.trim())), false);
+    return this.unquote(`${quote}${folded}${quote}`);
+  }
+
+  parseBlockScalar(header, parentIndent, lineIndex) {
+    const match = header.match(/^([|>])([1-9]?)([-+]?)([1-9]?)$/);
+    if (!match) {
+      throw this.error(`Invalid block scalar header "${header}"`, lineIndex);
+    }
+    const [, style, indentBefore, chomping, indentAfter] = match;
+    const explicitIndent = parseInt(indentBefore || indentAfter, 10);
+
+    let contentIndent = explicitIndent ? Math.max(parentIndent, 0) + explicitIndent : null;
+    const lines = [];
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      if (line.trim() === '') {
+        lines.push(contentIndent === null ? '' : line.slice(contentIndent));
+        this.index++;
+        continue;
+      }
+      if (contentIndent === null) {
+        contentIndent = indentOf(line);
+        if (contentIndent <= parentIndent) break;
+      }
+      if (indentOf(line) < contentIndent) break;
+      lines.push(line.slice(contentIndent));
+      this.index++;
+    }
+
+    // Trailing blank lines only count for "keep" chomping
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    // Blank lines after the scalar belong to the following content
+    if (chomping !== '+') {
+      this.index -= trailing;
+    }
+
+    if (lines.length === 0) {
+      return chomping === '+' ? '\n'.repeat(trailing) : '';
+    }
+
+    const body = style === '|' ? lines.join('\n') : foldLines(lines, true);
+    if (chomping === '-') return body;
+    if (chomping === '+') return `${body}\n${'\n'.repeat(trailing)}`;
+    return `${body}\n`;
+  }
+
+  parseFlowValue(text, lineIndex) {
+    let raw = stripComment(text);
+
+    // Flow collections may span several lines
+    while (!isBalanced(raw)) {
+      if (this.index >= this.lines.length) {
+        throw this.error('Unterminated flow collection', lineIndex);
+      }
+      raw += ` ${stripComment(this.lines[this.index])}`;
+      this.index++;
+    }
+
+    const flow = new FlowParser(raw, (message) => this.error(message, lineIndex));
+    const value = flow.parseValue();
+    flow.skipSpace();
+    if (flow.pos < raw.length) {
+      throw this.error('Unexpected text after flow collection', lineIndex);
+    }
+    return value;
+  }
+}
+
+/**
+ * Check whether the brackets of a flow collection are closed, ignoring quoted text
+ */
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0 && !quote;
+}
+
+class FlowParser {
+  constructor(text, error) {
+    this.text = text;
+    this.pos = 0;
+    this.error = error;
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  expect(char) {
+    this.skipSpace();
+    if (this.text[this.pos] !== char) {
+      throw this.error(`Expected "${char}" in flow collection`);
+    }
+    this.pos++;
+  }
+
+  parseValue() {
+    this.skipSpace();
+    const char = this.text[this.pos];
+    if (char === '[') return this.parseSequence();
+    if (char === '{') return this.parseMapping();
+    return this.parseScalar(false);
+  }
+
+  parseSequence() {
+    const result = [];
+    this.expect('[');
+    for (;;) {
+      this.skipSpace();
+      if (this.text[this.pos] === ']') break;
+      result.push(this.parseValue());
+      this.skipSpace();
+      if (this.text[this.pos] !== ',') break;
+      this.pos++;
+    }
+    this.expect(']');
+    return result;
+  }
+
+  parseMapping() {
+    const result = {};
+    this.expect('{');
+    for (;;) {
+      this.skipSpace();
+      if (this.text[this.pos] === '}') break;
+      const key = this.parseScalar(true);
+      this.skipSpace();
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        value = this.parseValue();
+        this.skipSpace();
+      }
+      result[String(key)] = value;
+      if (this.text[this.pos] !== ',') break;
+      this.pos++;
+    }
+    this.expect('}');
+    return result;
+  }
+
+  parseScalar(isKey) {
+    this.skipSpace();
+    const char = this.text[this.pos];
+
+    if (char === '"' || char === "'") {
+      const parser = new Parser('');
+      const end = parser.findClosingQuote(this.text, this.pos);
+      if (end === -1) throw this.error('Unterminated quoted string');
+      const value = parser.unquote(this.text.slice(this.pos, end + 1));
+      this.pos = end + 1;
+      return value;
+    }
+    if (/[&*!]/.test(char)) {
+      throw this.error('Anchors, aliases and tags are not supported');
+    }
+
+    // Plain scalars end at flow indicators, keys also at ": "
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const current = this.text[this.pos];
+      if (/[,[\]{}]/.test(current)) break;
+      if (current === ':' && (isKey || /[\s,[\]{}]/.test(this.text[this.pos + 1] || ' '))) break;
+      this.pos++;
+    }
+    const text = this.text.slice(start, this.pos).trim();
+    return isKey ? text : resolvePlain(text);
+  }
+}
+
+/**
+ * Parse YAML
+ * @param {string} source - YAML text
+ * @returns {*} Parsed value, null for an empty document
+ * @throws {Error} If the text is not valid YAML or uses unsupported features
+ */
+export function parseYaml(source) {
+  return new Parser(source || '').parseDocument();
+}
+
+/**
+ * Parse YAML and locate the entries of its top-level mapping
+ * @param {string} source - YAML text
+ * @returns {Object} Object with { value, entries } where entries list { key, start, end },
+ *   the 0-based lines each entry starts on and ends before
+ * @throws {Error} If the text is not valid YAML, with the 1-based line in error.line
+ */
+export function parseYamlEntries(source) {
+  const parser = new Parser(source || '');
+  const value = parser.parseDocument();
+  return {
+    value,
+    entries: (parser.entries || []).map(({ key, start, end }) => ({ key, start, end }))
+  };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Compare parsed values, ignoring the key order of mappings
+ */
+export function yamlEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => yamlEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && yamlEqual(a[key], b[key]));
+  }
+  return Number.isNaN(a) && Number.isNaN(b);
+}
+
+/**
+ * Check whether a string contains control characters, which need double quotes
+ * @param {string} text - String value
+ * @param {string} allowed - Control characters that are fine, such as '\t\n' in block scalars
+ */
+function hasControlCharacters(text, allowed = '') {
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if ((code < 0x20 || code === 0x7f) && !allowed.includes(char)) return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether a string can be written without quotes
+ * @param {string} text - String value
+ * @param {boolean} inFlow - Whether it is written inside [...] or {...}
+ */
+function isPlainSafe(text, inFlow) {
+  return text !== ''
+    && text === text.trim()
+    && !INDICATOR_PATTERN.test(text)
+    && !hasControlCharacters(text)
+    && !text.includes(': ')
+    && !text.includes(' #')
+    && !text.endsWith(':')
+    && !(inFlow && /[,[\]{}]/.test(text))
+    && resolvePlain(text) === text;
+}
+
+/**
+ * Format a scalar value
+ * @param {*} value - String, number, boolean or null
+ * @param {Object} options - { inFlow, quote } where quote is the preferred quote character
+ * @returns {string} YAML scalar
+ */
+function formatScalar(value, { inFlow = false, quote = null } = {}) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  if (value instanceof Date) return value.toISOString();
+
+  const text = String(value);
+  if (quote === "'" && !hasControlCharacters(text)) {
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+  if (quote !== '"' && isPlainSafe(text, inFlow)) {
+    return text;
+  }
+  return JSON.stringify(text);
+}
+
+function formatKey(key) {
+  return isPlainSafe(key, false) || /^\d+$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write a value in flow style: [a, b] or {a: 1}
+ */
+function emitFlow(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(emitFlow).join(', ')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([key, item]) => `${formatKey(key)}: ${emitFlow(item)}`).join(', ')}}`;
+  }
+  return formatScalar(value, { inFlow: true });
+}
+
+/**
+ * Write the part after "key:" or "-", either on the same line or as nested lines
+ * @returns {Object} { inline, lines } where inline follows the indicator and lines come after it
+ */
+function emitValue(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.length === 0 ? { inline: ' []', lines: [] } : { inline: '', lines: emitSequence(value, indent) };
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).length === 0 ? { inline: ' {}', lines: [] } : { inline: '', lines: emitMapping(value, indent) };
+  }
+  if (typeof value === 'string' && value.includes('\n') && !hasControlCharacters(value, '\t\n')) {
+    // Multi-line strings become literal block scalars
+    const trailing = value.match(/\n*$/)[0].length;
+    const chomping = trailing === 0 ? '-' : (trailing === 1 ? '' : '+');
+    const body = value.slice(0, value.length - trailing);
+    const indicator = /^[ \t]/.test(body) ? '2' : '';
+    return {
+      inline: ` |${indicator}${chomping}`,
+      lines: [
+        ...body.split('\n').map(line => (line === '' ? '' : `${pad}${line}`)),
+        ...(chomping === '+' ? new Array(trailing - 1).fill('') : [])
+      ]
+    };
+  }
+  return { inline: ` ${formatScalar(value)}`, lines: [] };
+}
+
+function emitMapping(value, indent) {
+  const pad = ' '.repeat(indent);
+  return Object.entries(value).flatMap(([key, item]) => {
+    const { inline, lines } = emitValue(item, indent + 2);
+    return [`${pad}${formatKey(key)}:${inline}`, ...lines];
+  });
+}
+
+function emitSequence(value, indent) {
+  const pad = ' '.repeat(indent);
+  return value.flatMap(item => {
+    // Mappings start on the line of their "- "
+    if (isPlainObject(item) && Object.keys(item).length > 0) {
+      const [first, ...rest] = emitMapping(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    }
+    const { inline, lines } = emitValue(item, indent + 2);
+    return [`${pad}-${inline}`, ...lines];
+  });
+}
+
+/**
+ * Write a value as YAML
+ * @param {*} value - Value to write, usually a mapping
+ * @returns {string} YAML text ending in a line break, '' for an empty mapping
+ */
+export function stringifyYaml(value) {
+  if (isPlainObject(value)) {
+    const lines = emitMapping(value, 0);
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? `${emitSequence(value, 0).join('\n')}\n` : '[]\n';
+  }
+  const { inline, lines } = emitValue(value, 0);
+  return `${[inline.trimStart(), ...lines].join('\n')}\n`;
+}
+
+/**
+ * Write one top-level entry the way it was written before where possible
+ */
+function emitEntry(keyText, value, previous) {
+  if (previous && previous.style === 'flow' && (Array.isArray(value) || isPlainObject(value))) {
+    return [`${keyText}: ${emitFlow(value)}${previous.comment}`];
+  }
+
+  const isScalar = !Array.isArray(value) && !isPlainObject(value) && !(typeof value === 'string' && value.includes('\n'));
+  if (isScalar) {
+    const comment = previous && previous.style === 'scalar' ? previous.comment : '';
+    return [`${keyText}: ${formatScalar(value, { quote: previous ? previous.quote : null })}${comment}`];
+  }
+
+  const { inline, lines } = emitValue(value, 2);
+  return [`${keyText}:${inline}`, ...lines];
+}
+
+/**
+ * Apply a changed mapping to the YAML it was parsed from
+ * Unchanged top-level entries, comments and blank lines are kept verbatim,
+ * changed entries are rewritten in their original style, removed entries are
+ * dropped and new keys are added after the last entry.
+ * @param {string} source - YAML text of a mapping
+ * @param {Object} value - New mapping
+ * @returns {string} Updated YAML text
+ */
+export function updateYaml(source, value) {
+  let parsed;
+  const parser = new Parser(source || '');
+  try {
+    parsed = parser.parseDocument();
+  } catch {
+    parsed = undefined;
+  }
+
+  if (parsed !== null && !isPlainObject(parsed)) {
+    // Nothing to preserve in a document that is not a mapping
+    return stringifyYaml(value);
+  }
+  if (yamlEqual(parsed || {}, value)) {
+    return source;
+  }
+
+  const lines = source.split('\n');
+  const entries = parser.entries || [];
+  const output = [];
+  let position = 0;
+
+  entries.forEach(entry => {
+    output.push(...lines.slice(position, entry.start));
+    position = entry.end;
+    if (!Object.prototype.hasOwnProperty.call(value, entry.key)) {
+      return;
+    }
+    if (yamlEqual(parsed[entry.key], value[entry.key])) {
+      output.push(...lines.slice(entry.start, entry.end));
+    } else {
+      output.push(...emitEntry(entry.keyText, value[entry.key], entry));
+    }
+  });
+
+  const added = Object.keys(value)
+    .filter(key => !entries.some(entry => entry.key === key))
+    .flatMap(key => emitEntry(formatKey(key), value[key], null));
+
+  // New keys go after the last entry, or before trailing blank lines of an empty mapping
+  let insertAt = position;
+  if (entries.length === 0) {
+    insertAt = lines.length;
+    while (insertAt > 0 && lines[insertAt - 1].trim() === '') insertAt--;
+    output.push(...lines.slice(position, insertAt), ...added, ...lines.slice(insertAt));
+  } else {
+    output.push(...added, ...lines.slice(insertAt));
+  }
+
+  return output.join('\n');
+}